@@ -0,0 +1,208 @@
+// args.js - Command-line flags, over config file defaults (see config.js)
+//
+// Every option is typed: unknown flags, missing values and values of the wrong
+// type are usage errors (code EUSAGE) instead of being ignored or becoming NaN.
+// Each command parses against its own option table, so a check flag given to
+// `export` is an error and a config key only applies where it means something.
+
+import path from 'path';
+import { CONFIG_KEYS, findConfig, loadConfig, resolveConfig } from './config.js';
+import { parseDuration } from './duration.js';
+import { CATEGORIES, parseRetryPolicy } from './errors.js';
+import { FORMATS } from './format.js';
+import { parseUsernames } from './usernames.js';
+import { parseWeights } from './score.js';
+import { FOLDS } from './canonical.js';
+
+export function usageError(message) {
+  const e = new Error(message);
+  e.code = 'EUSAGE';
+  return e;
+}
+
+const EXPECTED = {
+  count: 'a positive integer',
+  int: 'a non-negative integer',
+  number: 'a non-negative number',
+  positive: 'a positive number',
+  duration: 'a duration like 30s, 15m, 1h or 7d',
+};
+
+// Check and convert one option value; `raw` may come from argv or a config file.
+// `type` may also be a function converting the string (throwing on bad input).
+export function parseValue(flag, raw, type = 'string', choices = null) {
+  if (raw === undefined || raw === null || raw === '') throw usageError(`${flag} needs a value`);
+  if (typeof type === 'function') {
+    try {
+      return type(String(raw));
+    } catch (e) {
+      throw e.code === 'EUSAGE' ? e : usageError(`Invalid value for ${flag}: ${e.message}`);
+    }
+  }
+  if (type === 'policy' || type === 'weights') {
+    try {
+      return type === 'policy' ? parseRetryPolicy(raw) : parseWeights(raw);
+    } catch (e) {
+      throw usageError(`Invalid value for ${flag}: ${e.message}`);
+    }
+  }
+  const str = String(raw);
+  const bad = () => usageError(`Invalid value for ${flag}: "${str}" (expected ${choices ? `one of ${choices.join(', ')}` : EXPECTED[type]})`);
+  // Comma-separated, each one of `choices`
+  if (type === 'list') {
+    const items = str.split(',').map(s => s.trim()).filter(Boolean);
+    if (!items.length || items.some(item => !choices.includes(item))) throw bad();
+    return [...new Set(items)];
+  }
+  if (choices) {
+    if (!choices.includes(str)) throw bad();
+    return str;
+  }
+  if (type === 'string' || type === 'path' || type === 'dir') return str;
+  if (type === 'duration') {
+    try { parseDuration(str); } catch { throw bad(); }
+    return str;
+  }
+  const n = typeof raw === 'number' ? raw : /^\s*-?\d+(\.\d+)?\s*$/.test(str) ? Number(str) : NaN;
+  if (!Number.isFinite(n)) throw bad();
+  if ((type === 'count' || type === 'int') && !Number.isInteger(n)) throw bad();
+  if (type === 'count' && n < 1) throw bad();
+  if ((type === 'int' || type === 'number') && n < 0) throw bad();
+  if (type === 'positive' && n <= 0) throw bad();
+  return n;
+}
+
+// available.txt order after a run (it's written in answer order otherwise)
+export const SORTS = ['score', 'name'];
+
+// [flags, key, type, choices, 'repeat'] - also what shell completions offer (see
+// completion.js). 'path' and 'dir' values are strings that complete as files;
+// no flags means a config-only key; repeated options collect their values.
+export const OPTIONS = [
+  [['-v', '--verbose'], 'verbose', 'flag'],
+  [['-q', '--quiet'], 'quiet', 'flag'],
+  [['-a', '--append'], 'append', 'flag'],
+  [['-l', '--local'], 'local', 'flag'],
+  [['--resume'], 'resume', 'flag'],
+  [['--ui'], 'ui', 'flag'],
+  [['--no-config'], 'noConfig', 'flag'],
+  [['-h', '--help'], 'help', 'flag'],
+  [['-t', '--tag'], 'tag', 'string'],
+  [['-w', '--workers'], 'workers', 'count'],
+  [['-c', '--concurrency'], 'conc', 'count'],
+  [['-b', '--batch'], 'batch', 'count'],
+  [['-f', '--from'], 'from', 'string'],
+  [['--start'], 'start', 'count'],
+  [['-s', '--sleep'], 'sleep', 'number'],
+  [['-e', '--endpoint'], 'endpoint', 'string'],
+  [['-p', '--provider'], 'provider', 'string'],
+  [['--max-age'], 'maxAge', 'duration'],
+  [['--db'], 'db', 'path'],
+  [['--format'], 'format', 'string', FORMATS],
+  [['--rps'], 'rps', 'positive'],
+  [['--retries'], 'retries', 'int'],
+  [['--retry-policy'], 'retryPolicy', 'policy'],
+  [['--only'], 'only', 'list', CATEGORIES],
+  [['--timeout'], 'timeout', 'positive'],
+  [['--out-dir'], 'outDir', 'dir'],
+  [['--profile'], 'profile', 'string'],
+  [['--config'], 'config', 'path'],
+  [['--suggest'], 'suggest', 'count'],
+  [['--sort'], 'sort', 'string', SORTS],
+  [['--weights'], 'weights', 'weights'],
+  [['--dict'], 'dict', 'path'],
+  [['--fold'], 'fold', 'string', FOLDS],
+  [['--verify'], 'verify', 'count'],
+  [['--verify-delay'], 'verifyDelay', 'duration'],
+  [['--verify-endpoint'], 'verifyEndpoint', 'string'],
+  [['--verify-provider'], 'verifyProvider', 'string'],
+  [['--metrics-port'], 'metricsPort', 'int'],
+  [['--metrics-file'], 'metricsFile', 'path'],
+  [['--summary-json'], 'summaryJson', 'path'],
+  [['-n', '--names'], 'names', 'names'],
+  [[], 'minLen', 'count'],
+  [[], 'maxLen', 'count'],
+];
+
+// Shared entries for other commands' tables, by key
+export function pickOptions(...keys) {
+  return keys.map(key => {
+    const opt = OPTIONS.find(o => o[1] === key);
+    if (!opt) throw new Error(`No option "${key}"`);
+    return opt;
+  });
+}
+
+// What every command reading the config file takes
+export const CONFIG_OPTIONS = pickOptions('profile', 'config', 'noConfig');
+
+const [HELP] = pickOptions('help');
+
+// Flags that are commands now, so an old habit gets pointed the right way
+const MOVED = { '-r': 'retry', '--retry': 'retry' };
+
+export function parseArgs(args, { cwd = process.cwd(), options = OPTIONS } = {}) {
+  const table = options.some(o => o[1] === 'help') ? options : [...options, HELP];
+  const byFlag = new Map(table.flatMap(opt => opt[0].map(flag => [flag, opt])));
+  const byKey = new Map(table.map(opt => [opt[1], opt]));
+  // Unset flags are false, everything else null - except verbose, which check
+  // turns on for wordlists unless it was switched off
+  const r = { list: null, positional: [], configFile: null };
+  for (const [, key, type] of table) r[key] = type === 'flag' && key !== 'verbose' ? false : null;
+  for (let i = 0; i < args.length; i++) {
+    let a = args[i];
+    let inline; // --flag=value
+    if (a.startsWith('--') && a.includes('=')) [a, inline] = [a.slice(0, a.indexOf('=')), a.slice(a.indexOf('=') + 1)];
+
+    // "-" is stdin, anything else without a dash is an input
+    if (a === '-' || !a.startsWith('-')) {
+      r.positional.push(a);
+      continue;
+    }
+    const opt = byFlag.get(a);
+    if (!opt && MOVED[a]) throw usageError(`${a} is a command now: hytale-name ${MOVED[a]}`);
+    if (!opt) throw usageError(`Unknown option ${a}`);
+    const [, key, type, choices, repeat] = opt;
+    if (type === 'flag') {
+      if (inline !== undefined) throw usageError(`${a} doesn't take a value`);
+      r[key] = true;
+    } else if (type === 'names') {
+      // Repeatable; each value may be comma/space separated or a JSON array
+      r.names = [...(r.names || []), ...parseUsernames(parseValue(a, inline ?? args[++i]))];
+    } else if (repeat) {
+      r[key] = [...(r[key] || []), ...[parseValue(a, inline ?? args[++i], type, choices)].flat()];
+    } else {
+      r[key] = parseValue(a, inline ?? args[++i], type, choices);
+    }
+  }
+  // Join all non-flag args (handles space-separated, comma-separated, or array format)
+  if (r.positional.length > 0) {
+    r.list = r.positional.join(' ');
+  }
+  if (r.outDir) r.outDir = path.resolve(cwd, r.outDir);
+
+  // Config file and profile values fill in whatever wasn't given as a flag
+  // (commands without --config, like mock, don't read one)
+  if (!byKey.has('config') || r.noConfig) return r;
+  let found;
+  if (r.config) {
+    const file = path.resolve(cwd, r.config);
+    found = { file, config: loadConfig(file) || {} };
+  } else {
+    found = findConfig(cwd);
+  }
+  if (!found) {
+    if (r.profile) throw usageError(`--profile ${r.profile} given but no config file found`);
+    return r;
+  }
+  r.configFile = found.file;
+  for (const [key, value] of Object.entries(resolveConfig(found, r.profile))) {
+    // Keys this command has no option for don't apply to it
+    const opt = byKey.get(key);
+    if (!opt || (r[key] !== null && r[key] !== false)) continue;
+    // Config values get the same checks as their flags
+    const name = Object.keys(CONFIG_KEYS).find(k => CONFIG_KEYS[k] === key);
+    r[key] = opt[2] !== 'flag' ? parseValue(`"${name}" in ${found.file}`, value, opt[2], opt[3]) : value;
+  }
+  return r;
+}
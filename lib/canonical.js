@@ -0,0 +1,60 @@
+// canonical.js - Spellings that are the same name to the API
+//
+// Names are compared by a canonical key: lowercased with fold "case" (the
+// default), and with fold "homoglyphs" look-alike characters map together too
+// once lowercased (0 → o, 1 → l). A variant index sends only the first spelling of each
+// key to the API and hands its answer to every other spelling - attached
+// while that check is in flight, from a bounded cache of answers afterwards.
+// A spelling whose key was answered too long ago to be remembered is simply
+// checked itself, so memory stays bounded on streamed wordlists.
+
+import { createDedupe } from './dedupe.js';
+
+export const FOLDS = ['none', 'case', 'homoglyphs'];
+export const HOMOGLYPHS = { 0: 'o', 1: 'l' };
+
+const REMEMBER = 100000; // Answers kept for spellings still to come
+
+export function canonicalize(name, fold = 'case') {
+  if (fold === 'none') return name;
+  const lower = name.toLowerCase();
+  return fold === 'homoglyphs' ? lower.replace(/[01]/g, ch => HOMOGLYPHS[ch]) : lower;
+}
+
+// exact: remember keys in a Set rather than a Bloom filter (in-memory lists)
+export function createVariantIndex({ fold = 'case', exact = false, remember = REMEMBER } = {}) {
+  const seen = createDedupe({ exact });
+  const pending = new Map(); // key -> { username (the spelling being checked), variants: [spellings waiting] }
+  const answered = new Map(); // key -> result, oldest first
+
+  // null for a spelling to check; otherwise { variantOf, answer }, where answer
+  // is null while the check is in flight (settle() hands the spelling back then)
+  function join(name) {
+    const key = canonicalize(name, fold);
+    if (!seen.add(key)) {
+      const group = pending.get(key);
+      if (group) {
+        group.variants.push(name);
+        return { variantOf: group.username, answer: null };
+      }
+      const answer = answered.get(key);
+      if (answer) return { variantOf: answer.username, answer };
+      // Forgotten (or a filter false positive) - check this spelling as well
+    }
+    pending.set(key, { username: name, variants: [] });
+    return null;
+  }
+
+  // The answer for a checked spelling arrived: the spellings that were waiting for it
+  function settle(result) {
+    const key = canonicalize(result.username, fold);
+    const group = pending.get(key);
+    if (!group || group.username !== result.username) return [];
+    pending.delete(key);
+    answered.set(key, result);
+    if (answered.size > remember) answered.delete(answered.keys().next().value);
+    return group.variants;
+  }
+
+  return { join, settle, fold };
+}
@@ -0,0 +1,271 @@
+// checker.js - Programmatic API over the worker pool
+//
+//   const run = checkUsernames(['coolname', 'other'], { workers: 2 });
+//   for await (const r of run) console.log(r.username, r.available);
+//
+// The returned object is an EventEmitter ('result', 'rejected', 'end', 'error')
+// that is also async iterable. `run.done` resolves with the totals once all
+// workers exit. Names failing the client-side rules are listed in
+// `run.rejected` instead. For metrics there is also 'request' ({ worker,
+// statusCode, ms } per HTTP request) and 'retry' ({ worker, username,
+// attempts, category, delayMs } per requeued name).
+//
+// `list` may also be an iterable or async iterable (e.g. readLines() from
+// input.js): names are then validated and deduped as they stream in, and
+// workers pull them from a shared queue, so the list is never held in memory.
+// run.total is null until the input ends.
+//
+// Work is handed out on demand (see scheduler.js), so run.addWorker() and
+// run.removeWorker() can resize the pool mid-run.
+//
+// Spellings of the same name (`fold`, see canonical.js) are checked once: the
+// others get a copy of that result with `variantOf` set to the spelling that
+// was actually checked.
+
+import os from 'os';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { Worker } from 'worker_threads';
+import { fileURLToPath } from 'url';
+import { partitionUsernames, validateUsername } from './validate.js';
+import { createDedupe } from './dedupe.js';
+import { createVariantIndex } from './canonical.js';
+import { createScheduler } from './scheduler.js';
+import { PROVIDERS, DEFAULT_PROVIDER } from './providers.js';
+import { createRateController } from './ratelimit.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const WORKER_PATH = path.join(__dirname, '..', 'worker.js');
+
+export function checkUsernames(list, options = {}) {
+  const {
+    workers = Math.min(8, os.cpus().length),
+    concurrency = 200,
+    sleepMs = 0,
+    batchSize = 1, // HTTP batch size - usernames per request
+    provider = DEFAULT_PROVIDER, // Built-in provider name or path to a provider module
+    endpoint = null, // Base URL override, e.g. a caching proxy or local mock server
+    rps = null, // Global requests-per-second cap across all workers
+    retries = 5, // Retries per request for rate limits, 5xx, timeouts and network errors
+    retryPolicy = null, // Per-category overrides, e.g. { timeout: { retries: 2, backoffMs: 500 } } (see errors.js)
+    timeoutMs = 20000, // Per-request timeout
+    rateController = null, // Share an existing controller (e.g. between runs); one is created otherwise
+    dedupe = true, // Skip repeated names (off when the caller has already deduped)
+    fold = 'case', // Which spellings count as one name: none, case or homoglyphs (with dedupe)
+  } = options;
+
+  const run = new EventEmitter();
+  const streaming = !Array.isArray(list);
+  const variants = dedupe && fold !== 'none' ? createVariantIndex({ fold, exact: !streaming }) : null;
+  const rejected = [];
+  let source, workerCount, valid = 0;
+  if (streaming) {
+    source = validated(list);
+    workerCount = workers;
+  } else {
+    // Dedupe and apply the username rules, same as the CLI - rejections never reach the API
+    const names = list.map(u => String(u).trim()).filter(Boolean);
+    const partition = partitionUsernames(dedupe ? [...new Set(names)] : names);
+    rejected.push(...partition.rejected);
+    valid = partition.valid.length;
+    // Nothing is answered yet, so every other spelling waits on its first one
+    source = variants ? partition.valid.filter(u => !variants.join(u)) : partition.valid;
+    workerCount = Math.min(workers, source.length);
+  }
+
+  // Streamed names get the same treatment one at a time
+  async function* validated(names) {
+    const seen = dedupe ? createDedupe() : null;
+    for await (const raw of names) {
+      const username = String(raw).trim();
+      if (!username || (seen && !seen.add(username))) continue;
+      const problem = validateUsername(username);
+      if (problem) {
+        const r = { username, ...problem };
+        rejected.push(r);
+        run.emit('rejected', r);
+        continue;
+      }
+      totals.total++;
+      const variant = variants && variants.join(username);
+      if (variant) {
+        if (variant.answer) emitVariant(variant.answer, username);
+        continue;
+      }
+      yield username;
+    }
+    run.total = totals.total;
+  }
+
+  // Resolve module paths here so workers don't depend on their own cwd
+  const providerSpec = PROVIDERS[provider] ? provider : path.resolve(provider);
+
+  const threads = [];
+  // Every spelling gets a result, checked or shared, so totals count spellings
+  const totals = { total: valid, checked: 0, available: 0, taken: 0, errors: 0, variants: 0 };
+  run.total = streaming ? null : valid;
+  run.rejected = rejected; // [{ username, code, reason }]
+  run.totals = totals;
+
+  // Workers ask for a chunk whenever their own buffer runs low
+  const chunkSize = Math.max(1, concurrency * batchSize);
+  const scheduler = createScheduler(source, { chunkSize, highWater: Math.max(1000, workerCount * concurrency * batchSize * 2) });
+  run.scheduler = scheduler;
+
+  // Every request from every worker asks this controller for a permit first
+  const rate = rateController || createRateController({ rps, maxConcurrency: workers * concurrency });
+  run.rate = rate;
+
+  function count(r) {
+    totals.checked++;
+    if (r.available === true) totals.available++;
+    else if (r.available === false) totals.taken++;
+    else totals.errors++;
+    run.emit('result', r);
+  }
+
+  function emitResult(msg, worker) {
+    const failed = msg.available !== true && msg.available !== false;
+    const r = { username: msg.username, available: msg.available, ttc: msg.ttc, error: msg.error || null, category: failed ? msg.category || 'unknown' : null, attempts: msg.attempts || 1, worker, variantOf: null };
+    count(r);
+    if (variants) for (const spelling of variants.settle(r)) emitVariant(r, spelling);
+  }
+
+  // Another spelling of a checked name shares its answer
+  function emitVariant(r, username) {
+    totals.variants++;
+    count({ ...r, username, variantOf: r.username });
+  }
+
+  // Settled once every worker has exited, or on the first failure
+  let settle, fail;
+  const settled = new Promise((resolve, reject) => { settle = resolve; fail = reject; });
+  const active = new Map(); // idx -> Worker, for the workers still taking work
+  let nextId = 0;
+  let stopped = false;
+  scheduler.onError(fail);
+
+  // A controller of our own follows the pool size; a shared one is left alone
+  function resize() {
+    if (!rateController) rate.setMaxConcurrency(active.size * concurrency);
+  }
+
+  function spawn() {
+    const idx = nextId++;
+    const w = new Worker(WORKER_PATH, { workerData: { chunkSize, concurrency, workerId: idx, verbose: true, sleepMs, batchSize: 1, httpBatchSize: batchSize, provider: providerSpec, endpoint, retries, retryPolicy, timeoutMs } });
+    threads.push(w);
+    active.set(idx, w);
+    const permits = new Set(); // Granted permit ids, released if the worker dies mid-request
+    let exited = false;
+    scheduler.add(idx, msg => { if (!exited) w.postMessage(msg); });
+    w.on('message', msg => {
+      if (msg.type === 'result') {
+        emitResult(msg, idx);
+        scheduler.resolved(idx, 1, msg.backlog);
+      } else if (msg.type === 'batch') {
+        msg.results.forEach(r => emitResult(r, idx));
+        scheduler.resolved(idx, msg.results.length, msg.backlog);
+      }
+      else if (msg.type === 'pull') { scheduler.pull(idx, msg.backlog); }
+      else if (msg.type === 'requeue') {
+        scheduler.requeue(idx, msg.items, msg.delayMs);
+        for (const item of msg.items) run.emit('retry', { worker: idx, ...item, category: msg.category, delayMs: msg.delayMs });
+      }
+      else if (msg.type === 'returned') { scheduler.returned(idx, msg.items, msg.backlog); }
+      else if (msg.type === 'acquire') {
+        rate.acquire().then(() => {
+          if (exited) return rate.release();
+          permits.add(msg.id);
+          w.postMessage({ type: 'grant', id: msg.id });
+        });
+      }
+      else if (msg.type === 'release' && permits.delete(msg.id)) {
+        rate.release({ statusCode: msg.statusCode, retryAfterMs: msg.retryAfterMs });
+        run.emit('request', { worker: idx, statusCode: msg.statusCode ?? null, ms: msg.ms });
+      }
+    });
+    w.on('error', fail);
+    w.on('exit', code => {
+      exited = true;
+      active.delete(idx);
+      threads.splice(threads.indexOf(w), 1);
+      for (const id of permits) rate.release();
+      permits.clear();
+      scheduler.remove(idx);
+      if (code !== 0) fail(new Error(`Worker ${idx} exit ${code}`));
+      else if (!threads.length) settle();
+    });
+    return idx;
+  }
+
+  for (let i = 0; i < workerCount; i++) spawn();
+  if (!workerCount) settle();
+
+  // One more worker, picking up work on its next pull; returns its index
+  run.addWorker = () => {
+    if (stopped || scheduler.done || !active.size) return null;
+    const idx = spawn();
+    resize();
+    return idx;
+  };
+
+  // Retire the newest worker: it hands back unstarted names and exits once its
+  // in-flight requests finish. The last worker is never removed.
+  run.removeWorker = () => {
+    if (active.size <= 1) return null;
+    const idx = Math.max(...active.keys());
+    const w = active.get(idx);
+    active.delete(idx);
+    scheduler.drain(idx);
+    w.postMessage({ type: 'drain' });
+    resize();
+    return idx;
+  };
+
+  Object.defineProperty(run, 'workers', { get: () => active.size, enumerable: true });
+
+  run.done = settled.then(
+    () => {
+      if (!rateController) rate.close();
+      run.emit('end', totals);
+      return totals;
+    },
+    e => {
+      if (!rateController) rate.close();
+      threads.forEach(w => w.terminate());
+      // Only emit 'error' when someone listens - an unhandled 'error' event throws
+      if (run.listenerCount('error') > 0) run.emit('error', e);
+      throw e;
+    },
+  );
+  // Callers using events or the iterator may never touch `done`
+  run.done.catch(() => {});
+
+  run.stop = () => {
+    stopped = true;
+    return Promise.all(threads.map(w => w.terminate()));
+  };
+
+  run[Symbol.asyncIterator] = async function* () {
+    const queue = [];
+    let wake = null;
+    let finished = false;
+    let failure = null;
+    const onResult = r => { queue.push(r); if (wake) wake(); };
+    run.on('result', onResult);
+    run.done.then(() => { finished = true; }, e => { failure = e; finished = true; }).then(() => { if (wake) wake(); });
+    try {
+      while (true) {
+        if (queue.length) { yield queue.shift(); continue; }
+        if (failure) throw failure;
+        if (finished) return;
+        await new Promise(r => { wake = r; });
+        wake = null;
+      }
+    } finally {
+      run.off('result', onResult);
+    }
+  };
+
+  return run;
+}
@@ -0,0 +1,111 @@
+// checkpoint.js - Durable progress for --resume
+//
+// Names are numbered in input order. The checkpoint keeps a mark - every name
+// up to it is finished (checked, or skipped as a duplicate, rejection or fresh
+// answer) - plus the finished names past the mark, since results arrive out of
+// order from the workers. That stays small however long the list is, and a
+// resumed run skips exactly the finished names: no gaps, no duplicates. It is
+// saved periodically, on SIGINT, and removed once a run completes.
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const FINGERPRINT_BYTES = 64 * 1024;
+
+export function checkpointPath(dir, tag) {
+  return path.join(dir, `.hytale-name-checkpoint${tag ? `-${tag}` : ''}.json`);
+}
+
+// Identifies an in-memory list a checkpoint belongs to (order matters - positions are resumed)
+export function listHash(names) {
+  const hash = crypto.createHash('sha1');
+  for (const name of names) hash.update(name + '\n');
+  return hash.digest('hex');
+}
+
+// Identifies a wordlist file without reading all of it: its size and first 64KB
+export function fileFingerprint(file) {
+  const hash = crypto.createHash('sha1');
+  const fd = fs.openSync(file, 'r');
+  try {
+    const buf = Buffer.alloc(FINGERPRINT_BYTES);
+    const n = fs.readSync(fd, buf, 0, FINGERPRINT_BYTES, 0);
+    hash.update(`${fs.fstatSync(fd).size}\n`);
+    hash.update(buf.subarray(0, n));
+  } finally {
+    fs.closeSync(fd);
+  }
+  return hash.digest('hex');
+}
+
+// Checkpoints from before the mark existed list every finished name; they resume from mark 0
+export function loadCheckpoint(file) {
+  if (!fs.existsSync(file)) return null;
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return { ...data, mark: data.mark || 0, finished: new Set(data.finished) };
+}
+
+export function createCheckpoint(file, { source, fingerprint = null, mark = 0, startedAt = Date.now() }) {
+  const pending = new Map(); // username -> position, sent to the workers
+  const ahead = new Map(); // position -> username, finished past the mark
+  let timer = null;
+  let dirty = false; // Nothing is written until there is progress to keep
+
+  function done(seq, username) {
+    if (seq !== mark + 1) {
+      ahead.set(seq, username);
+    } else {
+      mark = seq;
+      while (ahead.has(mark + 1)) ahead.delete(++mark);
+    }
+    dirty = true;
+  }
+
+  // A position finished without a check (duplicate, rejected, fresh, --from/--start)
+  function skip(seq) {
+    done(seq, null);
+  }
+
+  function queue(seq, username) {
+    pending.set(username, seq);
+  }
+
+  function add(username) {
+    const seq = pending.get(username);
+    if (seq === undefined) return;
+    pending.delete(username);
+    done(seq, username);
+  }
+
+  // Synchronous so it also works from the SIGINT handler
+  function save() {
+    if (!dirty) return;
+    const finished = [...ahead.values()].filter(Boolean);
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ source, fingerprint, startedAt, updatedAt: Date.now(), mark, finished }));
+    fs.renameSync(tmp, file);
+    dirty = false;
+  }
+
+  function start(intervalMs = 5000) {
+    timer = setInterval(save, intervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  function remove() {
+    stop();
+    try { fs.unlinkSync(file); } catch {}
+  }
+
+  return {
+    file, skip, queue, add, save, start, stop, remove,
+    get mark() { return mark; },
+    get finished() { return mark + ahead.size; },
+  };
+}
@@ -0,0 +1,850 @@
+// check.js - `hytale-name check` / `retry`: the main checking run
+//
+// `check` is explicit about its input: a wordlist file, "-" for stdin, or
+// usernames with --names. The bare `hytale-name <input>` shorthand still
+// guesses, but only between an existing file and something shaped like a name.
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { finished } from 'stream/promises';
+import { c } from '../colors.js';
+import { checkUsernames } from '../checker.js';
+import { MIN_LEN, MAX_LEN, ALLOWED_RE, setLengthLimits, parseUsernames } from '../usernames.js';
+import { validateUsername } from '../validate.js';
+import { checkpointPath, listHash, fileFingerprint, loadCheckpoint, createCheckpoint } from '../checkpoint.js';
+import { readLines } from '../input.js';
+import { createDedupe } from '../dedupe.js';
+import { createVariantIndex } from '../canonical.js';
+import { openStore, statusOf, DB_FILE } from '../store.js';
+import { RUNS_DIR, openRun, runsDirFor } from '../history.js';
+import { parseDuration } from '../duration.js';
+import { createFormatter, toRecord } from '../format.js';
+import { parseArgs, usageError } from '../args.js';
+import { fmtRate, fmtTime } from '../fmt.js';
+import { createDashboard } from '../dashboard.js';
+import { CATEGORIES, PERMANENT, classify } from '../errors.js';
+import { VARIANT_KINDS, findAvailableVariants } from '../suggest.js';
+import { createScorer, readWords } from '../score.js';
+import { createVerifier } from '../verify.js';
+import { createMetrics, serveMetrics, writeMetricsFile } from '../metrics.js';
+import { EXIT, buildSummary, writeSummaryJson } from '../summary.js';
+
+const CWD = process.cwd();
+
+// Options shared by check, retry and generate --check
+export const CHECK_OPTIONS = `${c.bold}Options:${c.reset}
+  -w, --workers N      Number of workers (default: 8)
+  -c, --concurrency N  Concurrent requests per worker (default: 200)
+  -v, --verbose        Show detailed output (header, stats, etc.)
+  -q, --quiet          No line per name - the exit code tells how it went
+  -a, --append         Append to output files
+  -l, --local          Output files in same directory as input wordlist
+  -t, --tag NAME       Output file prefix (e.g., -t run2 → run2-available.txt)
+  -b, --batch N        HTTP batch size - check N usernames per request (default: 1, try 5-10)
+  -f, --from NAME      Start from username NAME (skips all before it)
+  --start N            Start from the Nth name of the input (1-indexed, blank lines don't count)
+  --resume             Continue an interrupted run from its checkpoint (no gaps, no duplicates)
+  -s, --sleep SECONDS  Delay between requests in seconds (default: 0)
+  --rps N              Max requests per second across all workers (concurrency adapts to 429/5xx either way)
+  --retries N          Retries per request on rate limits, 5xx, timeouts and network errors (default: 5)
+  --retry-policy SPEC  Retries and first backoff per error category, e.g. timeout=2:500ms,rate_limited=8:2s
+  --timeout SECONDS    Per-request timeout (default: 20)
+  -e, --endpoint URL   API base URL (default: provider's, e.g. https://api.hytl.tools)
+  -p, --provider NAME  Checker provider: hytl.tools or path to a provider module (default: hytl.tools)
+  --max-age AGE        Only check names not checked within AGE (e.g. 12h, 7d)
+  --verify N           Re-check each available name N more times before it goes in available.txt;
+                       names with conflicting answers go to uncertain.txt instead
+  --verify-delay AGE   Wait between a name's checks when verifying (default: 10s)
+  --verify-endpoint URL, --verify-provider NAME
+                       Verify through another endpoint or provider (default: the same one)
+  --fold MODE          Spellings checked once as one name: case (default, Cool = cool), homoglyphs
+                       (also 0 = o, 1 = l) or none; the others share its answer (→ variants.txt)
+  --sort ORDER         Sort available.txt once the run ends: score (best names first) or name
+  --weights SPEC       Score weights for --sort score, e.g. dictionary=3,length=1 (see hytale-name rank --help)
+  --dict FILE          Extra dictionary words for scoring, one per line
+  --db FILE            Results database (default: ${DB_FILE} next to the output files)
+  --format FMT         Structured output on stdout and in results.FMT: json, ndjson or csv
+  --ui                 Live dashboard instead of a line per result (plain output when stdout isn't a terminal)
+  --metrics-port N     Serve Prometheus metrics at http://127.0.0.1:N/metrics (JSON at /metrics.json)
+  --metrics-file FILE  Write the same metrics as JSON to FILE every 10s
+  --summary-json FILE  Write the final totals as JSON to FILE (- for stdout; the rest then goes to stderr)
+  --out-dir DIR        Write output files to DIR (default: current directory)
+  --profile NAME       Use a named profile from the config file
+  --config FILE        Config file to use instead of searching for one
+  --no-config          Ignore config files`;
+
+// Documented in check, retry and the main help; values from summary.js
+export const EXIT_CODES = `${c.bold}Exit codes:${c.reset}
+  ${EXIT.available}    Every checked name is available (or nothing was left to check)
+  ${EXIT.failed}    Usage error, missing input, no valid usernames or a fatal error
+  ${EXIT.taken}    Some names are taken
+  ${EXIT.errors}    Some checks failed or stayed uncertain (worth a hytale-name retry)
+  ${EXIT.interrupted}  Interrupted with Ctrl+C`;
+
+export function printCheckHelp() {
+  console.log(`
+${c.bold}hytale-name check${c.reset} - Check username availability
+
+${c.bold}Usage:${c.reset}
+  hytale-name check names.txt               Check a wordlist (one name per line)
+  hytale-name check names.txt.gz            Gzipped wordlists work too (also on stdin)
+  cat names.txt | hytale-name check -       Read the wordlist from stdin
+  hytale-name check -n coolname             Check usernames directly
+  hytale-name check -n name1,name2 -n name3 (comma/space separated or a JSON array, repeatable)
+
+Wordlists are streamed: checking starts with the first line, names are
+checked in input order, and repeats are skipped with a fixed-size filter
+instead of keeping every name in memory. Spellings that only differ in case
+(or look-alike characters with --fold homoglyphs) are checked once and share
+the answer; variants.txt lists which spelling each one was checked as.
+
+Workers take names as they need them and an idle worker takes over part of
+a busy one's backlog, so one slow or rate-limited worker doesn't hold up the
+end of a run. Resize the pool while it runs: kill -TTIN <pid> adds a worker,
+kill -TTOU <pid> retires one.
+
+${CHECK_OPTIONS}
+  -n, --names LIST     Usernames to check instead of a wordlist
+  --suggest N          If a single name is taken, check close variants and list up to N available ones
+
+${c.bold}Output:${c.reset}
+  available.txt   Available usernames
+  taken.txt       Taken usernames
+  errors.txt      Failed checks (username, reason, error category)
+  rejected.txt    Names failing the username rules, never sent to the API (username + reason)
+  ${DB_FILE}  Every check with status, time, latency and error history
+  ${RUNS_DIR}/      Each run's results, named by --tag (compare with diff, summarize with stats)
+  results.FMT     With --format: username, status, ttc, error, category, attempts, timestamp
+
+${EXIT_CODES}
+
+${c.bold}Examples:${c.reset}
+  hytale-name check names.txt -w 4 -c 100        # Custom parallelism
+  hytale-name check names.txt --rps 20           # Polite: at most 20 requests/second
+  hytale-name check list.txt -f grape -a         # Resume from "grape"
+  hytale-name check list.txt --resume            # Continue after Ctrl+C
+  hytale-name check -n coolname --suggest 5      # Taken? List 5 available look-alikes
+  hytale-name check -n coolname -q && echo free  # Scripts: exit code 0 means available
+  hytale-name check list.txt --max-age 7d        # Only re-check stale or never-checked names
+  hytale-name check list.txt --format ndjson | jq -r 'select(.status=="available").username'
+  hytale-name check list.txt -e http://localhost:3000   # Use a local mock or caching proxy
+  hytale-name check list.txt --profile gentle    # Settings from the config file's "gentle" profile
+`);
+}
+
+export function printRetryHelp() {
+  console.log(`
+${c.bold}hytale-name retry${c.reset} - Re-check usernames whose last check failed
+
+${c.bold}Usage:${c.reset}
+  hytale-name retry                  Retry failures recorded in ./${DB_FILE} or ./errors.txt
+  hytale-name retry names.txt        Look next to names.txt first
+  hytale-name retry -w 2 -c 30       Gentle retry
+  hytale-name retry --only rate_limited,timeout
+
+Resolved names are appended to available.txt / taken.txt and errors.txt is
+rewritten with only the names still failing. Names the API rejected for good
+(${PERMANENT.join(', ')}) are skipped unless picked with --only.
+
+${CHECK_OPTIONS}
+  --only CATEGORIES    Only retry these error categories (comma separated):
+                       ${CATEGORIES.join(', ')}
+
+${EXIT_CODES}
+`);
+}
+
+// Category of a recorded failure; ones recorded before categories existed are classified by their reason
+function categoryOf(category, reason) {
+  return CATEGORIES.includes(category) ? category : classify({ message: reason || '' });
+}
+
+// `check` input: one wordlist, "-" for stdin, or --names
+function checkInput(args) {
+  if (args.names && args.positional.length) throw usageError('Give either a wordlist or --names, not both');
+  if (args.names) return { inputNames: args.names, isSingleUsername: true };
+  if (args.positional.length === 0) throw usageError('Nothing to check: give a wordlist, - for stdin, or --names');
+  if (args.positional.length > 1) {
+    throw usageError(`check takes one wordlist, got ${args.positional.length} (use --names a,b,c to check usernames)`);
+  }
+  const [input] = args.positional;
+  if (input === '-') {
+    if (process.stdin.isTTY) throw usageError('check - reads usernames from stdin; pipe a list in');
+    return { source: 'stdin' };
+  }
+  const inputPath = path.resolve(input);
+  if (!fs.existsSync(inputPath) || !fs.statSync(inputPath).isFile()) {
+    const hint = ALLOWED_RE.test(input) ? ` (to check the username, use: hytale-name check -n ${input})` : '';
+    throw usageError(`File not found: ${inputPath}${hint}`);
+  }
+  return { inputPath };
+}
+
+// Bare `hytale-name <input>`: an existing file wins, otherwise names
+function guessInput(args) {
+  if (args.names || args.positional.includes('-')) return checkInput(args);
+  if (!args.list) throw usageError('Nothing to check: give a wordlist or usernames');
+  const parsed = parseUsernames(args.list);
+  if (parsed.length > 1) return { inputNames: parsed, isSingleUsername: true };
+  const resolved = path.resolve(args.list);
+  if (fs.existsSync(resolved) && fs.statSync(resolved).isFile()) return { inputPath: resolved };
+  if (parsed.length === 1 && ALLOWED_RE.test(parsed[0])) return { inputNames: parsed, isSingleUsername: true };
+  throw usageError(`File not found: ${resolved}`);
+}
+
+export async function checkCommand(argv, command = 'check') {
+  const args = parseArgs(argv);
+  setLengthLimits(args.minLen ?? undefined, args.maxLen ?? undefined);
+  if (args.help) {
+    (command === 'retry' ? printRetryHelp : printCheckHelp)();
+    process.exit(0);
+  }
+  return runCheck(args, { command });
+}
+
+// command: check, retry, generate or null for the bare shorthand. generate
+// passes its candidates as an iterable (streamed like a wordlist) and
+// `generatedId`, which tells a checkpoint whose candidates it holds.
+export async function runCheck(args, { command = 'check', generated = null, generatedId = null } = {}) {
+  // With --format (or --summary-json -), stdout carries only records - human-readable output moves to stderr
+  if (args.format && args.summaryJson === '-') throw usageError('--summary-json - and --format both write to stdout; give --summary-json a file');
+  const log = args.format || args.summaryJson === '-' ? console.error : console.log;
+  
+  // Track resolved usernames in retry mode
+  const resolvedUsers = new Set();
+  const legacyErrors = new Map(); // username -> { reason, category }, from an errors.txt the db doesn't know about
+
+  // Work out what to check and where the results go
+  const baseDir = args.outDir || CWD; // --out-dir / outDir from the config, else the current directory
+  let outputDir = baseDir;
+  let inputPath = null; // Wordlist file
+  let inputNames = null; // Usernames given directly (retry, --names) instead of a file or stdin
+  let source = null; // Checkpoint source when there is no file
+  const isRetryMode = command === 'retry';
+  if (args.only && !isRetryMode) throw usageError('--only picks which failures to retry; use it with retry');
+  let isSingleUsername = false; // Names given inline get minimal output
+  let store = null;
+  const dbPath = dir => args.db ? path.resolve(args.db) : path.join(dir, DB_FILE);
+  
+  if (isRetryMode) {
+    // In retry mode, if a wordlist is provided, use its directory for errors.txt lookup
+    if (args.positional.length) {
+      const listPath = path.resolve(args.positional[0]);
+      if (fs.existsSync(listPath)) {
+        outputDir = path.dirname(listPath);
+      }
+    }
+    
+    // Look for the results db or errors.txt in the output directory
+    const hasErrors = dir => fs.existsSync(dbPath(dir)) || fs.existsSync(path.join(dir, 'errors.txt'));
+    if (!hasErrors(outputDir)) {
+      // Fallback to the default output directory
+      if (hasErrors(baseDir)) {
+        outputDir = baseDir;
+      } else {
+        console.error(`${c.red}No ${DB_FILE} or errors.txt found in ${outputDir} or ${baseDir}${c.reset}`);
+        process.exit(1);
+      }
+    }
+    
+    // Failed names come from the db; an errors.txt from older runs is still honored
+    store = openStore(dbPath(outputDir));
+    const failed = store.byStatus('error').map(r => ({ username: r.username, category: categoryOf(r.category, r.error) }));
+    const errFilePathFinal = path.join(outputDir, 'errors.txt');
+    if (fs.existsSync(errFilePathFinal)) {
+      // Tab-separated: username\treason\tcategory (no category before error categories existed)
+      for (const line of fs.readFileSync(errFilePathFinal, 'utf8').split(/\r?\n/)) {
+        const [username, reason = 'Unknown', category] = line.split('\t');
+        if (!username?.trim() || store.has(username.trim())) continue;
+        legacyErrors.set(username.trim(), { reason, category: categoryOf(category, reason) });
+        failed.push({ username: username.trim(), category: categoryOf(category, reason) });
+      }
+    }
+    // --only picks categories; otherwise everything but permanent rejections
+    const wanted = f => (args.only ? args.only.includes(f.category) : !PERMANENT.includes(f.category));
+    const retryUsers = failed.filter(wanted).map(f => f.username);
+    const skippedFailures = failed.length - retryUsers.length;
+    if (retryUsers.length === 0) {
+      log(`${c.green}No errors to retry!${c.reset}${skippedFailures ? ` ${c.dim}(${skippedFailures} ${args.only ? 'in other categories' : `rejected for good: ${PERMANENT.join(', ')}`})${c.reset}` : ''}`);
+      if (args.summaryJson) writeSummaryJson(args.summaryJson, buildSummary({ command: 'retry', stillFailing: skippedFailures, outputDir }));
+      process.exit(EXIT.available);
+    }
+    inputNames = retryUsers;
+    log(`${c.cyan}Retrying ${retryUsers.length} failed usernames from ${outputDir}${args.only ? ` (${args.only.join(', ')})` : ''}...${c.reset}`);
+    if (skippedFailures) {
+      const why = args.only ? 'in other categories' : `rejected for good (${PERMANENT.join(', ')}) - retry them with --only`;
+      log(`${c.dim}Skipping ${skippedFailures} ${why}${c.reset}`);
+    }
+    log();
+  } else if (generated) {
+    source = 'generated';
+  } else {
+    ({ inputPath = null, inputNames = null, source = null, isSingleUsername = false } = command === 'check' ? checkInput(args) : guessInput(args));
+    if (inputPath && args.local) outputDir = path.dirname(inputPath);
+  }
+  // Wordlists, stdin and generated names are streamed; inline and retry names are in memory already
+  const streamed = !inputNames;
+  if (args.suggest && !(isSingleUsername && inputNames.length === 1)) {
+    throw usageError('--suggest works with a single username, e.g. hytale-name check -n coolname --suggest 5');
+  }
+
+  // For single username, default to minimal output unless verbose flag is set
+  // For file-based checks, default to verbose output
+  const verbose = isSingleUsername ? (args.verbose || false) : (args.verbose !== false);
+  const append = args.append || isRetryMode || args.resume; // Always append on retry and resume
+  
+  // Output files - use outputDir (--out-dir, CWD or input file's directory)
+  fs.mkdirSync(outputDir, { recursive: true });
+  const tag = args.tag ? `${args.tag}-` : '';
+  const availFile = path.join(outputDir, `${tag}available.txt`);
+  const takenFile = path.join(outputDir, `${tag}taken.txt`);
+  const errFile = path.join(outputDir, `${tag}errors.txt`);
+  const rejFile = path.join(outputDir, `${tag}rejected.txt`);
+  const variantsFile = path.join(outputDir, `${tag}variants.txt`);
+  const uncertainFile = path.join(outputDir, `${tag}uncertain.txt`);
+  const resultsFile = args.format ? path.join(outputDir, `${tag}results.${args.format}`) : null;
+
+  // Parallelism settings
+  const cpus = os.cpus().length;
+  const workers = args.workers || Math.min(8, cpus);
+  const conc = args.conc || 200;
+
+  store = store || openStore(dbPath(outputDir));
+  const maxAgeMs = args.maxAge ? parseDuration(args.maxAge) : null;
+  const verifyDelay = args.verifyDelay || '10s';
+
+  // Checkpointing covers wordlist and generated runs (retry progress already lives in the db)
+  const useCheckpoint = !isRetryMode && !isSingleUsername;
+  const cpFile = checkpointPath(outputDir, args.tag);
+  const fingerprint = inputPath ? fileFingerprint(inputPath) : generated ? generatedId : inputNames && useCheckpoint ? listHash(inputNames) : null;
+  let resumed = null;
+
+  // Handle --resume (skip exactly the names a previous run finished)
+  if (args.resume) {
+    resumed = useCheckpoint ? loadCheckpoint(cpFile) : null;
+    if (!resumed) {
+      console.error(`${c.red}No checkpoint found at ${path.relative(CWD, cpFile) || cpFile}${c.reset}`);
+      process.exit(1);
+    }
+    // Stdin can't be fingerprinted up front; checkpoints from older versions carry none
+    if (resumed.fingerprint && fingerprint && resumed.fingerprint !== fingerprint) {
+      console.error(`${c.red}Checkpoint ${path.relative(CWD, cpFile)} belongs to a different list (${resumed.source})${c.reset}`);
+      process.exit(1);
+    }
+  }
+
+  // Only show header info if verbose mode
+  if (verbose) {
+    log(`${c.bold}${c.cyan}━━━ Hytale Username Checker ━━━${c.reset}`);
+    if (streamed) {
+      log(`${c.dim}Input:${c.reset} ${c.bold}${inputPath ? path.relative(CWD, inputPath) || inputPath : generated ? 'generated names' : 'stdin'}${c.reset} ${c.dim}(streamed)${c.reset}`);
+    } else {
+      log(`${c.dim}Input:${c.reset} ${c.bold}${inputNames.length.toLocaleString()}${c.reset} ${c.dim}${isRetryMode ? 'failed names' : 'names'}${c.reset}`);
+    }
+    if (args.from || args.start > 1) {
+      log(`${c.dim}Starting at:${c.reset} ${c.yellow}${args.from || `name ${args.start}`}${c.reset}`);
+    }
+    if (resumed) {
+      log(`${c.dim}Resuming:${c.reset} ${c.yellow}checkpoint${c.reset} ${c.dim}(${(resumed.mark + resumed.finished.size).toLocaleString()} names already done)${c.reset}`);
+    }
+    if (maxAgeMs !== null) {
+      log(`${c.dim}Max age:${c.reset} ${c.yellow}${args.maxAge}${c.reset} ${c.dim}(names checked more recently are skipped)${c.reset}`);
+    }
+    if (args.verify) {
+      const via = args.verifyEndpoint || args.verifyProvider;
+      log(`${c.dim}Verify:${c.reset} ${c.yellow}${args.verify}×${c.reset} more per available name, ${verifyDelay} apart${via ? ` ${c.dim}via${c.reset} ${via}` : ''}`);
+    }
+    if (args.configFile) {
+      log(`${c.dim}Config:${c.reset} ${path.relative(CWD, args.configFile) || args.configFile}${args.profile ? ` ${c.dim}(profile${c.reset} ${c.bold}${args.profile}${c.reset}${c.dim})${c.reset}` : ''}`);
+    }
+    log(`${c.dim}Parallel:${c.reset} ${c.bold}${workers}${c.reset} workers × ${conc} = ${c.yellow}~${workers * conc}${c.reset}`);
+    if (args.sleep) {
+      log(`${c.dim}Sleep:${c.reset} ${c.yellow}${args.sleep}s${c.reset} between requests`);
+    }
+    if (args.rps) {
+      log(`${c.dim}Rate:${c.reset} ${c.yellow}≤${args.rps}/s${c.reset} across all workers`);
+    }
+    const outputPath = args.local ? path.relative(CWD, outputDir) : path.relative(CWD, outputDir) || '.';
+    log(`${c.dim}Output:${c.reset} ${c.bold}${outputPath}/${tag}*.txt${c.reset}${resultsFile ? ` + ${c.bold}${path.basename(resultsFile)}${c.reset}` : ''}${append ? ` ${c.yellow}(append)${c.reset}` : ''}`);
+    log();
+  }
+
+  let checked = 0, avail = 0, taken = 0, errs = 0, uncertain = 0, permanentErrs = 0, lastUser = '';
+  // Other spellings sharing a checked name's answer: counted here, not in the totals above
+  const shared = { available: 0, taken: 0, uncertain: 0, error: 0 };
+
+  const flag = append ? 'a' : 'w';
+  const availStream = fs.createWriteStream(availFile, { flags: flag });
+  const takenStream = fs.createWriteStream(takenFile, { flags: flag });
+  const rejStream = fs.createWriteStream(rejFile, { flags: flag });
+  
+  // For retry mode, we collect errors in memory instead of streaming
+  // For normal mode, stream to file
+  let errStream = null;
+  if (!isRetryMode) {
+    errStream = fs.createWriteStream(errFile, { flags: flag });
+  }
+  let variantsStream = null; // Opened with the first variant, so most runs leave none
+  const uncertainStream = args.verify ? fs.createWriteStream(uncertainFile, { flags: flag }) : null;
+
+  const start = Date.now();
+
+  // Structured output: one formatter for stdout, one for the results file
+  // (json is always rewritten - appending to a JSON array would corrupt it)
+  let stdoutFmt = null, resultsFmt = null, resultsStream = null;
+  if (args.format) {
+    stdoutFmt = createFormatter(args.format);
+    resultsFmt = createFormatter(args.format);
+    const appendResults = append && args.format !== 'json' && fs.existsSync(resultsFile) && fs.statSync(resultsFile).size > 0;
+    resultsStream = fs.createWriteStream(resultsFile, { flags: appendResults ? 'a' : 'w' });
+    process.stdout.write(stdoutFmt.begin());
+    if (!appendResults) resultsStream.write(resultsFmt.begin());
+  }
+
+  function endResults() {
+    if (!resultsStream) return;
+    process.stdout.write(stdoutFmt.end());
+    resultsStream.end(resultsFmt.end());
+    resultsStream = null;
+  }
+
+  // Rejected names never reach the API, but still show up in the output
+  const firstRejected = []; // Shown if nothing at all was checkable
+  function reject(username, problem) {
+    rejStream.write(`${username}\t${problem.reason}\n`);
+    if (firstRejected.length < 10) firstRejected.push({ username, ...problem });
+    if (resultsStream) {
+      const rec = toRecord({ username, status: 'rejected', error: problem.reason, attempts: 0 });
+      process.stdout.write(stdoutFmt.line(rec));
+      resultsStream.write(resultsFmt.line(rec));
+    } else if (isSingleUsername && !args.quiet) {
+      log(`${c.dim}⊘${c.reset} ${c.dim}|${c.reset} ${username.padEnd(MAX_LEN)} ${c.dim}|${c.reset} ${c.dim}${problem.reason}${c.reset}`);
+    }
+  }
+
+  const checkpoint = useCheckpoint
+    ? createCheckpoint(cpFile, { source: inputPath || source, fingerprint, mark: resumed?.mark, startedAt: resumed?.startedAt })
+    : null;
+  if (checkpoint) checkpoint.start();
+
+  // --ui swaps the line per result for a redrawn dashboard, but only on a terminal; --quiet drops both
+  const useDashboard = args.ui && !args.quiet && !args.format && process.stdout.isTTY;
+  const lineOutput = !args.format && !useDashboard && !args.quiet;
+  let dashboard = null;
+
+  // The input pipeline: names are deduped, validated and filtered one at a
+  // time as the workers ask for them. Positions number the input's names, so
+  // a checkpoint can tell exactly which ones are done.
+  const input = { read: 0, duplicates: 0, rejected: 0, skipped: 0, fresh: 0, queued: 0, variants: 0, ended: false };
+  const seen = createDedupe({ exact: !streamed });
+  // Other spellings of a queued name (--fold) wait for its answer instead of being checked
+  const fold = args.fold || 'case';
+  const variants = fold === 'none' ? null : createVariantIndex({ fold, exact: !streamed });
+  let fromFound = !args.from;
+
+  async function* candidates() {
+    let seq = 0;
+    for await (const raw of generated || (streamed ? readLines(inputPath || '-') : inputNames)) {
+      const username = raw.trim();
+      if (!username) continue;
+      seq++;
+      input.read++;
+      // Before the checkpoint's mark everything is done; still remember it for dedupe
+      if (resumed && seq <= resumed.mark) {
+        seen.add(username);
+        continue;
+      }
+      if (!seen.add(username)) {
+        input.duplicates++;
+        if (checkpoint) checkpoint.skip(seq);
+        continue;
+      }
+      const problem = validateUsername(username);
+      if (problem) {
+        input.rejected++;
+        reject(username, problem);
+        if (checkpoint) checkpoint.skip(seq);
+        continue;
+      }
+      // --start N (Nth name of the input) and --from NAME skip everything before them
+      if (!fromFound && username.toLowerCase() === args.from.toLowerCase()) fromFound = true;
+      const before = !fromFound || (args.start && seq < args.start);
+      // --max-age skips names with a recent available/taken answer in the db
+      const isFresh = !before && maxAgeMs !== null && store.isFresh(username, maxAgeMs);
+      if (before || isFresh || resumed?.finished.has(username)) {
+        if (before) input.skipped++;
+        if (isFresh) input.fresh++;
+        if (checkpoint) checkpoint.skip(seq);
+        continue;
+      }
+      if (checkpoint) checkpoint.queue(seq, username);
+      const variant = variants && variants.join(username);
+      if (variant) {
+        input.variants++;
+        if (variant.answer) processVariant(variant.answer, username);
+        continue;
+      }
+      input.queued++;
+      yield username;
+    }
+    input.ended = true;
+    if (dashboard) dashboard.setTotal(input.queued);
+  }
+
+  // Wordlist, stdin, generated and retry runs go into the run history (inline
+  // names don't). Opened with the first result, so a run that checks nothing leaves none.
+  let history = null;
+  const historyFor = () => {
+    if (!history && !isSingleUsername) {
+      history = openRun(runsDirFor(store.file), { tag: args.tag, source: inputPath || source || (isRetryMode ? 'retry' : null), resume: append });
+    }
+    return history;
+  };
+
+  // Within one invocation a name is checked once; a continued run (--append,
+  // --resume, retry) may have it from before, and the db's record says what it
+  // was if that check came after the run started
+  function record(r) {
+    historyFor(); // Opened first, so the run starts before its first check lands in the db
+    const earlier = history && append ? store.get(r.username) : null;
+    store.record(r);
+    if (history) history.record(r, earlier && earlier.checkedAt >= history.meta.startedAt ? earlier.status : null);
+  }
+
+  function processResult(r) {
+    // --verify: an available answer only counts once the re-checks agree (variants share the outcome)
+    if (verifier && r.available === true && r.verified === undefined && !r.variantOf) {
+      verifier.add(r);
+      return;
+    }
+    if (r.variantOf) {
+      shared[statusOf(r)]++;
+      // The db and run history are case-insensitive: a case variant is already in there
+      if (r.variantOf.toLowerCase() !== r.username.toLowerCase()) record(r);
+    } else {
+      checked++;
+      if (dashboard) dashboard.add(r);
+      record(r);
+    }
+    if (checkpoint) checkpoint.add(r.username);
+    if (resultsStream) {
+      const rec = toRecord(r);
+      process.stdout.write(stdoutFmt.line(rec));
+      resultsStream.write(resultsFmt.line(rec));
+    }
+    lastUser = r.username;
+    const via = r.variantOf ? ` ${c.dim}|${c.reset} ${c.dim}≡ ${r.variantOf}${c.reset}` : '';
+    if (r.available === true) {
+      if (!r.variantOf) avail++;
+      availStream.write(r.username + '\n');
+      resolvedUsers.add(r.username); // Track as resolved
+      // Always show verbose output (default behavior)
+      if (lineOutput) log(`${c.green}✔${c.reset} ${c.dim}|${c.reset} ${r.username.padEnd(MAX_LEN)} ${c.dim}|${c.reset} ${r.ttc}ms${via}`);
+    } else if (r.available === false) {
+      if (!r.variantOf) taken++;
+      takenStream.write(r.username + '\n');
+      resolvedUsers.add(r.username); // Track as resolved
+      // Always show verbose output (default behavior)
+      if (lineOutput) log(`${c.red}✗${c.reset} ${c.dim}|${c.reset} ${r.username.padEnd(MAX_LEN)} ${c.dim}|${c.reset} ${r.ttc}ms${via}`);
+    } else if (r.uncertain) {
+      if (!r.variantOf) uncertain++;
+      uncertainStream.write(`${r.username}\t${r.answers.join(', ')}\n`);
+      resolvedUsers.add(r.username);
+      if (lineOutput) log(`${c.yellow}?${c.reset} ${c.dim}|${c.reset} ${r.username.padEnd(MAX_LEN)} ${c.dim}|${c.reset} ${r.ttc}ms ${c.dim}|${c.reset} ${c.yellow}uncertain${c.reset} ${c.dim}(${r.answers.join(', ')})${c.reset}${via}`);
+    } else {
+      if (!r.variantOf) {
+        errs++;
+        if (PERMANENT.includes(r.category)) permanentErrs++;
+      }
+      // In retry mode errors.txt is regenerated from the db afterwards
+      if (errStream) errStream.write(`${r.username}\t${r.error || 'Unknown'}\t${r.category}\n`);
+      // Always show verbose output (default behavior)
+      if (lineOutput) log(`${c.yellow}⚠${c.reset} ${c.dim}|${c.reset} ${r.username.padEnd(MAX_LEN)} ${c.dim}|${c.reset} ${r.ttc}ms ${c.dim}|${c.reset} ${c.yellow}${r.error}${c.reset} ${c.dim}(${r.category})${c.reset}${via}`);
+    }
+    if (variants && !r.variantOf) for (const spelling of variants.settle(r)) processVariant(r, spelling);
+  }
+
+  // Another spelling gets the checked one's answer; variants.txt says which
+  function processVariant(r, username) {
+    if (!variantsStream) variantsStream = fs.createWriteStream(variantsFile, { flags: flag });
+    variantsStream.write(`${username}\t${r.username}\n`);
+    processResult({ ...r, username, variantOf: r.username });
+  }
+
+  const sleepMs = args.sleep ? args.sleep * 1000 : 0;
+  const httpBatchSize = args.batch || 1; // HTTP requests batch size
+
+  const checkOptions = {
+    workers,
+    concurrency: conc,
+    sleepMs,
+    batchSize: httpBatchSize,
+    provider: args.provider || undefined,
+    endpoint: args.endpoint,
+    rps: args.rps,
+    retries: args.retries ?? undefined,
+    retryPolicy: args.retryPolicy,
+    timeoutMs: args.timeout ? args.timeout * 1000 : undefined,
+    dedupe: false, // candidates() already did
+  };
+
+  // Available hits are re-checked in batches as their delay runs out; on the
+  // same endpoint they share the run's rate limits
+  const verifyElsewhere = !!(args.verifyEndpoint || args.verifyProvider);
+  const verifier = args.verify ? createVerifier({
+    rounds: args.verify,
+    delayMs: parseDuration(verifyDelay),
+    onResult: processResult,
+    check: async names => {
+      const results = [];
+      const verifying = checkUsernames(names, {
+        ...checkOptions,
+        workers: 1,
+        provider: args.verifyProvider || checkOptions.provider,
+        endpoint: args.verifyEndpoint || (args.verifyProvider ? null : checkOptions.endpoint),
+        rateController: verifyElsewhere ? null : run.rate,
+      });
+      verifying.on('result', r => results.push(r));
+      if (metrics) metrics.attach(verifying, { verify: true });
+      await verifying.done;
+      return results;
+    },
+  }) : null;
+  const run = checkUsernames(candidates(), checkOptions);
+  run.on('result', processResult);
+
+  // Counters, latency and queue depth for graphing a long run while it goes
+  const metrics = args.metricsPort !== null || args.metricsFile ? createMetrics({ run }) : null;
+  let metricsServer = null, metricsFile = null;
+  if (args.metricsPort !== null) {
+    metricsServer = await serveMetrics(metrics, { port: args.metricsPort }).catch(e => {
+      throw usageError(`Can't serve metrics on port ${args.metricsPort}: ${e.message}`);
+    });
+    if (verbose) log(`${c.dim}Metrics:${c.reset} ${c.bold}http://127.0.0.1:${metricsServer.address().port}/metrics${c.reset}\n`);
+  }
+  if (args.metricsFile) metricsFile = writeMetricsFile(metrics, path.resolve(args.metricsFile));
+  function stopMetrics() {
+    if (metricsServer) {
+      metricsServer.close();
+      metricsServer.closeAllConnections();
+    }
+    if (metricsFile) metricsFile.stop();
+  }
+  if (useDashboard) {
+    dashboard = createDashboard({ total: streamed ? null : inputNames.length, workers, rate: run.rate, queue: run.scheduler });
+    dashboard.start();
+  }
+
+  // The totals as data: --summary-json and the exit code
+  function report(totals = {}) {
+    const rate = run.rate.stats();
+    const summary = buildSummary({
+      command: isRetryMode ? 'retry' : command || 'check',
+      ms: Date.now() - start,
+      input,
+      checked,
+      available: avail,
+      taken,
+      errors: errs,
+      permanentErrors: permanentErrs,
+      uncertain,
+      confirmed: verifier ? verifier.stats.confirmed : null,
+      rateLimited: rate.rateLimited,
+      serverErrors: rate.serverErrors,
+      run: history ? history.id : null,
+      outputDir,
+      ...totals,
+    });
+    if (args.summaryJson) writeSummaryJson(args.summaryJson, summary);
+    return summary;
+  }
+
+  function closeOutputs() {
+    availStream.end();
+    takenStream.end();
+    rejStream.end();
+    if (errStream) errStream.end();
+    if (variantsStream) variantsStream.end();
+    if (uncertainStream) uncertainStream.end();
+    endResults();
+  }
+
+  process.on('SIGINT', () => {
+    if (dashboard) dashboard.stop();
+    stopMetrics();
+    closeOutputs();
+    store.close();
+    if (history) history.finish({ rejected: input.rejected, complete: false });
+    if (checkpoint) {
+      checkpoint.stop();
+      checkpoint.save();
+    }
+    log(`\n\n${c.yellow}━━━ Interrupted ━━━${c.reset}`);
+    log(`${c.dim}Progress:${c.reset} ${checked.toLocaleString()} checked${input.ended ? ` of ${input.queued.toLocaleString()}` : ` ${c.dim}(input still being read)${c.reset}`}`);
+    if (checkpoint) {
+      const argv = process.argv.slice(2);
+      const resumeArgs = argv.includes('--resume') ? argv : [...argv, '--resume'];
+      log(`${c.dim}Checkpoint:${c.reset} ${checkpoint.finished.toLocaleString()} names done → run ${c.cyan}hytale-name ${resumeArgs.join(' ')}${c.reset}`);
+    } else {
+      log(`${c.dim}Last:${c.reset} ${lastUser}`);
+    }
+    report({ complete: false });
+    process.exit(EXIT.interrupted);
+  });
+
+  // Resize the worker pool mid-run (same signals as gunicorn); not available on Windows
+  if (process.platform !== 'win32') {
+    const resized = idx => {
+      if (idx !== null && !dashboard) log(`${c.dim}Workers:${c.reset} ${run.workers}`);
+    };
+    process.on('SIGTTIN', () => resized(run.addWorker()));
+    process.on('SIGTTOU', () => resized(run.removeWorker()));
+  }
+
+  await run.done;
+  if (verifier) await verifier.finish();
+  stopMetrics();
+  if (dashboard) dashboard.stop();
+  closeOutputs();
+
+  // Nothing was sent - say why instead of printing an empty summary
+  if (input.queued === 0) {
+    store.close();
+    if (args.from && !fromFound) {
+      console.error(`${c.red}Username "${args.from}" not found in list.${c.reset}`);
+      report({ exitCode: EXIT.failed });
+      process.exit(EXIT.failed);
+    }
+    if (resumed) {
+      log(`${c.green}All ${input.read.toLocaleString()} usernames already finished - nothing to resume.${c.reset}`);
+      checkpoint.remove();
+      report();
+      process.exit(EXIT.available);
+    }
+    if (input.fresh > 0) {
+      log(`${c.green}All ${input.fresh.toLocaleString()} usernames checked within ${args.maxAge} - nothing to do.${c.reset}`);
+      if (checkpoint) checkpoint.remove();
+      report();
+      process.exit(EXIT.available);
+    }
+    if (checkpoint) checkpoint.remove();
+    console.error(`${c.red}No valid usernames (${MIN_LEN}-${MAX_LEN} chars, a-z 0-9 _).${c.reset}`);
+    for (const r of firstRejected) {
+      console.error(`${c.dim}⊘ | ${r.username.padEnd(MAX_LEN)} | ${r.reason}${c.reset}`);
+    }
+    if (input.rejected > firstRejected.length) console.error(`${c.dim}... ${input.rejected - firstRejected.length} more in ${path.relative(CWD, rejFile)}${c.reset}`);
+    report({ exitCode: EXIT.failed });
+    process.exit(EXIT.failed);
+  }
+  if (checkpoint) checkpoint.remove();
+
+  // --sort: reorder available.txt once it's complete (with --append, earlier runs' names too)
+  let ranked = null;
+  if (args.sort) {
+    await finished(availStream);
+    let names = [...new Set(fs.readFileSync(availFile, 'utf8').split('\n').map(s => s.trim()).filter(Boolean))];
+    if (args.sort === 'score') {
+      const scorer = createScorer({ weights: args.weights || undefined, words: args.dict ? await readWords(args.dict) : [] });
+      ranked = scorer.rank(names);
+      names = ranked.map(r => r.username);
+    } else {
+      names.sort((a, b) => a.toLowerCase().localeCompare(b.toLowerCase()));
+    }
+    fs.writeFileSync(availFile, names.join('\n') + (names.length ? '\n' : ''));
+  }
+
+  // --suggest: a taken name gets its closest available variants (recorded in the db, not the output files)
+  if (args.suggest && taken === 1) {
+    const { available, checked: tried, total } = await findAvailableVariants(lastUser, {
+      count: args.suggest,
+      check: async names => {
+        const results = [];
+        const variants = checkUsernames(names, { ...checkOptions, workers: 1 });
+        variants.on('result', r => {
+          store.record(r);
+          results.push(r);
+        });
+        await variants.done;
+        return results;
+      },
+    });
+    if (available.length) {
+      log(`${c.dim}Available instead of ${lastUser}:${c.reset}`);
+      for (const v of available) log(`${c.green}✔${c.reset} ${c.dim}|${c.reset} ${v.username.padEnd(MAX_LEN)} ${c.dim}|${c.reset} ${c.dim}${VARIANT_KINDS[v.kind]}${c.reset}`);
+    } else {
+      log(`${c.yellow}No available variants of ${lastUser}${c.reset} ${c.dim}(checked ${tried} of ${total})${c.reset}`);
+    }
+  }
+
+  // In retry mode, rewrite errors.txt from the db: everything still failing
+  let remaining = 0, permanent = 0;
+  if (isRetryMode) {
+    const stillFailing = store.byStatus('error').map(r => ({ username: r.username, reason: r.error, category: categoryOf(r.category, r.error) }));
+    // Keep errors.txt-only entries that weren't checked this time (rejected ones move to rejected.txt)
+    for (const [username, { reason, category }] of legacyErrors) {
+      if (!store.has(username) && validateUsername(username) === null) stillFailing.push({ username, reason, category });
+    }
+    const finalErrors = stillFailing.map(f => `${f.username}\t${f.reason}\t${f.category}`);
+    permanent = stillFailing.filter(f => PERMANENT.includes(f.category)).length;
+    remaining = stillFailing.length - permanent;
+    fs.writeFileSync(path.join(outputDir, 'errors.txt'), finalErrors.join('\n') + (finalErrors.length ? '\n' : ''));
+    
+    const cleared = resolvedUsers.size;
+    if (cleared > 0) {
+      log(`\n${c.green}✓ Cleared ${cleared} resolved usernames from errors.txt${c.reset}`);
+    }
+  }
+  store.close();
+  if (history) history.finish({ rejected: input.rejected });
+
+  const ms = Date.now() - start;
+
+  // Only show summary if verbose mode
+  if (verbose) {
+    log(`\n\n${c.bold}${c.green}━━━ Complete ━━━${c.reset}`);
+    log(`${c.dim}Time:${c.reset} ${c.bold}${fmtTime(ms)}${c.reset} (${fmtRate((checked/ms)*1000)}/s)`);
+    const notes = [
+      input.duplicates && `${input.duplicates.toLocaleString()} duplicates`,
+      input.rejected && `${input.rejected.toLocaleString()} rejected → ${tag}rejected.txt`,
+      input.skipped && `${input.skipped.toLocaleString()} skipped before ${args.from || `name ${args.start}`}`,
+      input.fresh && `${input.fresh.toLocaleString()} fresh within ${args.maxAge}`,
+    ].filter(Boolean);
+    log(`${c.dim}Checked:${c.reset} ${c.bold}${checked.toLocaleString()}${c.reset} of ${input.read.toLocaleString()} names${notes.length ? ` ${c.dim}(${notes.join(', ')})${c.reset}` : ''}`);
+    log(`${c.green}Available:${c.reset} ${c.bold}${avail}${c.reset}`);
+    if (ranked?.length) {
+      log(`${c.dim}Best:${c.reset} ${ranked.slice(0, 5).map(r => `${r.username} ${c.dim}(${r.score})${c.reset}`).join(', ')} ${c.dim}→ ${tag}available.txt is sorted by score${c.reset}`);
+    }
+    log(`${c.red}Taken:${c.reset} ${c.bold}${taken}${c.reset}`);
+    if (input.variants) {
+      const outcomes = Object.entries(shared).filter(([, n]) => n).map(([status, n]) => `${n} ${status === 'error' ? 'errors' : status}`);
+      log(`${c.dim}Variants:${c.reset} ${c.bold}${input.variants.toLocaleString()}${c.reset} other spellings share those answers${outcomes.length ? ` ${c.dim}(${outcomes.join(', ')})${c.reset}` : ''} ${c.dim}→ ${tag}variants.txt${c.reset}`);
+    }
+    if (verifier) {
+      log(`${c.dim}Verified:${c.reset} ${c.bold}${verifier.stats.confirmed}${c.reset} confirmed${uncertain ? `, ${c.yellow}${c.bold}${uncertain}${c.reset} uncertain → ${tag}uncertain.txt` : ''} ${c.dim}(${args.verify} more ${args.verify === 1 ? 'check' : 'checks'} each)${c.reset}`);
+    }
+    const rate = run.rate.stats();
+    if (rate.rateLimited || rate.serverErrors) {
+      log(`${c.dim}Backed off:${c.reset} ${rate.rateLimited} rate limited, ${rate.serverErrors} server errors ${c.dim}(concurrency settled at ${rate.limit})${c.reset}`);
+    }
+    if (history) {
+      log(`${c.dim}Run:${c.reset} ${c.bold}${history.id}${c.reset} ${c.dim}(compare with ${c.reset}${c.cyan}hytale-name diff${c.reset}${c.dim})${c.reset}`);
+    }
+    
+    // Show remaining errors
+    if (isRetryMode) {
+      if (remaining > 0) {
+        log(`${c.yellow}Still failing:${c.reset} ${c.bold}${remaining}${c.reset} → run ${c.cyan}hytale-name retry${c.reset} again`);
+      } else if (!permanent) {
+        log(`${c.green}All errors resolved!${c.reset} 🎉`);
+      }
+      if (permanent > 0) log(`${c.dim}Rejected by the API:${c.reset} ${c.bold}${permanent}${c.reset} ${c.dim}(${PERMANENT.join(', ')} - not retried)${c.reset}`);
+    } else if (errs > 0) {
+      const retryable = errs - permanentErrs;
+      log(`${c.yellow}Errors:${c.reset} ${c.bold}${errs}${c.reset}${permanentErrs ? ` ${c.dim}(${permanentErrs} rejected by the API)${c.reset}` : ''}${retryable ? ` → run ${c.cyan}hytale-name retry${c.reset}` : ''}`);
+    }
+  }
+
+  // Exit with the worst outcome (see summary.js) once the output is flushed
+  process.exitCode = report({ ms, stillFailing: isRetryMode ? remaining : null }).exitCode;
+}
@@ -0,0 +1,59 @@
+// completion.js - `hytale-name completion`: print a shell completion script
+
+import { c } from '../colors.js';
+import { OPTIONS, parseValue, usageError } from '../args.js';
+import { SHELLS, completionScript } from '../completion.js';
+import { LIST_OPERATIONS } from '../lists.js';
+import { GENERATE_OPTIONS } from './generate.js';
+import { WATCH_OPTIONS } from './watch.js';
+import { SERVE_OPTIONS } from './serve.js';
+import { MOCK_OPTIONS } from './mock.js';
+import { STATS_OPTIONS } from './stats.js';
+import { DIFF_OPTIONS } from './diff.js';
+import { EXPORT_OPTIONS } from './export.js';
+import { RANK_OPTIONS } from './rank.js';
+import { LISTS_OPTIONS } from './lists.js';
+
+// What completes after each command: its options and its first argument's words
+const COMPLETIONS = {
+  check: { options: OPTIONS },
+  retry: { options: OPTIONS },
+  generate: { options: GENERATE_OPTIONS },
+  watch: { options: WATCH_OPTIONS },
+  serve: { options: SERVE_OPTIONS },
+  mock: { options: MOCK_OPTIONS },
+  stats: { options: STATS_OPTIONS },
+  diff: { options: DIFF_OPTIONS },
+  export: { options: EXPORT_OPTIONS },
+  rank: { options: RANK_OPTIONS },
+  lists: { options: LISTS_OPTIONS, words: LIST_OPERATIONS },
+  completion: { words: SHELLS },
+};
+
+export function printCompletionHelp() {
+  console.log(`
+${c.bold}hytale-name completion${c.reset} - Tab completion for commands and options
+
+${c.bold}Usage:${c.reset}
+  source <(hytale-name completion bash)     In ~/.bashrc
+  source <(hytale-name completion zsh)      In ~/.zshrc, after compinit
+  hytale-name completion fish > ~/.config/fish/completions/hytale-name.fish
+
+Completes commands, each command's own options, the values of options with a
+fixed set of them (--format, --sort, --fold, --only), lists operations and
+shells. Regenerate the script after upgrading to pick up new options.
+`);
+}
+
+// commands: the top-level command names (index.js owns the list)
+export async function completionCommand(argv, commands) {
+  if (!argv.length || argv[0] === '-h' || argv[0] === '--help') {
+    printCompletionHelp();
+    process.exit(argv.length ? 0 : 1);
+  }
+  if (argv.length > 1) throw usageError(`Unexpected argument ${argv[1]}`);
+  const shell = parseValue('shell', argv[0], 'string', SHELLS);
+  // help takes a command name
+  const specs = commands.map(name => ({ name, ...(name === 'help' ? { words: commands.filter(cmd => cmd !== 'help') } : COMPLETIONS[name]) }));
+  process.stdout.write(completionScript(shell, { commands: specs }));
+}
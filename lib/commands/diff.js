@@ -0,0 +1,103 @@
+// diff.js - `hytale-name diff`: what changed between two runs or results databases
+
+import fs from 'fs';
+import path from 'path';
+import { c } from '../colors.js';
+import { parseArgs, pickOptions, CONFIG_OPTIONS, usageError } from '../args.js';
+import { loadRecords, DB_FILE } from '../store.js';
+import { runsDirFor, listRuns, loadRun } from '../history.js';
+import { MAX_LEN } from '../usernames.js';
+
+export const DIFF_OPTIONS = [
+  [['--all'], 'all', 'flag'],
+  [['--format'], 'json', 'string', ['json']], // Not the config's format: that one is for check's results
+  ...pickOptions('db', 'outDir'),
+  ...CONFIG_OPTIONS,
+];
+
+export function printDiffHelp() {
+  console.log(`
+${c.bold}hytale-name diff${c.reset} - What flipped between two runs
+
+${c.bold}Usage:${c.reset}
+  hytale-name diff                          Compare the last two runs
+  hytale-name diff week41 week42            Compare two runs by --tag (or id, see stats)
+  hytale-name diff old.db.jsonl ${DB_FILE}   Compare two results databases (.jsonl files)
+
+Names are compared by their last known answer (a later error doesn't count as a change):
+  ↑ taken → available    ↓ available → taken    + only in the new one    - only in the old one
+
+${c.bold}Options:${c.reset}
+  --all                Also list names only in one of the two (otherwise just counted)
+  --db FILE            Results database whose runs to compare (default: ${DB_FILE} in --out-dir or here)
+  --out-dir DIR        Directory holding the database
+  --format json        Print the changes as a JSON array
+`);
+}
+
+// Changes between two record maps (see store.js), in name order
+export function diffRecords(before, after) {
+  const changes = [];
+  for (const [key, rec] of after) {
+    const prev = before.get(key);
+    if (!prev) {
+      changes.push({ username: rec.username, change: 'added', before: null, after: rec.lastKnown ?? rec.status });
+    } else if (prev.lastKnown && rec.lastKnown && prev.lastKnown !== rec.lastKnown) {
+      changes.push({ username: rec.username, change: rec.lastKnown === 'available' ? 'freed' : 'claimed', before: prev.lastKnown, after: rec.lastKnown });
+    }
+  }
+  for (const [key, rec] of before) {
+    if (!after.has(key)) changes.push({ username: rec.username, change: 'removed', before: rec.lastKnown ?? rec.status, after: null });
+  }
+  return changes.sort((a, b) => a.username.toLowerCase().localeCompare(b.username.toLowerCase()));
+}
+
+const GLYPHS = {
+  freed: `${c.green}↑${c.reset}`,
+  claimed: `${c.red}↓${c.reset}`,
+  added: `${c.cyan}+${c.reset}`,
+  removed: `${c.dim}-${c.reset}`,
+};
+
+// A .jsonl path is a results database, anything else a run id
+const isDbFile = arg => arg.endsWith('.jsonl') || arg.includes('/') || arg.includes(path.sep);
+
+function loadSide(arg, runsDir) {
+  if (!isDbFile(arg)) return loadRun(runsDir, arg);
+  const file = path.resolve(arg);
+  if (!fs.existsSync(file)) throw usageError(`File not found: ${file}`);
+  return loadRecords(file);
+}
+
+export async function diffCommand(argv) {
+  const args = parseArgs(argv, { options: DIFF_OPTIONS });
+  if (args.help) {
+    printDiffHelp();
+    process.exit(0);
+  }
+  const { all } = args;
+
+  const dbFile = args.db ? path.resolve(args.db) : path.join(args.outDir || process.cwd(), DB_FILE);
+  const runsDir = runsDirFor(dbFile);
+  let sides = args.positional;
+  if (sides.length === 0) {
+    const runs = listRuns(runsDir);
+    if (runs.length < 2) throw usageError(`Need two runs to compare, found ${runs.length} in ${runsDir}`);
+    sides = runs.slice(-2).map(r => r.id);
+  }
+  if (sides.length !== 2) throw usageError('diff needs two runs or databases: hytale-name diff OLD NEW');
+
+  const changes = diffRecords(loadSide(sides[0], runsDir), loadSide(sides[1], runsDir));
+  const shown = all ? changes : changes.filter(ch => ch.change === 'freed' || ch.change === 'claimed');
+
+  if (args.json) {
+    console.log(JSON.stringify(shown, null, 2));
+    return;
+  }
+  console.log(`${c.bold}${c.cyan}━━━ ${sides[0]} → ${sides[1]} ━━━${c.reset}`);
+  for (const ch of shown) {
+    console.log(`${GLYPHS[ch.change]} ${c.dim}|${c.reset} ${ch.username.padEnd(MAX_LEN)} ${c.dim}|${c.reset} ${ch.before ?? '∅'} → ${ch.after ?? '∅'}`);
+  }
+  const count = type => changes.filter(ch => ch.change === type).length;
+  console.log(`\n${c.green}Freed:${c.reset} ${c.bold}${count('freed')}${c.reset}  ${c.red}Claimed:${c.reset} ${c.bold}${count('claimed')}${c.reset}  ${c.dim}Added: ${count('added')}  Removed: ${count('removed')}${all ? '' : ' (--all to list)'}${c.reset}`);
+}
@@ -0,0 +1,66 @@
+// export.js - `hytale-name export`: dump the results database as json, ndjson or csv
+
+import fs from 'fs';
+import path from 'path';
+import { c } from '../colors.js';
+import { parseArgs, pickOptions, CONFIG_OPTIONS, usageError } from '../args.js';
+import { loadRecords, DB_FILE } from '../store.js';
+import { FIELDS, createFormatter, toRecord } from '../format.js';
+
+const STATUSES = ['available', 'taken', 'error', 'uncertain'];
+
+export function printExportHelp() {
+  console.log(`
+${c.bold}hytale-name export${c.reset} - Dump the results database
+
+${c.bold}Usage:${c.reset}
+  hytale-name export > results.csv
+  hytale-name export --status available --format ndjson
+  hytale-name export --db other.jsonl -o results.json --format json
+
+${c.bold}Options:${c.reset}
+  --format FMT         json, ndjson or csv (default: csv)
+  --status S           Only names whose last check was S: available, taken, error or uncertain (repeatable)
+  -o, --output FILE    Write to FILE instead of stdout
+  --db FILE            Results database (default: ${DB_FILE} in --out-dir or the current directory)
+  --out-dir DIR        Directory holding the database
+
+Fields: ${FIELDS.join(', ')} - attempts is how often the name was checked, timestamp the last check.
+`);
+}
+
+export const EXPORT_OPTIONS = [
+  [['--status'], 'statuses', 'string', STATUSES, 'repeat'],
+  [['-o', '--output'], 'output', 'path'],
+  ...pickOptions('format', 'db', 'outDir'),
+  ...CONFIG_OPTIONS,
+];
+
+export async function exportCommand(argv) {
+  const args = parseArgs(argv, { options: EXPORT_OPTIONS });
+  const opts = { statuses: args.statuses || [], output: args.output };
+  if (args.help) {
+    printExportHelp();
+    process.exit(0);
+  }
+  if (args.positional.length) throw usageError(`export takes no inputs (use --db ${args.positional[0]})`);
+
+  const file = args.db ? path.resolve(args.db) : path.join(args.outDir || process.cwd(), DB_FILE);
+  if (!fs.existsSync(file)) throw usageError(`No results database at ${file}`);
+
+  const fmt = createFormatter(args.format || 'csv');
+  const out = opts.output ? fs.createWriteStream(path.resolve(opts.output)) : process.stdout;
+  let count = 0;
+  out.write(fmt.begin());
+  for (const rec of loadRecords(file).values()) {
+    if (opts.statuses.length && !opts.statuses.includes(rec.status)) continue;
+    out.write(fmt.line(toRecord({ username: rec.username, status: rec.status, ttc: rec.ttc, error: rec.error, category: rec.category, attempts: rec.checks }, rec.checkedAt)));
+    count++;
+  }
+  if (opts.output) {
+    await new Promise(resolve => out.end(fmt.end(), resolve));
+    console.error(`${c.green}✓ Exported ${count.toLocaleString()} records to ${opts.output}${c.reset}`);
+  } else {
+    out.write(fmt.end());
+  }
+}
@@ -0,0 +1,111 @@
+// generate.js - `hytale-name generate`: build candidate wordlists
+
+import fs from 'fs';
+import path from 'path';
+import { c } from '../colors.js';
+import { MIN_LEN, MAX_LEN, setLengthLimits, parseLines } from '../usernames.js';
+import { generateCandidates } from '../generate.js';
+import { parseArgs, usageError, OPTIONS } from '../args.js';
+import { listHash } from '../checkpoint.js';
+import { runCheck } from './check.js';
+
+export function printGenerateHelp() {
+  console.log(`
+${c.bold}hytale-name generate${c.reset} - Build username candidates (${MIN_LEN}-${MAX_LEN} chars, a-z 0-9 _)
+
+${c.bold}Usage:${c.reset}
+  hytale-name generate --pattern "[a-z]{3}"             Write candidates to stdout
+  hytale-name generate --pattern "[a-z]{4}" -o 4l.txt   Write candidates to a wordlist
+  hytale-name generate --pattern "cool[0-9]{2}" --check Check candidates right away
+
+${c.bold}Sources (combine freely, each repeatable):${c.reset}
+  --pattern P          [a-z0-9_] classes, {n} / {n,m} repeats, \\d \\w, literals
+  --template T         Pronounceable shape: C = consonant, V = vowel (e.g. CVCV)
+  --words FILE         Dictionary words, one per line
+  --prefix A,B,...     Prefixes for dictionary words
+  --suffix X,Y,...     Suffixes for dictionary words
+
+${c.bold}Options:${c.reset}
+  --leet               Add leetspeak spellings (a→4 e→3 i→1 o→0 s→5 t→7)
+  --limit N            Stop after N candidates
+  -o, --output FILE    Write to FILE instead of stdout
+  --check              Stream candidates into the checker (accepts all check options)
+`);
+}
+
+const splitList = v => String(v).split(',').map(s => s.trim()).filter(Boolean);
+
+function readWords(file) {
+  const resolved = path.resolve(file);
+  if (!fs.existsSync(resolved)) throw usageError(`--words file not found: ${resolved}`);
+  return parseLines(fs.readFileSync(resolved, 'utf8'));
+}
+
+// Generate's own options, then every check option for --check (except -n: the
+// names come from the sources)
+export const GENERATE_OPTIONS = [
+  [['--pattern'], 'patterns', 'string', null, 'repeat'],
+  [['--template'], 'templates', 'string', null, 'repeat'],
+  [['--words'], 'words', readWords, null, 'repeat'],
+  [['--prefix'], 'prefixes', splitList, null, 'repeat'],
+  [['--suffix'], 'suffixes', splitList, null, 'repeat'],
+  [['--leet'], 'leet', 'flag'],
+  [['--limit'], 'limit', 'count'],
+  [['-o', '--output'], 'output', 'path'],
+  [['--check'], 'check', 'flag'],
+  ...OPTIONS.filter(o => o[1] !== 'names'),
+];
+
+// Write candidates to a file or stdout, honoring backpressure for big sweeps
+export async function writeCandidates(g) {
+  const out = g.output ? fs.createWriteStream(path.resolve(g.output)) : process.stdout;
+  let count = 0, chunk = [];
+  const write = text => new Promise(resolve => out.write(text) ? resolve() : out.once('drain', resolve));
+  for (const name of generateCandidates(g)) {
+    chunk.push(name);
+    count++;
+    if (chunk.length >= 10000) {
+      await write(chunk.join('\n') + '\n');
+      chunk = [];
+    }
+  }
+  if (chunk.length) await write(chunk.join('\n') + '\n');
+  if (g.output) await new Promise(resolve => out.end(resolve));
+  return count;
+}
+
+export function hasSources(g) {
+  return g.patterns.length + g.templates.length + g.words.length > 0;
+}
+
+export async function generateCommand(argv) {
+  const args = parseArgs(argv, { options: GENERATE_OPTIONS });
+  const gen = { ...args, limit: args.limit ?? Infinity };
+  for (const key of ['patterns', 'templates', 'words', 'prefixes', 'suffixes']) gen[key] = args[key] || [];
+  setLengthLimits(args.minLen ?? undefined, args.maxLen ?? undefined);
+  if (args.help || !hasSources(gen)) {
+    printGenerateHelp();
+    process.exit(args.help ? 0 : 1);
+  }
+  if (args.positional.length) throw usageError(`generate takes no input files (got ${args.positional.join(' ')})`);
+  if (!gen.check) {
+    const count = await writeCandidates(gen);
+    if (gen.output) console.error(`${c.green}✓ Wrote ${count.toLocaleString()} candidates to ${gen.output}${c.reset}`);
+    return;
+  }
+  // Candidates stream into the checker; only the first is pulled here, to
+  // tell patterns that produce nothing from a run with nothing left to check
+  const candidates = generateCandidates(gen);
+  const first = candidates.next();
+  if (first.done) {
+    console.error(`${c.red}Patterns produced no valid usernames (${MIN_LEN}-${MAX_LEN} chars, a-z 0-9 _)${c.reset}`);
+    process.exit(1);
+  }
+  const generated = (function* () {
+    yield first.value;
+    yield* candidates;
+  })();
+  const { patterns, templates, words, prefixes, suffixes, leet, limit } = gen;
+  const generatedId = listHash([JSON.stringify({ patterns, templates, words, prefixes, suffixes, leet, limit })]);
+  return runCheck(args, { command: 'generate', generated, generatedId });
+}
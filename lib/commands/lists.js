@@ -0,0 +1,122 @@
+// lists.js - `hytale-name lists`: combine and filter wordlists before a run
+
+import fs from 'fs';
+import path from 'path';
+import { c } from '../colors.js';
+import { parseArgs, pickOptions, CONFIG_OPTIONS, usageError } from '../args.js';
+import { MIN_LEN, MAX_LEN, CHAR_CLASSES, setLengthLimits } from '../usernames.js';
+import { loadRecords, isAnswer, DB_FILE } from '../store.js';
+import { parseDuration } from '../duration.js';
+import { LIST_OPERATIONS, readList, combine, parseLengthRange, createListFilter } from '../lists.js';
+
+export function printListsHelp() {
+  console.log(`
+${c.bold}hytale-name lists${c.reset} - Combine and filter wordlists before a run
+
+${c.bold}Usage:${c.reset}
+  hytale-name lists union a.txt b.txt            Names in any of the lists
+  hytale-name lists intersect a.txt b.txt        Names in every list
+  hytale-name lists subtract new.txt taken.txt   Names in the first list but none of the others
+  hytale-name lists filter words.txt --length 4 --class letters
+  cat words.txt | hytale-name lists subtract - available.txt taken.txt -o todo.txt
+
+Names are compared case-insensitively (--fold homoglyphs also matches 0/o and
+1/l; --fold none compares exact spellings) and come out once, in input
+order. Only the first tab-separated field of a line counts, so the output
+files of a run (errors.txt, uncertain.txt, ...) work as lists too. Names the
+checker would reject (${MIN_LEN}-${MAX_LEN} characters, a-z 0-9 _) are always dropped.
+
+${c.bold}Filters:${c.reset}
+  --length RANGE       Keep names of this length: 4, 3-6, 5- or -8
+  --match REGEX        Keep names matching REGEX, case-insensitive (repeatable: all must match)
+  --exclude REGEX      Drop names matching REGEX (repeatable)
+  --class CLASS        Keep letters, digits, mixed and/or underscore names (comma-separated)
+  --exclude-checked    Drop names with an answer in the results db (with --max-age: a recent one)
+
+${c.bold}Options:${c.reset}
+  -o, --output FILE    Write to FILE instead of stdout
+  --fold MODE          Which spellings are the same name: case (default), homoglyphs or none
+  --max-age AGE        With --exclude-checked: only answers newer than AGE count
+  --db FILE            Results database (default: ${DB_FILE} in --out-dir or the current directory)
+  --out-dir DIR        Directory holding the database
+`);
+}
+
+// Value types for the filters; their errors become usage errors naming the flag
+function regex(source) {
+  return new RegExp(source, 'i');
+}
+
+export const LISTS_OPTIONS = [
+  [['--length'], 'length', parseLengthRange],
+  [['--match'], 'match', regex, null, 'repeat'],
+  [['--exclude'], 'exclude', regex, null, 'repeat'],
+  [['--class'], 'classes', 'list', CHAR_CLASSES],
+  [['--exclude-checked'], 'excludeChecked', 'flag'],
+  [['-o', '--output'], 'output', 'path'],
+  ...pickOptions('fold', 'maxAge', 'db', 'outDir', 'minLen', 'maxLen'),
+  ...CONFIG_OPTIONS,
+];
+
+const DROPPED = {
+  invalid: 'not checkable',
+  length: 'length',
+  match: '--match',
+  exclude: '--exclude',
+  class: 'class',
+  checked: 'already checked',
+};
+
+export async function listsCommand(argv) {
+  const args = parseArgs(argv, { options: LISTS_OPTIONS });
+  const opts = { ...args, match: args.match || [], exclude: args.exclude || [] };
+  setLengthLimits(args.minLen ?? undefined, args.maxLen ?? undefined);
+  if (args.help || !args.positional.length) {
+    printListsHelp();
+    process.exit(args.help ? 0 : 1);
+  }
+
+  const [operation, ...files] = args.positional;
+  if (!LIST_OPERATIONS.includes(operation)) throw usageError(`Unknown operation "${operation}" (use ${LIST_OPERATIONS.join(', ')})`);
+  const minFiles = operation === 'filter' || operation === 'union' ? 1 : 2;
+  if (files.length < minFiles) throw usageError(`lists ${operation} needs ${minFiles === 1 ? 'a list' : 'at least two lists'}`);
+  if (files.filter(f => f === '-').length > 1) throw usageError('Only one list can come from stdin (-)');
+  if (files.includes('-') && process.stdin.isTTY) throw usageError('- reads a list from stdin; pipe one in');
+  for (const file of files) {
+    if (file !== '-' && !fs.existsSync(file)) throw usageError(`File not found: ${path.resolve(file)}`);
+  }
+
+  // --exclude-checked: answers in the results db (--max-age narrows it to recent ones)
+  let isChecked = null;
+  if (opts.excludeChecked) {
+    const dbFile = args.db ? path.resolve(args.db) : path.join(args.outDir || process.cwd(), DB_FILE);
+    if (!fs.existsSync(dbFile)) throw usageError(`--exclude-checked: no results database at ${dbFile}`);
+    const records = loadRecords(dbFile);
+    const maxAgeMs = args.maxAge ? parseDuration(args.maxAge) : Infinity;
+    const now = Date.now();
+    isChecked = name => {
+      const rec = records.get(name.toLowerCase());
+      return !!rec && isAnswer(rec.status) && now - rec.checkedAt <= maxAgeMs;
+    };
+  }
+
+  const lists = [];
+  for (const file of files) lists.push(await readList(file));
+  const combined = combine(operation, lists, { fold: args.fold || 'case' });
+
+  const filter = createListFilter({ length: opts.length, match: opts.match, exclude: opts.exclude, classes: opts.classes, isChecked });
+  const dropped = {};
+  const kept = combined.filter(name => {
+    const reason = filter(name);
+    if (reason) dropped[reason] = (dropped[reason] || 0) + 1;
+    return !reason;
+  });
+
+  const out = opts.output ? fs.createWriteStream(path.resolve(opts.output)) : process.stdout;
+  for (const name of kept) out.write(`${name}\n`);
+  if (opts.output) await new Promise(resolve => out.end(resolve));
+
+  // The count goes to stderr so stdout stays a clean list
+  const notes = Object.entries(DROPPED).filter(([reason]) => dropped[reason]).map(([reason, label]) => `${dropped[reason].toLocaleString()} ${label}`);
+  console.error(`${c.green}✓ ${kept.length.toLocaleString()} names${c.reset}${opts.output ? ` → ${opts.output}` : ''} ${c.dim}(${operation} of ${files.length} ${files.length === 1 ? 'list' : 'lists'}, ${combined.length.toLocaleString()} distinct${notes.length ? `; dropped ${notes.join(', ')}` : ''})${c.reset}`);
+}
@@ -0,0 +1,58 @@
+// mock.js - `hytale-name mock`: run the offline mock API for local testing
+
+import { c } from '../colors.js';
+import { createMockServer } from '../mock.js';
+import { parseArgs, usageError } from '../args.js';
+
+export function printMockHelp() {
+  console.log(`
+${c.bold}hytale-name mock${c.reset} - Offline stand-in for the upstream API
+
+${c.bold}Usage:${c.reset}
+  hytale-name mock --port 3000
+  hytale-name list.txt -e http://localhost:3000
+
+${c.bold}Behaviour by username prefix:${c.reset}
+  rl… 429   err… 500   slow… no answer   bad… malformed JSON   gone… 404   nope… 400
+  flaky… 500 once, then answers    ghost… available once, then taken
+  lost… left out of batch answers
+  anything else: available unless --taken
+
+${c.bold}Options:${c.reset}
+  --port N             Port to listen on (default: 3000)
+  --taken A,B,...      Names to report as taken
+  --batch-format F     POST /check/batch answers: results, map or none (default: results)
+  --delay MS           Delay every response by MS
+`);
+}
+
+const splitList = v => v.split(',').map(s => s.trim()).filter(Boolean);
+
+// No config options: the mock is a test fixture, not a configured run
+export const MOCK_OPTIONS = [
+  [['--port'], 'port', 'int'],
+  [['--taken'], 'taken', splitList],
+  [['--batch-format'], 'batchFormat', 'string', ['results', 'map', 'none']],
+  [['--delay'], 'delayMs', 'int'],
+];
+
+export async function mockCommand(argv) {
+  const args = parseArgs(argv, { options: MOCK_OPTIONS });
+  if (args.help) {
+    printMockHelp();
+    process.exit(0);
+  }
+  if (args.positional.length) throw usageError(`Unexpected argument ${args.positional[0]}`);
+  const opts = { port: args.port ?? 3000, taken: args.taken || [], batchFormat: args.batchFormat || 'results', delayMs: args.delayMs || 0 };
+
+  const mock = createMockServer(opts);
+  const url = await mock.listen(opts.port);
+  console.log(`${c.bold}${c.cyan}━━━ Mock API ━━━${c.reset}`);
+  console.log(`${c.dim}Listening:${c.reset} ${c.bold}${url}${c.reset} ${c.dim}(batch format: ${opts.batchFormat})${c.reset}`);
+
+  process.on('SIGINT', async () => {
+    await mock.close();
+    console.log(`\n${c.yellow}━━━ Stopped ━━━${c.reset} ${c.dim}(${mock.requests.length} requests)${c.reset}`);
+    process.exit(0);
+  });
+}
@@ -0,0 +1,90 @@
+// rank.js - `hytale-name rank`: sort a list of names by score, best first
+
+import fs from 'fs';
+import path from 'path';
+import { c } from '../colors.js';
+import { parseArgs, pickOptions, CONFIG_OPTIONS, usageError } from '../args.js';
+import { readLines } from '../input.js';
+import { createFormatter } from '../format.js';
+import { DEFAULT_WEIGHTS, SCORE_FACTORS, createScorer, readWords } from '../score.js';
+
+export const RANK_FIELDS = ['rank', 'username', 'score', ...SCORE_FACTORS];
+
+export function printRankHelp() {
+  console.log(`
+${c.bold}hytale-name rank${c.reset} - Rank names by how good they are
+
+${c.bold}Usage:${c.reset}
+  hytale-name rank                           Rank ./available.txt
+  hytale-name rank run2-available.txt --top 50
+  hytale-name rank available.txt -o best.txt Write the names best first (a sorted wordlist)
+  cat names.txt | hytale-name rank -
+
+Each name gets a 0-100 score, a weighted average of:
+  length         shorter is better
+  pronounceable  no long consonant or vowel runs
+  dictionary     a word, or a few words joined
+  repetition     no runs of the same character
+  digits         fewer digits
+  underscores    fewer underscores
+Default weights: ${SCORE_FACTORS.map(f => `${f}=${DEFAULT_WEIGHTS[f]}`).join(',')}
+
+${c.bold}Options:${c.reset}
+  --weights SPEC       Override weights, e.g. dictionary=4,length=1 (0 ignores a factor)
+  --dict FILE          Extra dictionary words, one per line
+  --top N              Only the best N names
+  -o, --output FILE    Write to FILE instead of stdout (just the names, unless --format)
+  --format FMT         json, ndjson or csv with every factor: ${RANK_FIELDS.join(', ')}
+
+The same scores sort available.txt after a check with ${c.cyan}--sort score${c.reset}; weights and
+dict can also come from the config file.
+`);
+}
+
+export const RANK_OPTIONS = [
+  [['--top'], 'top', 'count'],
+  [['-o', '--output'], 'output', 'path'],
+  ...pickOptions('weights', 'dict', 'format', 'tag', 'outDir'),
+  ...CONFIG_OPTIONS,
+];
+
+export async function rankCommand(argv) {
+  const args = parseArgs(argv, { options: RANK_OPTIONS });
+  if (args.help) {
+    printRankHelp();
+    process.exit(0);
+  }
+  if (args.positional.length > 1) throw usageError(`rank takes one list, got ${args.positional.length}`);
+
+  const input = args.positional[0] || path.join(args.outDir || process.cwd(), `${args.tag ? `${args.tag}-` : ''}available.txt`);
+  if (input === '-' && process.stdin.isTTY) throw usageError('rank - reads names from stdin; pipe a list in');
+  if (input !== '-' && !fs.existsSync(input)) throw usageError(`File not found: ${path.resolve(input)}`);
+
+  // Lines may carry more columns (errors.txt, rejected.txt); the name comes first
+  const names = new Set();
+  for await (const line of readLines(input)) names.add(line.split('\t')[0].trim());
+  names.delete('');
+
+  const scorer = createScorer({ weights: args.weights || undefined, words: args.dict ? await readWords(args.dict) : [] });
+  let ranked = scorer.rank([...names]);
+  if (args.top) ranked = ranked.slice(0, args.top);
+
+  const out = args.output ? fs.createWriteStream(path.resolve(args.output)) : process.stdout;
+  if (args.format) {
+    const fmt = createFormatter(args.format, RANK_FIELDS);
+    out.write(fmt.begin());
+    ranked.forEach((r, i) => out.write(fmt.line({ rank: i + 1, ...r })));
+    out.write(fmt.end());
+  } else if (args.output) {
+    for (const r of ranked) out.write(`${r.username}\n`);
+  } else {
+    const width = String(ranked.length).length;
+    for (const [i, r] of ranked.entries()) {
+      console.log(`${c.dim}${String(i + 1).padStart(width)}.${c.reset} ${c.bold}${r.score.toFixed(1).padStart(5)}${c.reset}  ${r.username}`);
+    }
+  }
+  if (args.output) {
+    await new Promise(resolve => out.end(resolve));
+    console.error(`${c.green}✓ Ranked ${ranked.length.toLocaleString()} names into ${args.output}${c.reset}`);
+  }
+}
@@ -0,0 +1,106 @@
+// serve.js - `hytale-name serve`: share one polite upstream pool over HTTP
+
+import { c } from '../colors.js';
+import { parseArgs, pickOptions, CONFIG_OPTIONS } from '../args.js';
+import { MAX_LEN, setLengthLimits } from '../usernames.js';
+import { loadProvider } from '../providers.js';
+import { resolvePolicy } from '../errors.js';
+import { parseDuration } from '../duration.js';
+import { fmtTime } from '../fmt.js';
+import { createRateController } from '../ratelimit.js';
+import { createUpstream } from '../upstream.js';
+import { createCheckService, createCheckServer, MAX_BATCH } from '../server.js';
+
+export function printServeHelp() {
+  console.log(`
+${c.bold}hytale-name serve${c.reset} - Expose the checker as a local HTTP service
+
+${c.bold}Usage:${c.reset}
+  hytale-name serve --port 8080
+  hytale-name list.txt -e http://localhost:8080     Point other runs at it
+
+${c.bold}Endpoints:${c.reset}
+  GET  /check/:name    { username, available, cached }
+  POST /check/batch    { usernames: [...] } (max ${MAX_BATCH}) → { results: [...] }
+  GET  /health         Cache, coalescing and rate limiter stats
+
+${c.bold}Options:${c.reset}
+  --port N             Port to listen on (default: 8080)
+  --host HOST          Interface to bind (default: 127.0.0.1)
+  --cache-ttl AGE      Cache answers for AGE (default: 5m, 0 disables)
+  -c, --concurrency N  Max concurrent upstream requests (default: 50)
+  --rps N              Max upstream requests per second
+  --retries N          Upstream retries on rate limits, 5xx, timeouts and network errors (default: 5)
+  --retry-policy SPEC  Retries and first backoff per error category, e.g. timeout=2:500ms,rate_limited=8:2s
+  --timeout SECONDS    Upstream request timeout (default: 20)
+  -e, --endpoint URL   Upstream API base URL
+  -p, --provider NAME  Upstream provider
+  -v, --verbose        Log every lookup
+  --profile NAME       Use a named profile from the config file
+`);
+}
+
+export const SERVE_OPTIONS = [
+  [['--port'], 'port', 'int'],
+  [['--host'], 'host', 'string'],
+  [['--cache-ttl'], 'cacheTtl', 'duration'],
+  ...pickOptions('verbose', 'conc', 'sleep', 'endpoint', 'provider', 'rps', 'retries', 'retryPolicy', 'timeout', 'minLen', 'maxLen'),
+  ...CONFIG_OPTIONS,
+];
+
+export async function serveCommand(argv) {
+  const args = parseArgs(argv, { options: SERVE_OPTIONS });
+  setLengthLimits(args.minLen ?? undefined, args.maxLen ?? undefined);
+  if (args.help) {
+    printServeHelp();
+    process.exit(0);
+  }
+  const opts = { port: args.port ?? 8080, host: args.host || '127.0.0.1', cacheTtl: args.cacheTtl || '5m' };
+
+  const cacheTtlMs = opts.cacheTtl === '0' ? 0 : parseDuration(opts.cacheTtl);
+  const concurrency = args.conc || 50;
+  const provider = await loadProvider(args.provider || undefined);
+  const rate = createRateController({ rps: args.rps, maxConcurrency: concurrency });
+  const upstream = createUpstream({
+    provider,
+    endpoint: args.endpoint,
+    concurrency,
+    sleepMs: args.sleep ? args.sleep * 1000 : 0,
+    timeoutMs: args.timeout ? args.timeout * 1000 : undefined,
+    acquire: () => rate.acquire(),
+    release: (token, outcome) => rate.release(outcome),
+  });
+
+  const service = createCheckService({
+    upstream,
+    cacheTtlMs,
+    retryPolicy: resolvePolicy(args.retries, args.retryPolicy),
+    onLookup: l => {
+      if (!args.verbose) return;
+      const glyph = l.error ? `${c.yellow}⚠${c.reset}` : l.available ? `${c.green}✔${c.reset}` : `${c.red}✗${c.reset}`;
+      console.log(`${glyph} ${c.dim}|${c.reset} ${l.username.padEnd(MAX_LEN)} ${c.dim}|${c.reset} ${l.source}${l.error ? ` ${c.dim}|${c.reset} ${c.yellow}${l.error}${c.reset}` : ''}`);
+    },
+  });
+  const server = createCheckServer({ service, rate });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(opts.port, opts.host, resolve);
+  });
+
+  console.log(`${c.bold}${c.cyan}━━━ Hytale Username Checker - serving ━━━${c.reset}`);
+  console.log(`${c.dim}Listening:${c.reset} ${c.bold}http://${opts.host}:${server.address().port}${c.reset}`);
+  console.log(`${c.dim}Upstream:${c.reset} ${args.endpoint || provider.endpoint} ${c.dim}(≤${concurrency} concurrent${args.rps ? `, ≤${args.rps}/s` : ''})${c.reset}`);
+  console.log(`${c.dim}Cache TTL:${c.reset} ${cacheTtlMs ? fmtTime(cacheTtlMs) : 'off'}`);
+
+  process.on('SIGINT', async () => {
+    server.close();
+    service.close();
+    rate.close();
+    await upstream.close();
+    const s = service.stats();
+    console.log(`\n${c.yellow}━━━ Stopped ━━━${c.reset}`);
+    console.log(`${c.dim}Lookups:${c.reset} ${s.lookups} ${c.dim}(${s.hits} cached, ${s.coalesced} coalesced, ${s.upstream} upstream)${c.reset}`);
+    process.exit(0);
+  });
+}
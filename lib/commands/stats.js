@@ -0,0 +1,158 @@
+// stats.js - `hytale-name stats`: summarize the results database and run history
+
+import fs from 'fs';
+import path from 'path';
+import { c } from '../colors.js';
+import { parseArgs, pickOptions, CONFIG_OPTIONS, usageError } from '../args.js';
+import { loadRecords, DB_FILE } from '../store.js';
+import { RUNS_DIR, runsDirFor, listRuns, loadRun } from '../history.js';
+import { fmtAge } from '../fmt.js';
+import { classify } from '../errors.js';
+import { charClass } from '../usernames.js';
+
+export { charClass };
+
+export const STATS_OPTIONS = [
+  [['--run'], 'run', 'string'],
+  [['--prefix-len'], 'prefixLen', 'count'],
+  [['--format'], 'json', 'string', ['json']], // Not the config's format: that one is for check's results
+  ...pickOptions('db', 'outDir'),
+  ...CONFIG_OPTIONS,
+];
+
+const MAX_PREFIX_ROWS = 20;
+const MAX_RUN_ROWS = 10;
+
+export function printStatsHelp() {
+  console.log(`
+${c.bold}hytale-name stats${c.reset} - Summarize the results database and run history
+
+${c.bold}Usage:${c.reset}
+  hytale-name stats                   Summarize ./${DB_FILE} and ./${RUNS_DIR}
+  hytale-name stats --run weekly-42   Breakdowns for a single run
+  hytale-name stats --format json     Machine-readable summary
+
+Availability is broken down by length, prefix and character class (names
+whose last check was an error are left out); error rates are per run.
+
+${c.bold}Options:${c.reset}
+  --run ID             Use one run's results instead of the whole database
+  --prefix-len N       Characters of prefix to group by (default: 1)
+  --db FILE            Results database (default: ${DB_FILE} in --out-dir or the current directory)
+  --out-dir DIR        Directory holding the database
+  --format json        Print the summary as JSON
+`);
+}
+
+export function summarize(records) {
+  const s = { names: 0, available: 0, taken: 0, error: 0, uncertain: 0, checks: 0, avgTtc: null, oldest: null, newest: null, topErrors: [], errorCategories: {} };
+  const errors = new Map();
+  let ttcSum = 0, ttcCount = 0;
+  for (const rec of records) {
+    s.names++;
+    s[rec.status]++;
+    s.checks += rec.checks || 0;
+    if (rec.ttc !== null && rec.ttc !== undefined) {
+      ttcSum += rec.ttc;
+      ttcCount++;
+    }
+    if (s.oldest === null || rec.checkedAt < s.oldest) s.oldest = rec.checkedAt;
+    if (s.newest === null || rec.checkedAt > s.newest) s.newest = rec.checkedAt;
+    if (rec.status === 'error') {
+      errors.set(rec.error, (errors.get(rec.error) || 0) + 1);
+      // Records from before error categories are classified by their message
+      const category = rec.category || classify({ message: rec.error || '' });
+      s.errorCategories[category] = (s.errorCategories[category] || 0) + 1;
+    }
+  }
+  if (ttcCount) s.avgTtc = Math.round(ttcSum / ttcCount);
+  s.topErrors = [...errors].sort((a, b) => b[1] - a[1]).slice(0, 5).map(([error, count]) => ({ error, count }));
+  return s;
+}
+
+// Availability grouped by keyOf(username), over names with a known answer
+export function breakdown(records, keyOf) {
+  const groups = new Map();
+  for (const rec of records) {
+    if (!rec.lastKnown) continue;
+    const key = keyOf(rec.username);
+    const g = groups.get(key) || { key, total: 0, available: 0, taken: 0, rate: 0 };
+    g.total++;
+    g[rec.lastKnown]++;
+    groups.set(key, g);
+  }
+  for (const g of groups.values()) g.rate = g.available / g.total;
+  return [...groups.values()];
+}
+
+const pct = n => `${(n * 100).toFixed(1)}%`;
+
+function printBreakdown(title, rows) {
+  console.log(`\n${c.bold}${title}${c.reset}`);
+  for (const g of rows) {
+    const bar = '█'.repeat(Math.round(g.rate * 20));
+    console.log(`  ${String(g.key).padEnd(10)} ${g.total.toLocaleString().padStart(9)}  ${pct(g.rate).padStart(6)} ${c.green}${bar}${c.reset}`);
+  }
+}
+
+export async function statsCommand(argv) {
+  const args = parseArgs(argv, { options: STATS_OPTIONS });
+  if (args.help) {
+    printStatsHelp();
+    process.exit(0);
+  }
+  const { run } = args;
+  const prefixLen = args.prefixLen || 1;
+  if (args.positional.length) throw usageError(`stats takes no inputs (use --db ${args.positional[0]} or --run ${args.positional[0]})`);
+
+  const file = args.db ? path.resolve(args.db) : path.join(args.outDir || process.cwd(), DB_FILE);
+  const runsDir = runsDirFor(file);
+  const runs = listRuns(runsDir);
+  if (!fs.existsSync(file) && !runs.length) throw usageError(`No results database at ${file}`);
+
+  const records = [...(run ? loadRun(runsDir, run) : loadRecords(file)).values()];
+  const s = summarize(records);
+  const byLength = breakdown(records, u => u.length).sort((a, b) => a.key - b.key);
+  const byPrefix = breakdown(records, u => u.slice(0, prefixLen).toLowerCase()).sort((a, b) => b.total - a.total || a.key.localeCompare(b.key));
+  const byClass = breakdown(records, charClass).sort((a, b) => b.total - a.total);
+  const history = runs.map(r => ({ id: r.id, startedAt: r.startedAt, finishedAt: r.finishedAt, total: r.total, available: r.available, taken: r.taken, errors: r.errors, errorRate: r.total ? r.errors / r.total : 0 }));
+
+  if (args.json) {
+    console.log(JSON.stringify({ file, run, ...s, byLength, byPrefix, byClass, runs: history }, null, 2));
+    return;
+  }
+
+  const now = Date.now();
+  const share = n => (s.names ? ` ${c.dim}(${pct(n / s.names)})${c.reset}` : '');
+  console.log(`${c.bold}${c.cyan}━━━ ${run ? `Run ${run}` : path.relative(process.cwd(), file) || file} ━━━${c.reset}`);
+  console.log(`${c.dim}Names:${c.reset} ${c.bold}${s.names.toLocaleString()}${c.reset}${run ? '' : ` ${c.dim}(${s.checks.toLocaleString()} checks)${c.reset}`}`);
+  console.log(`${c.green}Available:${c.reset} ${c.bold}${s.available.toLocaleString()}${c.reset}${share(s.available)}`);
+  console.log(`${c.red}Taken:${c.reset} ${c.bold}${s.taken.toLocaleString()}${c.reset}${share(s.taken)}`);
+  console.log(`${c.yellow}Errors:${c.reset} ${c.bold}${s.error.toLocaleString()}${c.reset}${share(s.error)}`);
+  if (s.uncertain) console.log(`${c.yellow}Uncertain:${c.reset} ${c.bold}${s.uncertain.toLocaleString()}${c.reset}${share(s.uncertain)} ${c.dim}(answers disagreed under --verify)${c.reset}`);
+  const categories = Object.entries(s.errorCategories).sort((a, b) => b[1] - a[1]);
+  if (categories.length) console.log(`  ${c.dim}${categories.map(([cat, n]) => `${n.toLocaleString()} ${cat}`).join(', ')}${c.reset}`);
+  if (s.avgTtc !== null) console.log(`${c.dim}Latency:${c.reset} ${s.avgTtc}ms avg`);
+  if (s.newest !== null) {
+    console.log(`${c.dim}Checked:${c.reset} newest ${fmtAge(now - s.newest)} ago, oldest ${fmtAge(now - s.oldest)} ago`);
+  }
+  if (s.topErrors.length) {
+    console.log(`${c.dim}Top errors:${c.reset}`);
+    for (const e of s.topErrors) console.log(`  ${String(e.count).padStart(6)}  ${e.error}`);
+  }
+
+  if (byLength.length) {
+    printBreakdown('Available by length', byLength.map(g => ({ ...g, key: `${g.key} chars` })));
+    printBreakdown(`Available by prefix${byPrefix.length > MAX_PREFIX_ROWS ? ` (top ${MAX_PREFIX_ROWS} of ${byPrefix.length})` : ''}`, byPrefix.slice(0, MAX_PREFIX_ROWS));
+    printBreakdown('Available by character class', byClass);
+  }
+
+  if (history.length) {
+    console.log(`\n${c.bold}Runs${history.length > MAX_RUN_ROWS ? ` (last ${MAX_RUN_ROWS} of ${history.length})` : ''}${c.reset}`);
+    for (const r of history.slice(-MAX_RUN_ROWS)) {
+      const when = new Date(r.startedAt).toISOString().slice(0, 16).replace('T', ' ');
+      const state = r.finishedAt ? '' : ` ${c.yellow}(unfinished)${c.reset}`;
+      console.log(`  ${c.dim}${when}${c.reset}  ${r.id.padEnd(20)} ${r.total.toLocaleString().padStart(9)} checked  ${c.green}${pct(r.total ? r.available / r.total : 0).padStart(6)} available${c.reset}  ${r.errors ? c.yellow : c.dim}${pct(r.errorRate).padStart(6)} errors${c.reset}${state}`);
+    }
+  }
+}
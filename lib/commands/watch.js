@@ -0,0 +1,127 @@
+// watch.js - `hytale-name watch`: monitor names and notify on status changes
+
+import fs from 'fs';
+import path from 'path';
+import { c } from '../colors.js';
+import { parseArgs, pickOptions, CONFIG_OPTIONS } from '../args.js';
+import { MAX_LEN, setLengthLimits, parseUsernames, parseLines } from '../usernames.js';
+import { partitionUsernames } from '../validate.js';
+import { openStore, DB_FILE } from '../store.js';
+import { parseDuration } from '../duration.js';
+import { fmtTime } from '../fmt.js';
+import { watchUsernames } from '../watch.js';
+import { runHook, postWebhook } from '../notify.js';
+
+export function printWatchHelp() {
+  console.log(`
+${c.bold}hytale-name watch${c.reset} - Re-check names on a schedule, notify when they flip
+
+${c.bold}Usage:${c.reset}
+  hytale-name watch wanted.txt --interval 1h
+  hytale-name watch coolname,other --interval 10m --exec 'notify-send "$HYTALE_NAME is $HYTALE_STATUS"'
+  hytale-name watch wanted.txt --webhook http://localhost:9000/hook
+
+${c.bold}Options:${c.reset}
+  --interval AGE       Time between polls (default: 1h)
+  --exec CMD           Shell command per change; gets HYTALE_NAME, HYTALE_STATUS, HYTALE_PREVIOUS
+  --webhook URL        POST { username, status, previous, timestamp } per change
+  --once               Poll once and exit (e.g. from cron)
+  -v, --verbose        Print every result, not just changes
+  Check options (-w, -c, -s, -b, -e, -p, --rps, --retries, --retry-policy, --timeout,
+  --db, -l, --out-dir, --profile) work as usual; the others don't apply to watching.
+
+Changes are taken ↔ available only; the last known status is kept in ${DB_FILE}.
+`);
+}
+
+export const WATCH_OPTIONS = [
+  [['--interval'], 'interval', 'duration'],
+  [['--exec'], 'exec', 'string'],
+  [['--webhook'], 'webhook', 'string'],
+  [['--once'], 'once', 'flag'],
+  ...pickOptions('verbose', 'workers', 'conc', 'sleep', 'batch', 'endpoint', 'provider', 'rps', 'retries', 'retryPolicy', 'timeout', 'db', 'local', 'outDir', 'minLen', 'maxLen'),
+  ...CONFIG_OPTIONS,
+];
+
+const clock = () => new Date().toLocaleTimeString();
+
+export async function watchCommand(argv) {
+  const args = parseArgs(argv, { options: WATCH_OPTIONS });
+  setLengthLimits(args.minLen ?? undefined, args.maxLen ?? undefined);
+  if (args.help || !args.list) {
+    printWatchHelp();
+    process.exit(args.help ? 0 : 1);
+  }
+
+  const intervalMs = parseDuration(args.interval || '1h');
+
+  // A file of names, or names given inline
+  const listPath = path.resolve(args.list);
+  const isFile = fs.existsSync(listPath) && fs.statSync(listPath).isFile();
+  const names = isFile ? parseLines(fs.readFileSync(listPath, 'utf8')) : parseUsernames(args.list);
+  const { valid, rejected } = partitionUsernames(names);
+  for (const r of rejected) {
+    console.log(`${c.dim}⊘ | ${r.username.padEnd(MAX_LEN)} | ${r.reason} (not watched)${c.reset}`);
+  }
+  if (valid.length === 0) {
+    console.error(`${c.red}No valid usernames to watch${c.reset}`);
+    process.exit(1);
+  }
+
+  const outputDir = isFile && args.local ? path.dirname(listPath) : args.outDir || process.cwd();
+  fs.mkdirSync(outputDir, { recursive: true });
+  const store = openStore(args.db ? path.resolve(args.db) : path.join(outputDir, DB_FILE));
+
+  async function notify(change) {
+    const arrow = change.status === 'available' ? `${c.green}${c.bold}AVAILABLE${c.reset}` : `${c.red}${c.bold}TAKEN${c.reset}`;
+    console.log(`${c.yellow}★${c.reset} ${c.dim}|${c.reset} ${change.username.padEnd(MAX_LEN)} ${c.dim}|${c.reset} ${change.previous} → ${arrow}`);
+    // Hooks are best-effort: a broken receiver must not stop the watch
+    if (args.exec) {
+      await runHook(args.exec, change).catch(e => console.error(`${c.yellow}⚠ ${e.message}${c.reset}`));
+    }
+    if (args.webhook) {
+      await postWebhook(args.webhook, change).catch(e => console.error(`${c.yellow}⚠ Webhook: ${e.message}${c.reset}`));
+    }
+  }
+
+  console.log(`${c.bold}${c.cyan}━━━ Watching ${valid.length} username${valid.length === 1 ? '' : 's'} ━━━${c.reset}`);
+  if (!args.once) console.log(`${c.dim}Interval:${c.reset} ${c.bold}${fmtTime(intervalMs)}${c.reset}`);
+  if (args.exec) console.log(`${c.dim}Exec:${c.reset} ${args.exec}`);
+  if (args.webhook) console.log(`${c.dim}Webhook:${c.reset} ${args.webhook}`);
+  console.log();
+
+  const watcher = watchUsernames(valid, {
+    intervalMs,
+    store,
+    workers: args.workers || 1,
+    concurrency: args.conc || 20,
+    sleepMs: args.sleep ? args.sleep * 1000 : 0,
+    batchSize: args.batch || 1,
+    provider: args.provider || undefined,
+    endpoint: args.endpoint,
+    rps: args.rps,
+    retries: args.retries ?? undefined,
+    retryPolicy: args.retryPolicy,
+    timeoutMs: args.timeout ? args.timeout * 1000 : undefined,
+    onChange: notify,
+    onResult: rec => {
+      if (!args.verbose) return;
+      const glyph = rec.status === 'available' ? `${c.green}✔${c.reset}` : rec.status === 'taken' ? `${c.red}✗${c.reset}` : `${c.yellow}⚠${c.reset}`;
+      console.log(`${glyph} ${c.dim}|${c.reset} ${rec.username.padEnd(MAX_LEN)} ${c.dim}|${c.reset} ${rec.ttc}ms${rec.error ? ` ${c.dim}|${c.reset} ${c.yellow}${rec.error}${c.reset}` : ''}`);
+    },
+    onPoll: p => {
+      console.log(`${c.dim}[${clock()}] Poll #${p.poll}:${c.reset} ${c.green}${p.available} available${c.reset}, ${c.red}${p.taken} taken${c.reset}${p.errors ? `, ${c.yellow}${p.errors} errors${c.reset}` : ''}${p.changes ? `, ${c.bold}${p.changes} changed${c.reset}` : ''}`);
+      if (args.once) watcher.stop();
+    },
+  });
+
+  process.on('SIGINT', async () => {
+    await watcher.stop();
+    store.close();
+    console.log(`\n${c.yellow}━━━ Stopped watching ━━━${c.reset}`);
+    process.exit(0);
+  });
+
+  await watcher.done;
+  store.close();
+}
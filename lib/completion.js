@@ -0,0 +1,153 @@
+// completion.js - Shell completion scripts for bash, zsh and fish
+//
+// Generated from the command list and each command's option table, so a new
+// flag completes as soon as it's parsed. The first word completes to a command
+// or a wordlist (the bare `hytale-name names.txt` shorthand, which takes check's
+// options); after a command come its own options, then its first-argument words
+// (`lists union`, `completion zsh`) if it has any, then files.
+
+import { OPTIONS, pickOptions } from './args.js';
+
+export const SHELLS = ['bash', 'zsh', 'fish'];
+
+// { flags, value: null | 'file' | 'dir' | 'choice' | 'text', choices, repeat }
+function describe([flags, , type, choices = null, repeat = null]) {
+  let value = 'text';
+  if (type === 'flag') value = null;
+  else if (choices) value = 'choice';
+  else if (type === 'path') value = 'file';
+  else if (type === 'dir') value = 'dir';
+  return { flags, value, choices, repeat: !!repeat || type === 'names' };
+}
+
+const [HELP] = pickOptions('help');
+
+// Config-only options have no flags to complete; every command takes --help
+function describeAll(options) {
+  const table = options.some(o => o[1] === 'help') ? options : [...options, HELP];
+  return table.filter(o => o[0].length).map(describe);
+}
+
+function bashScript(commands, options) {
+  // Option values by "command:flag", each command before the shorthand's catch-all
+  const valueCases = [];
+  const addValues = (command, opts) => {
+    for (const opt of opts.filter(o => o.value)) {
+      const pattern = opt.flags.map(f => `${command}:${f}`).join('|');
+      if (opt.value === 'choice') valueCases.push(`    ${pattern}) COMPREPLY=($(compgen -W "${opt.choices.join(' ')}" -- "$cur")); return ;;`);
+      else if (opt.value === 'file') valueCases.push(`    ${pattern}) COMPREPLY=($(compgen -f -- "$cur")); return ;;`);
+      else if (opt.value === 'dir') valueCases.push(`    ${pattern}) COMPREPLY=($(compgen -d -- "$cur")); return ;;`);
+      else valueCases.push(`    ${pattern}) return ;;`);
+    }
+  };
+  for (const cmd of commands) addValues(cmd.name, cmd.options);
+  addValues('*', options);
+  const flags = opts => opts.flatMap(o => o.flags).join(' ');
+  const commandCases = commands.map(cmd => `    ${cmd.name}) opts="${flags(cmd.options)}" words="${cmd.words.join(' ')}" ;;`);
+  return `# hytale-name completion for bash - add to ~/.bashrc:
+#   source <(hytale-name completion bash)
+_hytale_name() {
+  local cur=\${COMP_WORDS[COMP_CWORD]} prev=\${COMP_WORDS[COMP_CWORD-1]} cmd=\${COMP_WORDS[1]}
+  local opts words
+  case "$cmd" in
+${commandCases.join('\n')}
+    *) opts="${flags(options)}" words="" ;;
+  esac
+  case "$cmd:$prev" in
+${valueCases.join('\n')}
+  esac
+  if [[ $cur == -* ]]; then
+    COMPREPLY=($(compgen -W "$opts" -- "$cur"))
+  elif [[ $COMP_CWORD -eq 1 ]]; then
+    COMPREPLY=($(compgen -W "${commands.map(cmd => cmd.name).join(' ')}" -- "$cur") $(compgen -f -- "$cur"))
+  elif [[ $COMP_CWORD -eq 2 && -n $words ]]; then
+    COMPREPLY=($(compgen -W "$words" -- "$cur"))
+  else
+    COMPREPLY=($(compgen -f -- "$cur"))
+  fi
+}
+complete -o filenames -F _hytale_name hytale-name
+`;
+}
+
+function zshScript(commands, options) {
+  const action = opt => {
+    if (opt.value === 'choice') return `:${opt.flags.at(-1).slice(2)}:(${opt.choices.join(' ')})`;
+    if (opt.value === 'file') return ':file:_files';
+    if (opt.value === 'dir') return ':directory:_files -/';
+    if (opt.value === 'text') return `:${opt.flags.at(-1).slice(2)}: `;
+    return '';
+  };
+  const specs = opts => opts.map(opt => {
+    const flags = opt.flags.length > 1 ? `{${opt.flags.join(',')}}` : opt.flags[0];
+    return `        ${opt.repeat ? "'*'" : ''}${flags}${opt.value ? `'${action(opt)}'` : ''} \\`;
+  });
+  const args = (opts, words) => [
+    ...specs(opts),
+    ...(words.length ? [`        '1:argument:(${words.join(' ')})' \\`] : []),
+    "        '*:file:_files'",
+  ].join('\n');
+  const commandCases = commands.map(cmd => `    ${cmd.name})
+      shift words
+      (( CURRENT-- ))
+      _arguments -s \\
+${args(cmd.options, cmd.words)}
+      ;;`);
+  return `#compdef hytale-name
+# hytale-name completion for zsh - add to ~/.zshrc (after compinit):
+#   source <(hytale-name completion zsh)
+_hytale-name() {
+  if (( CURRENT == 2 )) && [[ $words[2] != -* ]]; then
+    _alternative "commands:command:(${commands.map(cmd => cmd.name).join(' ')})" "files:wordlist:_files"
+    return
+  fi
+  case $words[2] in
+${commandCases.join('\n')}
+    *)
+      _arguments -s \\
+${args(options, [])}
+      ;;
+  esac
+}
+compdef _hytale-name hytale-name
+`;
+}
+
+function fishScript(commands, options) {
+  const lines = (condition, opts) => opts.map(opt => {
+    const names = opt.flags.map(f => (f.startsWith('--') ? `-l ${f.slice(2)}` : `-s ${f.slice(1)}`)).join(' ');
+    const head = `complete -c hytale-name -n '${condition}' ${names}`;
+    if (opt.value === 'choice') return `${head} -x -a '${opt.choices.join(' ')}'`;
+    if (opt.value === 'file') return `${head} -r -F`;
+    if (opt.value === 'dir') return `${head} -x -a '(__fish_complete_directories)'`;
+    if (opt.value === 'text') return `${head} -x`;
+    return head;
+  });
+  const names = commands.map(cmd => cmd.name).join(' ');
+  const blocks = commands.map(cmd => {
+    const seen = `__fish_seen_subcommand_from ${cmd.name}`;
+    const words = cmd.words.length
+      ? [`complete -c hytale-name -n '${seen}; and not __fish_seen_subcommand_from ${cmd.words.join(' ')}' -a '${cmd.words.join(' ')}'`]
+      : [];
+    return [`# ${cmd.name}`, ...lines(seen, cmd.options), ...words].join('\n');
+  });
+  return `# hytale-name completion for fish - save as ~/.config/fish/completions/hytale-name.fish:
+#   hytale-name completion fish > ~/.config/fish/completions/hytale-name.fish
+complete -c hytale-name -n __fish_use_subcommand -a '${names}'
+# The wordlist shorthand takes check's options
+function __hytale_name_shorthand
+  not __fish_seen_subcommand_from ${names}
+end
+${lines('__hytale_name_shorthand', options).join('\n')}
+${blocks.join('\n')}
+`;
+}
+
+const SCRIPTS = { bash: bashScript, zsh: zshScript, fish: fishScript };
+
+// commands: [{ name, options: its option table, words: what its first argument can be }]
+export function completionScript(shell, { commands, options = OPTIONS }) {
+  if (!SCRIPTS[shell]) throw new Error(`Unknown shell "${shell}" (use ${SHELLS.join(', ')})`);
+  const described = commands.map(({ name, options = [], words = [] }) => ({ name, options: describeAll(options), words }));
+  return SCRIPTS[shell](described, describeAll(options));
+}
@@ -0,0 +1,128 @@
+// config.js - Defaults from a config file, with named profiles
+//
+// The first config found walking up from the working directory is used:
+//   .hytalenamerc             JSON
+//   hytale-name.config.json   JSON
+//   package.json              under the "hytale-name" key
+//
+// Top-level keys are defaults; "profiles" holds named sets that override them
+// when picked with --profile NAME. Flags on the command line win over both.
+//
+//   {
+//     "concurrency": 50,
+//     "outDir": "results",
+//     "profiles": {
+//       "gentle": { "workers": 2, "concurrency": 30, "sleep": 0.5, "batch": 5, "retryPolicy": { "rate_limited": "8:5s" } },
+//       "fast": { "workers": 8, "concurrency": 200 },
+//       "picky": { "sort": "score", "weights": { "dictionary": 4, "length": 1 } }
+//     }
+//   }
+
+import fs from 'fs';
+import path from 'path';
+
+export const CONFIG_FILES = ['.hytalenamerc', 'hytale-name.config.json'];
+export const PACKAGE_KEY = 'hytale-name';
+
+// Config key -> parseArgs field
+export const CONFIG_KEYS = {
+  workers: 'workers',
+  concurrency: 'conc',
+  batch: 'batch',
+  sleep: 'sleep',
+  rps: 'rps',
+  retries: 'retries',
+  retryPolicy: 'retryPolicy',
+  timeout: 'timeout',
+  endpoint: 'endpoint',
+  provider: 'provider',
+  tag: 'tag',
+  local: 'local',
+  append: 'append',
+  verbose: 'verbose',
+  quiet: 'quiet',
+  ui: 'ui',
+  format: 'format',
+  outDir: 'outDir',
+  db: 'db',
+  maxAge: 'maxAge',
+  minLength: 'minLen',
+  maxLength: 'maxLen',
+  sort: 'sort',
+  weights: 'weights',
+  dict: 'dict',
+  fold: 'fold',
+  verify: 'verify',
+  verifyDelay: 'verifyDelay',
+  verifyEndpoint: 'verifyEndpoint',
+  verifyProvider: 'verifyProvider',
+  metricsPort: 'metricsPort',
+  metricsFile: 'metricsFile',
+};
+
+const NUMBER_KEYS = ['workers', 'concurrency', 'batch', 'sleep', 'rps', 'retries', 'timeout', 'minLength', 'maxLength', 'verify', 'metricsPort'];
+const BOOLEAN_KEYS = ['local', 'append', 'verbose', 'quiet', 'ui'];
+// Relative paths in a config file are relative to the file, not the working directory
+const PATH_KEYS = ['outDir', 'db', 'dict', 'metricsFile'];
+
+function readJson(file) {
+  if (!fs.existsSync(file)) throw new Error(`Config file not found: ${file}`);
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Invalid config ${file}: ${e.message}`);
+  }
+}
+
+// Read one config file; package.json only counts if it has our key
+export function loadConfig(file) {
+  const data = readJson(file);
+  const config = path.basename(file) === 'package.json' ? data[PACKAGE_KEY] : data;
+  if (config === undefined) return null;
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Invalid config ${file}: expected an object`);
+  }
+  return config;
+}
+
+export function findConfig(dir = process.cwd()) {
+  for (let d = path.resolve(dir); ; d = path.dirname(d)) {
+    for (const name of [...CONFIG_FILES, 'package.json']) {
+      const file = path.join(d, name);
+      if (!fs.existsSync(file)) continue;
+      const config = loadConfig(file);
+      if (config) return { file, config };
+    }
+    if (path.dirname(d) === d) return null;
+  }
+}
+
+function checkValues(values, file, where) {
+  const out = {};
+  for (const [key, value] of Object.entries(values)) {
+    if (key === 'profiles') continue;
+    if (!(key in CONFIG_KEYS)) {
+      throw new Error(`Unknown key "${key}" in ${where} of ${file} (known: ${Object.keys(CONFIG_KEYS).join(', ')})`);
+    }
+    if (NUMBER_KEYS.includes(key) && typeof value !== 'number') {
+      throw new Error(`"${key}" in ${where} of ${file} must be a number`);
+    }
+    if (BOOLEAN_KEYS.includes(key) && typeof value !== 'boolean') {
+      throw new Error(`"${key}" in ${where} of ${file} must be true or false`);
+    }
+    out[CONFIG_KEYS[key]] = PATH_KEYS.includes(key) ? path.resolve(path.dirname(file), String(value)) : value;
+  }
+  return out;
+}
+
+// Flatten a config and one of its profiles into parseArgs fields
+export function resolveConfig({ file, config }, profile = null) {
+  const settings = checkValues(config, file, 'top level');
+  if (!profile) return settings;
+  const profiles = config.profiles || {};
+  if (!Object.hasOwn(profiles, profile)) {
+    const known = Object.keys(profiles);
+    throw new Error(`Unknown profile "${profile}" in ${file}${known.length ? ` (have: ${known.join(', ')})` : ''}`);
+  }
+  return { ...settings, ...checkValues(profiles[profile], file, `profile "${profile}"`) };
+}
@@ -0,0 +1,150 @@
+// dashboard.js - Live terminal dashboard for big runs (--ui)
+//
+// Instead of a line per result, one frame is redrawn in place a few times a
+// second: progress with ETA, current rate, per-worker throughput, result
+// counts, errors by reason, latency percentiles and the latest available names.
+// A streamed wordlist has no total until it has been read to the end
+// (setTotal); until then progress is just a count. Workers added mid-run get
+// a column as soon as they report.
+
+import { c } from './colors.js';
+import { fmtRate, fmtTime } from './fmt.js';
+
+const WINDOW_MS = 5000; // Rates cover the last few seconds, not the whole run
+const LATENCY_SAMPLES = 2000; // Percentiles over the most recent answers
+const RECENT_AVAILABLE = 8;
+const TOP_ERRORS = 5;
+const BAR_WIDTH = 30;
+
+export function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+}
+
+export function createDashboard({ total = null, workers = 1, rate = null, queue = null, out = process.stdout, refreshMs = 250, title = 'Hytale Username Checker' }) {
+  const started = Date.now();
+  const counts = { done: 0, available: 0, taken: 0, errors: 0, uncertain: 0 };
+  const buckets = []; // One per second: { sec, n, byWorker }
+  const latencies = []; // Ring buffer of ttc
+  let latencyPos = 0;
+  const errorReasons = new Map();
+  const recent = []; // Newest available names first
+  let lines = 0;
+  let timer = null;
+
+  function add(r, now = Date.now()) {
+    counts.done++;
+    if (r.available === true) {
+      counts.available++;
+      recent.unshift(r.username);
+      if (recent.length > RECENT_AVAILABLE) recent.pop();
+    } else if (r.available === false) {
+      counts.taken++;
+    } else if (r.uncertain) {
+      counts.uncertain++;
+    } else {
+      counts.errors++;
+      const reason = r.error || 'Unknown';
+      errorReasons.set(reason, (errorReasons.get(reason) || 0) + 1);
+    }
+    if (r.ttc !== null && r.ttc !== undefined) {
+      latencies[latencyPos] = r.ttc;
+      latencyPos = (latencyPos + 1) % LATENCY_SAMPLES;
+    }
+
+    const sec = Math.floor(now / 1000);
+    let bucket = buckets[buckets.length - 1];
+    if (!bucket || bucket.sec !== sec) {
+      bucket = { sec, n: 0, byWorker: new Array(workers).fill(0) };
+      buckets.push(bucket);
+      while (buckets.length && buckets[0].sec <= sec - WINDOW_MS / 1000) buckets.shift();
+    }
+    bucket.n++;
+    if (r.worker !== undefined) {
+      bucket.byWorker[r.worker] = (bucket.byWorker[r.worker] || 0) + 1;
+      workers = Math.max(workers, r.worker + 1);
+    }
+  }
+
+  // Per-second rates over the window (shorter at the start of a run)
+  function rates(now) {
+    const since = Math.max(started, now - WINDOW_MS);
+    const span = Math.max(1, now - since) / 1000;
+    const live = buckets.filter(b => b.sec * 1000 >= since - 1000);
+    const overall = live.reduce((sum, b) => sum + b.n, 0) / span;
+    const byWorker = Array.from({ length: workers }, (_, w) => live.reduce((sum, b) => sum + (b.byWorker[w] || 0), 0) / span);
+    return { overall, byWorker };
+  }
+
+  function bar(fraction) {
+    const filled = Math.round(fraction * BAR_WIDTH);
+    return `${c.green}${'█'.repeat(filled)}${c.reset}${c.dim}${'░'.repeat(BAR_WIDTH - filled)}${c.reset}`;
+  }
+
+  function frame(now = Date.now()) {
+    const { overall, byWorker } = rates(now);
+    const known = total !== null;
+    const fraction = !known ? 0 : total ? counts.done / total : 1;
+    const remaining = known ? total - counts.done : null;
+    const eta = !known ? '…' : remaining > 0 && overall > 0 ? fmtTime(Math.round((remaining / overall) * 1000)) : remaining > 0 ? '…' : 'done';
+    const sorted = [...latencies].sort((a, b) => a - b);
+    const ms = p => (sorted.length ? `${percentile(sorted, p)}ms` : '-');
+
+    const rows = [
+      `${c.bold}${c.cyan}━━━ ${title} ━━━${c.reset}`,
+      known
+        ? `${bar(fraction)} ${c.bold}${(fraction * 100).toFixed(1)}%${c.reset} ${c.dim}${counts.done.toLocaleString()}/${total.toLocaleString()}${c.reset}`
+        : `${c.bold}${counts.done.toLocaleString()}${c.reset} ${c.dim}checked (reading input…)${c.reset}`,
+      `${c.dim}Rate:${c.reset} ${c.bold}${fmtRate(overall)}/s${c.reset}  ${c.dim}Elapsed:${c.reset} ${fmtTime(now - started)}  ${c.dim}ETA:${c.reset} ${c.bold}${eta}${c.reset}`,
+      `${c.green}Available:${c.reset} ${c.bold}${counts.available.toLocaleString()}${c.reset}  ${c.red}Taken:${c.reset} ${c.bold}${counts.taken.toLocaleString()}${c.reset}  ${c.yellow}Errors:${c.reset} ${c.bold}${counts.errors.toLocaleString()}${c.reset}${counts.uncertain ? `  ${c.yellow}Uncertain:${c.reset} ${c.bold}${counts.uncertain.toLocaleString()}${c.reset}` : ''}`,
+      `${c.dim}Latency:${c.reset} p50 ${ms(50)}  p90 ${ms(90)}  p99 ${ms(99)}`,
+    ];
+    if (rate) {
+      const s = rate.stats();
+      rows.push(`${c.dim}Concurrency:${c.reset} ${s.limit} ${c.dim}(${s.inFlight} in flight, ${s.rateLimited} rate limited${s.pausedMs ? `, paused ${fmtTime(s.pausedMs)}` : ''})${c.reset}`);
+    }
+    if (queue) {
+      const q = queue.stats();
+      rows.push(`${c.dim}Queue:${c.reset} ${q.queued.toLocaleString()} ${c.dim}read ahead,${c.reset} ${q.inFlight.toLocaleString()} ${c.dim}with ${q.workers} workers,${c.reset} ${q.retrying.toLocaleString()} ${c.dim}waiting to retry${c.reset}`);
+    }
+    // Eight workers per line
+    for (let w = 0; w < workers; w += 8) {
+      const cells = byWorker.slice(w, w + 8).map((r, i) => `${c.dim}w${w + i}${c.reset} ${fmtRate(r).padStart(4)}/s`);
+      rows.push(`${w === 0 ? `${c.dim}Workers:${c.reset}` : '        '} ${cells.join('  ')}`);
+    }
+    if (errorReasons.size) {
+      rows.push(`${c.yellow}Errors by reason:${c.reset}`);
+      const top = [...errorReasons].sort((a, b) => b[1] - a[1]).slice(0, TOP_ERRORS);
+      for (const [reason, n] of top) rows.push(`  ${String(n).padStart(7)}  ${reason}`);
+    }
+    rows.push(`${c.green}Latest available:${c.reset} ${recent.length ? recent.join(', ') : `${c.dim}none yet${c.reset}`}`);
+    return rows;
+  }
+
+  // Move up over the previous frame and draw over it
+  function render() {
+    const text = frame();
+    out.write(`${lines ? `\x1b[${lines}A` : ''}\x1b[J${text.join('\n')}\n`);
+    lines = text.length;
+  }
+
+  function start() {
+    out.write('\x1b[?25l'); // Hide the cursor while redrawing
+    render();
+    timer = setInterval(render, refreshMs);
+    timer.unref();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+    render();
+    out.write('\x1b[?25h');
+  }
+
+  function setTotal(n) {
+    total = n;
+  }
+
+  return { add, frame, render, start, stop, setTotal, counts };
+}
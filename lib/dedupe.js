@@ -0,0 +1,103 @@
+// dedupe.js - Bounded-memory duplicate detection for streamed wordlists
+//
+// A Set of every name seen would grow with the input; a scalable Bloom filter
+// costs ~4 bytes per name instead. Each time the current filter fills up, a
+// larger one with a tighter error rate is added, so the overall chance of a
+// new name being mistaken for a duplicate stays under `errorRate` however
+// long the stream is.
+
+const LN2 = Math.LN2;
+
+// Two independent 32-bit hashes of a string (FNV-1a and a murmur-style mix)
+function hashes(str) {
+  let h1 = 0x811c9dc5;
+  let h2 = 0x9747b28c;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 0x01000193);
+    h2 = Math.imul(h2 ^ ch, 0x5bd1e995);
+    h2 ^= h2 >>> 15;
+  }
+  h2 = Math.imul(h2 ^ (h2 >>> 13), 0xc2b2ae35);
+  h2 ^= h2 >>> 16;
+  return [h1 >>> 0, (h2 | 1) >>> 0];
+}
+
+export function createBloomFilter(capacity, errorRate) {
+  const bits = Math.max(64, Math.ceil((-capacity * Math.log(errorRate)) / (LN2 * LN2)));
+  const k = Math.max(1, Math.round((bits / capacity) * LN2));
+  const data = new Uint8Array(Math.ceil(bits / 8));
+  let count = 0;
+
+  function has(str, [h1, h2] = hashes(str)) {
+    for (let i = 0; i < k; i++) {
+      const bit = (h1 + i * h2) % bits;
+      if (!(data[bit >>> 3] & (1 << (bit & 7)))) return false;
+    }
+    return true;
+  }
+
+  function add(str, [h1, h2] = hashes(str)) {
+    for (let i = 0; i < k; i++) {
+      const bit = (h1 + i * h2) % bits;
+      data[bit >>> 3] |= 1 << (bit & 7);
+    }
+    count++;
+  }
+
+  return { has, add, capacity, get count() { return count; }, bytes: data.length };
+}
+
+// add(name) is true the first time a name is seen, false for (probable) repeats.
+// exact: use a Set instead, for lists that are in memory anyway.
+export function createDedupe({ capacity = 1 << 20, errorRate = 1e-7, exact = false } = {}) {
+  const filters = [];
+  let seen = 0, duplicates = 0;
+
+  if (exact) {
+    const set = new Set();
+    return {
+      add(name) {
+        seen++;
+        if (set.has(name)) {
+          duplicates++;
+          return false;
+        }
+        set.add(name);
+        return true;
+      },
+      get seen() { return seen; },
+      get duplicates() { return duplicates; },
+      bytes: null,
+    };
+  }
+
+  function grow() {
+    const n = filters.length;
+    filters.push(createBloomFilter(capacity * 2 ** n, errorRate / 2 ** (n + 1)));
+  }
+  grow();
+
+  function add(name) {
+    const h = hashes(name);
+    seen++;
+    if (filters.some(f => f.has(name, h))) {
+      duplicates++;
+      return false;
+    }
+    let current = filters[filters.length - 1];
+    if (current.count >= current.capacity) {
+      grow();
+      current = filters[filters.length - 1];
+    }
+    current.add(name, h);
+    return true;
+  }
+
+  return {
+    add,
+    get seen() { return seen; },
+    get duplicates() { return duplicates; },
+    get bytes() { return filters.reduce((sum, f) => sum + f.bytes, 0); },
+  };
+}
@@ -0,0 +1,17 @@
+// duration.js - Human durations like 30s, 15m, 1h, 7d
+
+const UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+
+// Parse "7d", "1h30m" or a bare number of seconds into milliseconds
+export function parseDuration(input) {
+  const str = String(input).trim();
+  if (/^\d+(\.\d+)?$/.test(str)) return Number(str) * 1000;
+  const re = /(\d+(?:\.\d+)?)(ms|s|m|h|d|w)/g;
+  let ms = 0, consumed = 0, m;
+  while ((m = re.exec(str))) {
+    ms += Number(m[1]) * UNITS[m[2]];
+    consumed += m[0].length;
+  }
+  if (!consumed || consumed !== str.length) throw new Error(`Invalid duration "${input}" (use e.g. 30s, 15m, 1h, 7d)`);
+  return ms;
+}
@@ -0,0 +1,87 @@
+// errors.js - Error categories for failed checks, and how often each is retried
+//
+//   rate_limited      429 from the API
+//   server_error      5xx from the API
+//   timeout           No answer within --timeout
+//   network           Connection refused/reset, DNS failures
+//   invalid_response  2xx with a body the provider can't read
+//   invalid_name      400/422 - the API refuses the name itself
+//   not_found         404 - the API has no answer for the name
+//   unknown           Anything else (e.g. a provider throwing its own errors)
+//
+// invalid_name and not_found are permanent: retrying won't change the answer,
+// so `retry` skips them unless asked for with --only.
+
+import { parseDuration } from './duration.js';
+
+export const CATEGORIES = ['rate_limited', 'server_error', 'timeout', 'network', 'invalid_response', 'invalid_name', 'not_found', 'unknown'];
+export const PERMANENT = ['invalid_name', 'not_found'];
+
+// Retries per request and the first backoff (doubled on every retry)
+export const DEFAULT_POLICY = {
+  rate_limited: { retries: 5, backoffMs: 1000 },
+  server_error: { retries: 5, backoffMs: 300 },
+  timeout: { retries: 5, backoffMs: 300 },
+  network: { retries: 5, backoffMs: 300 },
+  invalid_response: { retries: 0, backoffMs: 300 },
+  invalid_name: { retries: 0, backoffMs: 0 },
+  not_found: { retries: 0, backoffMs: 0 },
+  unknown: { retries: 0, backoffMs: 300 },
+};
+
+// Categories --retries applies to
+const TRANSIENT = ['rate_limited', 'server_error', 'timeout', 'network'];
+
+export function checkError(category, message) {
+  const e = new Error(message);
+  e.category = category;
+  return e;
+}
+
+const TIMEOUT_CODES = ['UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT', 'UND_ERR_CONNECT_TIMEOUT', 'ETIMEDOUT'];
+const NETWORK_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE', 'UND_ERR_SOCKET', 'UND_ERR_CLOSED'];
+
+// Category of a thrown error; errors from providers that don't tag them are
+// recognized by code or message
+export function classify(e) {
+  if (!e) return 'unknown';
+  if (CATEGORIES.includes(e.category)) return e.category;
+  const code = e.code || '';
+  const msg = String(e.message || e);
+  if (TIMEOUT_CODES.includes(code) || /timeout|ETIMEDOUT/i.test(msg)) return 'timeout';
+  if (NETWORK_CODES.includes(code) || /ECONN|ENOTFOUND|EAI_AGAIN|UND_ERR|socket/i.test(msg)) return 'network';
+  if (e instanceof SyntaxError || /invalid response|JSON/i.test(msg)) return 'invalid_response';
+  if (/rate|429/i.test(msg)) return 'rate_limited';
+  if (/\b5\d\d\b/.test(msg)) return 'server_error';
+  if (/\b404\b/.test(msg)) return 'not_found';
+  if (/\b(400|422)\b/.test(msg)) return 'invalid_name';
+  return 'unknown';
+}
+
+// Full policy from --retries N (transient categories) and per-category overrides
+export function resolvePolicy(retries = null, overrides = null) {
+  const policy = {};
+  for (const cat of CATEGORIES) {
+    policy[cat] = { ...DEFAULT_POLICY[cat] };
+    if (retries !== null && retries !== undefined && TRANSIENT.includes(cat)) policy[cat].retries = retries;
+  }
+  for (const [cat, rule] of Object.entries(overrides || {})) Object.assign(policy[cat], rule);
+  return policy;
+}
+
+// "timeout=2:500ms,rate_limited=8:2s" -> { timeout: { retries: 2, backoffMs: 500 }, ... }
+// Config files may use an object instead: { "timeout": "2:500ms", "rate_limited": 8 }
+export function parseRetryPolicy(spec) {
+  if (spec && typeof spec === 'object') spec = Object.entries(spec).map(([cat, rule]) => `${cat}=${rule}`).join(',');
+  const overrides = {};
+  for (const part of String(spec).split(',').map(s => s.trim()).filter(Boolean)) {
+    const m = part.match(/^([a-z_]+)=(\d+)(?::(.+))?$/);
+    if (!m) throw new Error(`Invalid retry rule "${part}" (use CATEGORY=RETRIES[:BACKOFF], e.g. timeout=2:500ms)`);
+    const [, cat, retries, backoff] = m;
+    if (!CATEGORIES.includes(cat)) throw new Error(`Unknown error category "${cat}" (use ${CATEGORIES.join(', ')})`);
+    overrides[cat] = { retries: Number(retries) };
+    if (backoff !== undefined) overrides[cat].backoffMs = parseDuration(/^\d+(\.\d+)?$/.test(backoff) ? `${backoff}ms` : backoff);
+  }
+  if (!Object.keys(overrides).length) throw new Error('Empty retry policy');
+  return overrides;
+}
@@ -0,0 +1,14 @@
+// fmt.js - Human-readable numbers for CLI output
+
+export function fmtRate(r) { return r >= 1000 ? `${(r/1000).toFixed(1)}k` : r.toFixed(0); }
+export function fmtTime(ms) {
+  if (ms < 1000) return `${ms}ms`;
+  if (ms < 60000) return `${(ms/1000).toFixed(1)}s`;
+  return `${Math.floor(ms/60000)}m ${((ms%60000)/1000).toFixed(0)}s`;
+}
+export function fmtAge(ms) {
+  if (ms < 60000) return `${Math.round(ms/1000)}s`;
+  if (ms < 3600000) return `${Math.round(ms/60000)}m`;
+  if (ms < 86400000) return `${Math.round(ms/3600000)}h`;
+  return `${Math.round(ms/86400000)}d`;
+}
@@ -0,0 +1,64 @@
+// format.js - Structured result output (json, ndjson, csv)
+//
+// Every record has the same fields:
+//   username, status, ttc (ms), error, category, attempts, variantOf, timestamp (ISO 8601)
+// status is available, taken, error, uncertain (answers disagreed under
+// --verify, see verify.js) or rejected (failed the client-side rules);
+// category is the error category (see errors.js) for errors; variantOf is the
+// spelling that was checked when this one shared its answer (see canonical.js)
+
+import { statusOf } from './store.js';
+
+export const FORMATS = ['json', 'ndjson', 'csv'];
+export const FIELDS = ['username', 'status', 'ttc', 'error', 'category', 'attempts', 'variantOf', 'timestamp'];
+
+export function toRecord(r, at = Date.now()) {
+  return {
+    username: r.username,
+    status: r.status || statusOf(r),
+    ttc: r.ttc ?? null,
+    error: r.error || null,
+    category: r.category || null,
+    attempts: r.attempts ?? 1,
+    variantOf: r.variantOf || null,
+    timestamp: new Date(at).toISOString(),
+  };
+}
+
+function csvCell(v) {
+  if (v === null || v === undefined) return '';
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Returns { begin(), line(record), end() } - each yields the text to write (possibly '').
+// `fields` are the csv columns (other commands' records, e.g. rank's)
+export function createFormatter(format, fields = FIELDS) {
+  if (format === 'ndjson') {
+    return {
+      begin: () => '',
+      line: rec => JSON.stringify(rec) + '\n',
+      end: () => '',
+    };
+  }
+  if (format === 'csv') {
+    return {
+      begin: () => fields.join(',') + '\n',
+      line: rec => fields.map(f => csvCell(rec[f])).join(',') + '\n',
+      end: () => '',
+    };
+  }
+  if (format === 'json') {
+    let first = true;
+    return {
+      begin: () => '[\n',
+      line: rec => {
+        const out = (first ? '  ' : ',\n  ') + JSON.stringify(rec);
+        first = false;
+        return out;
+      },
+      end: () => (first ? ']\n' : '\n]\n'),
+    };
+  }
+  throw new Error(`Unknown format "${format}" (use ${FORMATS.join(', ')})`);
+}
@@ -0,0 +1,158 @@
+// generate.js - Username candidate generators
+//
+// Patterns are a small regex-like language:
+//   [a-z0-9_]   character class (ranges and single chars)
+//   {3} {2,4}   repeat the previous class/char
+//   \d \w       shorthand for [0-9] and [a-z0-9_]
+//   anything else is a literal
+// e.g. "[a-z]{3}", "cool[0-9]{2}", "x[aeiou]{1,2}z"
+//
+// Templates are pronounceable shapes: C = consonant, V = vowel, e.g. "CVCV".
+
+import { isValidUsername } from './validate.js';
+import { createDedupe } from './dedupe.js';
+
+const VOWELS = 'aeiou';
+const CONSONANTS = 'bcdfghjklmnpqrstvwxyz';
+const SHORTHANDS = { d: '0123456789', w: 'abcdefghijklmnopqrstuvwxyz0123456789_' };
+
+const LEET = { a: '4', e: '3', i: '1', o: '0', s: '5', t: '7' };
+
+function expandClass(body, pattern) {
+  let chars = '';
+  for (let i = 0; i < body.length; i++) {
+    if (body[i] === '\\' && SHORTHANDS[body[i + 1]]) {
+      chars += SHORTHANDS[body[++i]];
+    } else if (body[i + 1] === '-' && i + 2 < body.length) {
+      const from = body.charCodeAt(i), to = body.charCodeAt(i + 2);
+      if (from > to) throw new Error(`Invalid range "${body.slice(i, i + 3)}" in pattern "${pattern}"`);
+      for (let code = from; code <= to; code++) chars += String.fromCharCode(code);
+      i += 2;
+    } else {
+      chars += body[i];
+    }
+  }
+  return [...new Set(chars)];
+}
+
+// Parse a pattern into [{ chars, min, max }]
+export function parsePattern(pattern) {
+  const tokens = [];
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '[') {
+      const end = pattern.indexOf(']', i + 1);
+      if (end === -1) throw new Error(`Unclosed "[" in pattern "${pattern}"`);
+      tokens.push({ chars: expandClass(pattern.slice(i + 1, end), pattern), min: 1, max: 1 });
+      i = end;
+    } else if (ch === '{') {
+      const end = pattern.indexOf('}', i + 1);
+      const m = end !== -1 && pattern.slice(i + 1, end).match(/^(\d+)(?:,(\d+))?$/);
+      if (!m || !tokens.length) throw new Error(`Invalid repeat at position ${i} in pattern "${pattern}"`);
+      const last = tokens[tokens.length - 1];
+      last.min = Number(m[1]);
+      last.max = m[2] !== undefined ? Number(m[2]) : last.min;
+      if (last.min > last.max) throw new Error(`Invalid repeat "{${m[0]}}" in pattern "${pattern}"`);
+      i = end;
+    } else if (ch === '\\' && SHORTHANDS[pattern[i + 1]]) {
+      tokens.push({ chars: [...SHORTHANDS[pattern[++i]]], min: 1, max: 1 });
+    } else if (ch === '\\' && i + 1 < pattern.length) {
+      tokens.push({ chars: [pattern[++i]], min: 1, max: 1 });
+    } else {
+      tokens.push({ chars: [ch], min: 1, max: 1 });
+    }
+  }
+  return tokens;
+}
+
+export function templateToPattern(template) {
+  return [...template].map(ch => {
+    if (ch === 'C') return `[${CONSONANTS}]`;
+    if (ch === 'V') return `[${VOWELS}]`;
+    return /[A-Za-z0-9_]/.test(ch) ? ch : `\\${ch}`;
+  }).join('');
+}
+
+// Expand a list of single-char slots in lexicographic (odometer) order
+function* product(slots) {
+  if (!slots.length) return;
+  const idx = new Array(slots.length).fill(0);
+  while (true) {
+    yield idx.map((n, i) => slots[i][n]).join('');
+    let pos = slots.length - 1;
+    while (pos >= 0 && ++idx[pos] === slots[pos].length) idx[pos--] = 0;
+    if (pos < 0) return;
+  }
+}
+
+// Every combination of repeat counts, shortest names first
+function* repeatCounts(tokens, i = 0) {
+  if (i === tokens.length) { yield []; return; }
+  for (let n = tokens[i].min; n <= tokens[i].max; n++) {
+    for (const rest of repeatCounts(tokens, i + 1)) yield [n, ...rest];
+  }
+}
+
+export function* expandPattern(pattern) {
+  const tokens = parsePattern(pattern);
+  for (const counts of repeatCounts(tokens)) {
+    const slots = tokens.flatMap((t, i) => new Array(counts[i]).fill(t.chars));
+    yield* product(slots);
+  }
+}
+
+// Number of names a pattern expands to (before filtering)
+export function countPattern(pattern) {
+  const tokens = parsePattern(pattern);
+  let total = 0;
+  for (const counts of repeatCounts(tokens)) {
+    total += counts.reduce((acc, n, i) => acc * Math.pow(tokens[i].chars.length, n), 1);
+  }
+  return total;
+}
+
+export function* fromWords(words, { prefixes = [], suffixes = [] } = {}) {
+  const pre = ['', ...prefixes], suf = ['', ...suffixes];
+  for (const word of words) {
+    for (const p of pre) {
+      for (const s of suf) yield p + word + s;
+    }
+  }
+}
+
+// All leetspeak spellings of a name, including the original
+export function* leetVariants(name) {
+  const slots = [...name].map(ch => {
+    const sub = LEET[ch.toLowerCase()];
+    return sub ? [ch, sub] : [ch];
+  });
+  yield* product(slots);
+}
+
+// Combine sources, apply leetspeak, dedupe and enforce the username rules (see validate.js).
+// options: { patterns, templates, words, prefixes, suffixes, leet, limit }
+export function* generateCandidates(options = {}) {
+  const { patterns = [], templates = [], words = [], prefixes = [], suffixes = [], leet = false, limit = Infinity } = options;
+
+  function* sources() {
+    for (const p of patterns) yield* expandPattern(p);
+    for (const t of templates) yield* expandPattern(templateToPattern(t));
+    if (words.length) yield* fromWords(words, { prefixes, suffixes });
+  }
+
+  // A single fixed-length pattern can't repeat itself, so it skips dedupe; anything
+  // else (even [ab]{1,2}[ab]{0,1}) can, and exhaustive sweeps are too big for a Set
+  const single = !leet && !words.length && patterns.length + templates.length === 1 &&
+    parsePattern(patterns[0] || templateToPattern(templates[0])).every(t => t.min === t.max);
+  const seen = single ? null : createDedupe();
+
+  let count = 0;
+  for (const base of sources()) {
+    for (const name of leet ? leetVariants(base) : [base]) {
+      if (!isValidUsername(name)) continue;
+      if (seen && !seen.add(name.toLowerCase())) continue;
+      yield name;
+      if (++count >= limit) return;
+    }
+  }
+}
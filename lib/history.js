@@ -0,0 +1,114 @@
+// history.js - Per-run results, so runs can be compared later
+//
+// Every wordlist run is kept next to the results db:
+//   hytale-name.runs/<id>.json    { id, tag, source, startedAt, finishedAt, total, available, taken, errors, uncertain, rejected }
+//   hytale-name.runs/<id>.jsonl   { username, status, ttc, error, category, at } per result, last line per name wins
+// The id is the --tag, or a timestamp for untagged runs. Re-running a tag
+// starts it over; --append, --resume and retry continue it instead.
+
+import fs from 'fs';
+import path from 'path';
+import { isAnswer, statusOf, forEachLine } from './store.js';
+
+export const RUNS_DIR = 'hytale-name.runs';
+
+export function runsDirFor(dbFile) {
+  return path.join(path.dirname(dbFile), RUNS_DIR);
+}
+
+function metaFile(dir, id) {
+  return path.join(dir, `${id}.json`);
+}
+
+function resultsFile(dir, id) {
+  return path.join(dir, `${id}.jsonl`);
+}
+
+// Oldest first
+export function listRuns(dir) {
+  if (!fs.existsSync(dir)) return [];
+  const runs = [];
+  for (const name of fs.readdirSync(dir)) {
+    if (!name.endsWith('.json')) continue;
+    try {
+      runs.push(JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')));
+    } catch {
+      // A run interrupted while writing its metadata; its results are still readable
+    }
+  }
+  return runs.sort((a, b) => a.startedAt - b.startedAt);
+}
+
+// key -> { key, username, status, lastKnown, ttc, error, category, checkedAt }, same shape diffRecords() takes
+export function loadRun(dir, id) {
+  const file = resultsFile(dir, id);
+  if (!fs.existsSync(file)) throw new Error(`No run "${id}" in ${dir}`);
+  const records = new Map();
+  forEachLine(file, line => {
+    if (!line.trim()) return;
+    try {
+      const r = JSON.parse(line);
+      const key = r.username.toLowerCase();
+      const prev = records.get(key);
+      records.set(key, {
+        key,
+        username: r.username,
+        status: r.status,
+        lastKnown: isAnswer(r.status) ? r.status : (prev?.lastKnown ?? null),
+        ttc: r.ttc,
+        error: r.error,
+        category: r.category ?? null,
+        checkedAt: r.at,
+      });
+    } catch {
+      // Skip a torn last line from an interrupted run
+    }
+  });
+  return records;
+}
+
+// 2026-10-19T18-13-03, with a -2, -3... suffix if runs start within the same second
+function timestampId(dir, at) {
+  const base = new Date(at).toISOString().slice(0, 19).replace(/:/g, '-');
+  let id = base;
+  for (let n = 2; fs.existsSync(metaFile(dir, id)); n++) id = `${base}-${n}`;
+  return id;
+}
+
+// Start a run, or continue the tagged (or, untagged, the latest) one
+export function openRun(dir, { tag = null, source = null, resume = false, at = Date.now() } = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  const latest = listRuns(dir).at(-1);
+  const id = tag || (resume && latest ? latest.id : timestampId(dir, at));
+  let meta = resume && fs.existsSync(metaFile(dir, id)) ? JSON.parse(fs.readFileSync(metaFile(dir, id), 'utf8')) : null;
+  if (!meta) {
+    meta = { id, tag, source, startedAt: at, finishedAt: null, total: 0, available: 0, taken: 0, errors: 0, uncertain: 0, rejected: 0 };
+    fs.writeFileSync(resultsFile(dir, id), '');
+  }
+  fs.writeFileSync(metaFile(dir, id), JSON.stringify(meta, null, 2) + '\n');
+
+  // Running totals, last result per name: a continued run starts from the
+  // totals it was left with, then each result moves one name - from the status
+  // it already had in this run if the caller says so (nothing is kept per name)
+  const counts = { total: meta.total, available: meta.available, taken: meta.taken, errors: meta.errors, uncertain: meta.uncertain ?? 0 };
+  const field = status => (status === 'error' ? 'errors' : status);
+  const fd = fs.openSync(resultsFile(dir, id), 'a');
+
+  // previous: this name's status from an earlier result of the run, if it has one
+  function record(r, previous = null, at = Date.now()) {
+    const status = statusOf(r);
+    fs.writeSync(fd, JSON.stringify({ username: r.username, status, ttc: r.ttc ?? null, error: r.error || null, category: status === 'error' ? (r.category || 'unknown') : null, at }) + '\n');
+    if (previous) counts[field(previous)]--;
+    else counts.total++;
+    counts[field(status)]++;
+  }
+
+  function finish({ rejected = 0, complete = true } = {}) {
+    fs.closeSync(fd);
+    Object.assign(meta, counts, { rejected: meta.rejected + rejected, finishedAt: complete ? Date.now() : null });
+    fs.writeFileSync(metaFile(dir, id), JSON.stringify(meta, null, 2) + '\n');
+    return meta;
+  }
+
+  return { id, meta, record, finish };
+}
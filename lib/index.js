@@ -0,0 +1,35 @@
+// hytale-name - Programmatic API
+//
+//   import { checkUsernames } from 'hytale-name';
+
+export { checkUsernames } from './checker.js';
+export { watchUsernames } from './watch.js';
+export { runHook, postWebhook } from './notify.js';
+export { createUpstream, withRetry } from './upstream.js';
+export { createCheckService, createCheckServer } from './server.js';
+export { createMockServer } from './mock.js';
+export { PROVIDERS, DEFAULT_PROVIDER, loadProvider, assertOk } from './providers.js';
+export { CATEGORIES, PERMANENT, DEFAULT_POLICY, checkError, classify, resolvePolicy, parseRetryPolicy } from './errors.js';
+export { createRateController, parseRetryAfter } from './ratelimit.js';
+export { MIN_LEN, MAX_LEN, ALLOWED_RE, CHAR_CLASSES, setLengthLimits, isValidLength, charClass, parseUsernames, parseLines } from './usernames.js';
+export { validateUsername, isValidUsername, partitionUsernames, RESERVED_NAMES, BLOCKED_WORDS } from './validate.js';
+export { CONFIG_FILES, PACKAGE_KEY, findConfig, loadConfig, resolveConfig } from './config.js';
+export { openStore, loadRecords, statusOf, isAnswer, DB_FILE } from './store.js';
+export { RUNS_DIR, runsDirFor, openRun, listRuns, loadRun } from './history.js';
+export { parseDuration } from './duration.js';
+export { checkpointPath, listHash, fileFingerprint, loadCheckpoint, createCheckpoint } from './checkpoint.js';
+export { readLines, isGzip } from './input.js';
+export { createDedupe, createBloomFilter } from './dedupe.js';
+export { FOLDS, HOMOGLYPHS, canonicalize, createVariantIndex } from './canonical.js';
+export { LIST_OPERATIONS, readList, combine, parseLengthRange, createListFilter } from './lists.js';
+export { createWorkQueue } from './queue.js';
+export { createScheduler } from './scheduler.js';
+export { createVerifier } from './verify.js';
+export { LATENCY_BUCKETS, createMetrics, serveMetrics, writeMetricsFile } from './metrics.js';
+export { EXIT, exitCodeFor, buildSummary, writeSummaryJson } from './summary.js';
+export { SHELLS, completionScript } from './completion.js';
+export { FORMATS, FIELDS, createFormatter, toRecord } from './format.js';
+export { createDashboard } from './dashboard.js';
+export { generateCandidates, expandPattern, parsePattern, countPattern, templateToPattern, fromWords, leetVariants } from './generate.js';
+export { VARIANT_KINDS, SYNONYMS, editDistance, suggestVariants, findAvailableVariants } from './suggest.js';
+export { DEFAULT_WEIGHTS, SCORE_FACTORS, COMMON_WORDS, parseWeights, createScorer, readWords } from './score.js';
@@ -0,0 +1,61 @@
+// input.js - Wordlists read as a stream, one name at a time
+//
+// Files and stdin ("-") are read in chunks and split into lines as they
+// arrive, so a multi-GB list never has to fit in memory and checking starts
+// with the first line. Gzipped input is detected by its magic bytes, whatever
+// the file is called.
+
+import fs from 'fs';
+import zlib from 'zlib';
+import { pipeline, Readable } from 'stream';
+import { StringDecoder } from 'string_decoder';
+
+const GZIP_MAGIC = [0x1f, 0x8b];
+
+export function isGzip(buf) {
+  return buf.length >= 2 && buf[0] === GZIP_MAGIC[0] && buf[1] === GZIP_MAGIC[1];
+}
+
+// Byte chunks of a file or stdin, gunzipped if needed
+async function* chunksOf(stream) {
+  const it = stream[Symbol.asyncIterator]();
+  const first = await it.next();
+  if (first.done) return;
+  if (!isGzip(first.value)) {
+    yield first.value;
+    for (let r = await it.next(); !r.done; r = await it.next()) yield r.value;
+    return;
+  }
+  const raw = Readable.from((async function* () {
+    yield first.value;
+    for (let r = await it.next(); !r.done; r = await it.next()) yield r.value;
+  })());
+  // Errors on either side (a read error, a truncated archive) surface from the loop below
+  yield* pipeline(raw, zlib.createGunzip(), () => {});
+}
+
+// Trimmed, non-empty lines of `input` (a path, "-" for stdin, or a readable stream)
+export async function* readLines(input) {
+  const stream = input === '-' ? process.stdin : typeof input === 'string' ? fs.createReadStream(input) : input;
+  const label = input === '-' ? 'stdin' : typeof input === 'string' ? input : 'input';
+  const decoder = new StringDecoder('utf8');
+  let partial = '';
+  const chunks = chunksOf(stream);
+  while (true) {
+    let r;
+    try {
+      r = await chunks.next();
+    } catch (e) {
+      throw new Error(`Reading ${label}: ${e.message}`);
+    }
+    if (r.done) break;
+    const lines = (partial + decoder.write(r.value)).split(/\r?\n/);
+    partial = lines.pop();
+    for (const line of lines) {
+      const name = line.trim();
+      if (name) yield name;
+    }
+  }
+  const last = (partial + decoder.end()).trim();
+  if (last) yield last;
+}
@@ -0,0 +1,66 @@
+// lists.js - Set operations and filters over wordlists (`hytale-name lists`)
+//
+// Lists are compared by canonical key (see canonical.js: case-insensitive
+// unless told otherwise), keeping the first spelling seen. A line's first
+// tab-separated field is its name, so output files like errors.txt work as
+// lists too, and a line may hold several names (anything parseUsernames takes).
+// Filters drop names the checker would reject first, so a prepared list holds
+// exactly what a run would send.
+
+import { readLines } from './input.js';
+import { parseUsernames, charClass } from './usernames.js';
+import { validateUsername } from './validate.js';
+import { canonicalize } from './canonical.js';
+
+export const LIST_OPERATIONS = ['union', 'intersect', 'subtract', 'filter'];
+
+// Names in a list file ('-' for stdin, gzipped is fine), in order
+export async function readList(file) {
+  const names = [];
+  for await (const line of readLines(file)) names.push(...parseUsernames(line.split('\t')[0]));
+  return names;
+}
+
+// union/filter: in any list; intersect: in every list; subtract: in the first and none of the others
+export function combine(operation, lists, { fold = 'case' } = {}) {
+  const key = name => canonicalize(name, fold);
+  const [first = [], ...others] = lists;
+  const keySets = () => others.map(list => new Set(list.map(key)));
+  let names;
+  if (operation === 'union' || operation === 'filter') {
+    names = lists.flat();
+  } else if (operation === 'intersect') {
+    const sets = keySets();
+    names = first.filter(name => sets.every(set => set.has(key(name))));
+  } else if (operation === 'subtract') {
+    const sets = keySets();
+    names = first.filter(name => !sets.some(set => set.has(key(name))));
+  } else {
+    throw new Error(`Unknown list operation "${operation}" (use ${LIST_OPERATIONS.join(', ')})`);
+  }
+  const seen = new Set();
+  return names.filter(name => !seen.has(key(name)) && seen.add(key(name)));
+}
+
+// "4" -> { min: 4, max: 4 }, "3-6", "5-" (at least), "-6" (at most)
+export function parseLengthRange(spec) {
+  const m = String(spec).trim().match(/^(\d+)?(-)?(\d+)?$/);
+  if (!m || (!m[1] && !m[3])) throw new Error(`Invalid length "${spec}" (use e.g. 4, 3-6, 5- or -8)`);
+  const min = m[1] ? Number(m[1]) : 0;
+  const max = m[3] ? Number(m[3]) : m[2] ? Infinity : min;
+  if (max < min) throw new Error(`Invalid length "${spec}" (${min} is more than ${max})`);
+  return { min, max };
+}
+
+// name -> null to keep it, or why it's dropped: invalid, length, match, exclude, class or checked
+export function createListFilter({ length = null, match = [], exclude = [], classes = null, isChecked = null } = {}) {
+  return name => {
+    if (validateUsername(name)) return 'invalid';
+    if (length && (name.length < length.min || name.length > length.max)) return 'length';
+    if (!match.every(re => re.test(name))) return 'match';
+    if (exclude.some(re => re.test(name))) return 'exclude';
+    if (classes && !classes.includes(charClass(name))) return 'class';
+    if (isChecked && isChecked(name)) return 'checked';
+    return null;
+  };
+}
@@ -0,0 +1,151 @@
+// metrics.js - Run metrics for graphing long checks (--metrics-port, --metrics-file)
+//
+// Counters and the latency histogram are fed by a run's events (see
+// checker.js); gauges - queue depth, workers, concurrency - are read from the
+// run when a snapshot is taken. The same numbers come out two ways:
+//   render()    Prometheus text format, served at /metrics
+//   snapshot()  a JSON object, served at /metrics.json and written to a file
+// Further runs can add to the counters with attach(); --verify re-checks are
+// attached as `verify`, so they count as their own metric rather than as
+// final answers a second time.
+
+import fs from 'fs';
+import http from 'http';
+import { statusOf } from './store.js';
+
+export const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20]; // Seconds
+const PREFIX = 'hytale_name';
+
+export function createMetrics({ run }) {
+  const started = Date.now();
+  let checked = 0;
+  const results = { available: 0, taken: 0, error: 0 };
+  const errors = {}; // category -> n
+  const retries = {}; // category -> n
+  const requests = {}; // status code ("none" when there was no response) -> n
+  const byWorker = {}; // worker -> names answered
+  const verifyChecks = {}; // status -> --verify re-checks
+  const latency = { counts: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 };
+
+  const bump = (obj, key) => { obj[key] = (obj[key] || 0) + 1; };
+
+  function attach(source, { verify = false } = {}) {
+    source.on('result', r => {
+      const status = statusOf(r);
+      if (verify) return bump(verifyChecks, status);
+      checked++;
+      bump(results, status);
+      if (status === 'error') bump(errors, r.category || 'unknown');
+      if (r.worker !== undefined && source === run) bump(byWorker, r.worker);
+    });
+    source.on('request', r => {
+      bump(requests, r.statusCode ?? 'none');
+      if (typeof r.ms !== 'number') return;
+      const seconds = r.ms / 1000;
+      latency.sum += seconds;
+      latency.count++;
+      const i = LATENCY_BUCKETS.findIndex(le => seconds <= le);
+      if (i !== -1) latency.counts[i]++;
+    });
+    source.on('retry', r => bump(retries, r.category || 'unknown'));
+  }
+  attach(run);
+
+  function snapshot(now = Date.now()) {
+    const queue = run.scheduler.stats();
+    const rate = run.rate.stats();
+    return {
+      at: new Date(now).toISOString(),
+      uptimeSeconds: Math.round((now - started) / 1000),
+      checked,
+      results: { ...results },
+      errors: { ...errors },
+      retries: { ...retries },
+      verifyChecks: { ...verifyChecks },
+      requests: { ...requests },
+      rateLimited: rate.rateLimited,
+      latency: {
+        // Cumulative, like Prometheus: requests that took at most `le` seconds
+        buckets: LATENCY_BUCKETS.map((le, i) => ({ le, count: latency.counts.slice(0, i + 1).reduce((a, b) => a + b, 0) })),
+        sumSeconds: Math.round(latency.sum * 1000) / 1000,
+        count: latency.count,
+      },
+      workers: { active: run.workers, checked: { ...byWorker } },
+      queue: { queued: queue.queued, retrying: queue.retrying, inFlight: queue.inFlight },
+      concurrency: { limit: rate.limit, inFlight: rate.inFlight, waiting: rate.queued },
+    };
+  }
+
+  function render(now = Date.now()) {
+    const s = snapshot(now);
+    const lines = [];
+    // samples: [suffix and labels, value]
+    const metric = (name, type, help, samples) => {
+      lines.push(`# HELP ${PREFIX}_${name} ${help}`, `# TYPE ${PREFIX}_${name} ${type}`);
+      for (const [labels, value] of samples) lines.push(`${PREFIX}_${name}${labels} ${value}`);
+    };
+    const labelled = (label, obj) => Object.entries(obj).map(([k, v]) => [`{${label}="${k}"}`, v]);
+
+    metric('checked_total', 'counter', 'Names with a final answer or error', [['', s.checked]]);
+    metric('results_total', 'counter', 'Final results by status', labelled('status', s.results));
+    metric('errors_total', 'counter', 'Names that failed for good, by error category', labelled('category', s.errors));
+    metric('verify_checks_total', 'counter', 'Re-checks of available names under --verify, by answer', labelled('status', s.verifyChecks));
+    metric('retries_total', 'counter', 'Names requeued for another attempt, by error category', labelled('category', s.retries));
+    metric('requests_total', 'counter', 'HTTP requests by status code (none: no response)', labelled('code', s.requests));
+    metric('worker_checked_total', 'counter', 'Names answered per worker', labelled('worker', s.workers.checked));
+    metric('request_duration_seconds', 'histogram', 'HTTP request latency', [
+      ...s.latency.buckets.map(b => [`_bucket{le="${b.le}"}`, b.count]),
+      ['_bucket{le="+Inf"}', s.latency.count],
+      ['_sum', s.latency.sumSeconds],
+      ['_count', s.latency.count],
+    ]);
+    metric('queue_depth', 'gauge', 'Names read ahead, waiting to retry and held by workers', labelled('state', { queued: s.queue.queued, retrying: s.queue.retrying, in_flight: s.queue.inFlight }));
+    metric('workers', 'gauge', 'Workers taking work', [['', s.workers.active]]);
+    metric('concurrency_limit', 'gauge', 'Concurrent requests allowed by the rate controller', [['', s.concurrency.limit]]);
+    metric('requests_in_flight', 'gauge', 'HTTP requests in flight', [['', s.concurrency.inFlight]]);
+    metric('uptime_seconds', 'gauge', 'Seconds since the run started', [['', s.uptimeSeconds]]);
+    return lines.join('\n') + '\n';
+  }
+
+  return { attach, snapshot, render };
+}
+
+// GET /metrics (Prometheus) and /metrics.json; resolves with the listening server
+export function serveMetrics(metrics, { port = 9464, host = '127.0.0.1' } = {}) {
+  const server = http.createServer((req, res) => {
+    const url = req.url.split('?')[0];
+    if (req.method === 'GET' && url === '/metrics') {
+      res.writeHead(200, { 'content-type': 'text/plain; version=0.0.4; charset=utf-8' });
+      return res.end(metrics.render());
+    }
+    if (req.method === 'GET' && url === '/metrics.json') {
+      res.writeHead(200, { 'content-type': 'application/json' });
+      return res.end(JSON.stringify(metrics.snapshot(), null, 2));
+    }
+    res.writeHead(404, { 'content-type': 'application/json' });
+    res.end('{"error":"Not found (try /metrics or /metrics.json)"}');
+  });
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => resolve(server));
+  });
+}
+
+// Rewrite `file` with a snapshot every `intervalMs` (atomically, so readers never see half a file)
+export function writeMetricsFile(metrics, file, intervalMs = 10000) {
+  const write = () => {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(metrics.snapshot(), null, 2) + '\n');
+    fs.renameSync(tmp, file);
+  };
+  write();
+  const timer = setInterval(write, intervalMs);
+  timer.unref();
+  return {
+    write,
+    stop() {
+      clearInterval(timer);
+      write();
+    },
+  };
+}
@@ -0,0 +1,150 @@
+// mock.js - Offline stand-in for the hytl.tools API
+//
+// Behaviour is picked by username prefix so one server covers every case:
+//   rl...    429 Rate limited (with Retry-After)
+//   err...   500 Server error
+//   slow...  Never answers (client timeout)
+//   bad...   200 with malformed JSON
+//   gone...  404
+//   nope...  400 (the API refuses the name)
+//   flaky... 500 for the first `flakyFailures` requests, then a normal answer
+//   ghost... available on the first request, taken after (a false "available")
+//   lost...  left out of batch answers (GETs answer normally)
+//   case...  lowercased in batch answers, as if the API normalized it
+// Anything else is taken if listed in `taken`, otherwise available.
+//
+// POST /check/batch answers in `batchFormat`: "results" ({ results: [...] }),
+// "map" ({ name: bool }) or "none" (404, so clients fall back to GETs).
+// setFixed(name, behaviour) overrides a single name at runtime.
+
+import http from 'http';
+
+export function createMockServer(options = {}) {
+  const {
+    taken = [],
+    batchFormat = 'results',
+    delayMs = 0,
+    retryAfter = 1,
+    flakyFailures = 1,
+  } = options;
+
+  const takenSet = new Set(taken.map(n => n.toLowerCase()));
+  const fixed = new Map(); // lowercase name -> behaviour
+  const flakyCounts = new Map();
+  const ghostSeen = new Set();
+  const requests = []; // { method, path, usernames }
+  const hanging = new Set();
+
+  function behaviourOf(name) {
+    const lower = name.toLowerCase();
+    if (fixed.has(lower)) return fixed.get(lower);
+    if (lower.startsWith('rl')) return 'rate_limited';
+    if (lower.startsWith('err')) return 'server_error';
+    if (lower.startsWith('slow')) return 'timeout';
+    if (lower.startsWith('bad')) return 'malformed';
+    if (lower.startsWith('gone')) return 'not_found';
+    if (lower.startsWith('nope')) return 'invalid_name';
+    if (lower.startsWith('ghost')) {
+      if (ghostSeen.has(lower)) return 'taken';
+      ghostSeen.add(lower);
+      return 'available';
+    }
+    if (lower.startsWith('flaky')) {
+      const n = (flakyCounts.get(lower) || 0) + 1;
+      flakyCounts.set(lower, n);
+      if (n <= flakyFailures) return 'server_error';
+    }
+    return takenSet.has(lower) ? 'taken' : 'available';
+  }
+
+  function reply(res, behaviour) {
+    if (behaviour === 'timeout') {
+      hanging.add(res);
+      res.on('close', () => hanging.delete(res));
+      return;
+    }
+    if (behaviour === 'rate_limited') {
+      res.writeHead(429, { 'content-type': 'application/json', 'retry-after': String(retryAfter) });
+      return res.end('{"error":"Too many requests"}');
+    }
+    if (behaviour === 'server_error') {
+      res.writeHead(500, { 'content-type': 'application/json' });
+      return res.end('{"error":"Internal error"}');
+    }
+    if (behaviour === 'not_found') {
+      res.writeHead(404, { 'content-type': 'application/json' });
+      return res.end('{"error":"Not found"}');
+    }
+    if (behaviour === 'invalid_name') {
+      res.writeHead(400, { 'content-type': 'application/json' });
+      return res.end('{"error":"Invalid username"}');
+    }
+    res.writeHead(200, { 'content-type': 'application/json' });
+    if (behaviour === 'malformed') return res.end('{"available": tru');
+    res.end(JSON.stringify({ available: behaviour === 'available' }));
+  }
+
+  function replyBatch(res, names) {
+    if (batchFormat === 'none') {
+      res.writeHead(404, { 'content-type': 'application/json' });
+      return res.end('{"error":"Not found"}');
+    }
+    const answers = names
+      .filter(name => !name.toLowerCase().startsWith('lost'))
+      .map(name => ({ name: name.toLowerCase().startsWith('case') ? name.toLowerCase() : name, behaviour: behaviourOf(name) }));
+    // A batch fails as a whole if any name would be throttled or break the server
+    const worst = answers.find(a => a.behaviour === 'rate_limited' || a.behaviour === 'server_error');
+    if (worst) return reply(res, worst.behaviour);
+    res.writeHead(200, { 'content-type': 'application/json' });
+    const value = a => (a.behaviour === 'available' ? true : a.behaviour === 'taken' ? false : null);
+    if (batchFormat === 'map') {
+      return res.end(JSON.stringify(Object.fromEntries(answers.map(a => [a.name, value(a)]))));
+    }
+    res.end(JSON.stringify({ results: answers.map(a => ({ username: a.name, available: value(a) })) }));
+  }
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => setTimeout(() => {
+      if (req.method === 'POST' && req.url === '/check/batch') {
+        let names = [];
+        try { names = JSON.parse(body).usernames || []; } catch {}
+        requests.push({ method: 'POST', path: req.url, usernames: names });
+        return replyBatch(res, names);
+      }
+      const m = req.method === 'GET' && req.url.match(/^\/check\/([^/?]+)/);
+      if (m) {
+        const name = decodeURIComponent(m[1]);
+        requests.push({ method: 'GET', path: req.url, usernames: [name] });
+        return reply(res, behaviourOf(name));
+      }
+      res.writeHead(404);
+      res.end();
+    }, delayMs));
+  });
+
+  function listen(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => resolve(`http://${host}:${server.address().port}`));
+    });
+  }
+
+  function close() {
+    for (const res of hanging) res.destroy();
+    return new Promise(resolve => {
+      server.close(() => resolve());
+      server.closeAllConnections();
+    });
+  }
+
+  return {
+    server,
+    requests,
+    listen,
+    close,
+    setFixed: (name, behaviour) => fixed.set(name.toLowerCase(), behaviour),
+    setTaken: (name, isTaken = true) => (isTaken ? takenSet.add(name.toLowerCase()) : takenSet.delete(name.toLowerCase())),
+  };
+}
@@ -0,0 +1,35 @@
+// notify.js - Status change notifications (shell hook and webhook)
+//
+// A change is { username, status, previous, timestamp }.
+
+import { exec } from 'child_process';
+import { request } from 'undici';
+
+// Run a shell command with the change in HYTALE_NAME / HYTALE_STATUS / HYTALE_PREVIOUS
+export function runHook(command, change) {
+  return new Promise((resolve, reject) => {
+    const env = {
+      ...process.env,
+      HYTALE_NAME: change.username,
+      HYTALE_STATUS: change.status,
+      HYTALE_PREVIOUS: change.previous,
+    };
+    exec(command, { env, timeout: 30000 }, (err, stdout, stderr) => {
+      if (err) reject(new Error(`Hook failed: ${stderr.trim() || err.message}`));
+      else resolve(stdout);
+    });
+  });
+}
+
+// POST the change as JSON
+export async function postWebhook(url, change) {
+  const { statusCode, body } = await request(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(change),
+    headersTimeout: 15000,
+    bodyTimeout: 15000,
+  });
+  await body.dump();
+  if (statusCode < 200 || statusCode >= 300) throw new Error(`Webhook HTTP ${statusCode}`);
+}
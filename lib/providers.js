@@ -0,0 +1,89 @@
+// providers.js - Checker backends
+//
+// A provider describes how to talk to one availability API:
+//   endpoint                               Default base URL (overridable with --endpoint)
+//   singleRequest(username)                → { path, method, headers?, body? }
+//   parseSingle(statusCode, text)          → true/false, throws on failure (see errors.js for categories)
+//   batchRequest(usernames)                → request (optional - omit if the API has no batch endpoint)
+//   parseBatch(statusCode, text, usernames) → [{ username, available }] or null to fall back to single checks
+//
+// Custom providers are ES modules whose default export has this shape,
+// loaded with `--provider ./my-provider.js`.
+
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { checkError } from './errors.js';
+
+// Shared status handling - the error's category decides whether it is retried
+export function assertOk(statusCode) {
+  if (statusCode === 429) throw checkError('rate_limited', 'Rate limited');
+  if (statusCode >= 500) throw checkError('server_error', `Server error (${statusCode})`);
+  if (statusCode === 404) throw checkError('not_found', `HTTP ${statusCode}`);
+  if (statusCode === 400 || statusCode === 422) throw checkError('invalid_name', `HTTP ${statusCode}`);
+  if (statusCode < 200 || statusCode >= 300) throw checkError('invalid_response', `HTTP ${statusCode}`);
+}
+
+export const hytlTools = {
+  name: 'hytl.tools',
+  endpoint: 'https://api.hytl.tools',
+
+  singleRequest(username) {
+    return { path: `/check/${encodeURIComponent(username)}`, method: 'GET' };
+  },
+
+  parseSingle(statusCode, text) {
+    assertOk(statusCode);
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      throw checkError('invalid_response', 'Invalid response (malformed JSON)');
+    }
+    if (typeof json?.available !== 'boolean') throw checkError('invalid_response', 'Invalid response');
+    return json.available;
+  },
+
+  batchRequest(usernames) {
+    return {
+      path: '/check/batch',
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ usernames }),
+    };
+  },
+
+  parseBatch(statusCode, text, usernames) {
+    if (statusCode !== 200 && statusCode !== 201) return null;
+    const json = JSON.parse(text);
+    // Expected format: { results: [{ username: "abc", available: true }, ...] }
+    if (Array.isArray(json.results)) {
+      return json.results;
+    }
+    // Alternative format: { "abc": true, "def": false, ... } (names it leaves out get no answer;
+    // keys are passed on as the API spelled them, the worker matches them up)
+    if (typeof json === 'object' && !Array.isArray(json)) {
+      return Object.entries(json).map(([username, value]) => ({
+        username,
+        available: value === true || value === false ? value : null
+      }));
+    }
+    return null;
+  },
+};
+
+export const PROVIDERS = {
+  [hytlTools.name]: hytlTools,
+};
+
+export const DEFAULT_PROVIDER = hytlTools.name;
+
+// Resolve a built-in provider name or a path to a provider module
+export async function loadProvider(spec = DEFAULT_PROVIDER) {
+  if (PROVIDERS[spec]) return PROVIDERS[spec];
+  const mod = await import(pathToFileURL(path.resolve(spec)).href);
+  const provider = mod.default || mod;
+  if (typeof provider.singleRequest !== 'function' || typeof provider.parseSingle !== 'function') {
+    throw new Error(`Provider "${spec}" must export singleRequest() and parseSingle()`);
+  }
+  return provider;
+}
@@ -0,0 +1,50 @@
+// queue.js - Shared work queue between an input stream and the workers
+//
+// Names are pulled from the source (an array, iterable or async iterable) only
+// as fast as workers take them, with at most `highWater` buffered in between,
+// so a huge streamed wordlist is never held in memory.
+
+export function createWorkQueue(source, { highWater = 10000 } = {}) {
+  const it = source[Symbol.asyncIterator] ? source[Symbol.asyncIterator]() : source[Symbol.iterator]();
+  const buffer = [];
+  let ended = false;
+  let filling = null;
+  let failure = null;
+  let taken = 0;
+
+  async function fill() {
+    try {
+      while (!ended && buffer.length < highWater) {
+        const r = await it.next();
+        if (r.done) ended = true;
+        else buffer.push(r.value);
+      }
+    } catch (e) {
+      failure = e;
+      ended = true;
+    }
+  }
+
+  function refill() {
+    if (!filling) filling = fill().finally(() => { filling = null; });
+    return filling;
+  }
+
+  // Up to n names; [] once the source is exhausted. Rejects if the source throws.
+  async function take(n) {
+    while (buffer.length < n && !ended) await refill();
+    if (failure) throw failure;
+    const names = buffer.splice(0, n);
+    taken += names.length;
+    // Read ahead while the workers are busy with this chunk
+    if (!ended && buffer.length < highWater / 2) refill();
+    return names;
+  }
+
+  return {
+    take,
+    get size() { return buffer.length; },
+    get taken() { return taken; },
+    get done() { return ended && buffer.length === 0; },
+  };
+}
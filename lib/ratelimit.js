@@ -0,0 +1,110 @@
+// ratelimit.js - Global, server-friendly request scheduling
+//
+// One controller (in the main thread) hands out permits for every request
+// made by every worker:
+//   - an optional requests-per-second cap (token bucket, --rps)
+//   - AIMD concurrency: slow-start until the first 429/5xx, then halve on
+//     429/5xx and grow by ~1 per window of successful requests
+//   - Retry-After pauses all permits until the server says we may continue
+
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+  const v = Array.isArray(value) ? value[0] : String(value);
+  if (/^\d+(\.\d+)?$/.test(v.trim())) return Number(v) * 1000;
+  const at = Date.parse(v);
+  return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+export function createRateController(options = {}) {
+  let { maxConcurrency = 1600 } = options; // Changes with the pool size (setMaxConcurrency)
+  const {
+    rps = null, // Max requests per second across all workers (null = uncapped)
+    minConcurrency = 1,
+    initialConcurrency = Math.min(maxConcurrency, 32),
+    cooldownMs = 1000, // At most one decrease per cooldown window
+  } = options;
+
+  let limit = Math.max(minConcurrency, initialConcurrency);
+  let slowStart = true;
+  let inFlight = 0;
+  let tokens = rps ? Math.max(1, rps) : Infinity;
+  let lastRefill = Date.now();
+  let pausedUntil = 0;
+  let lastDecrease = 0;
+  let timer = null;
+  const queue = [];
+  const stats = { granted: 0, rateLimited: 0, serverErrors: 0, decreases: 0, pauses: 0 };
+
+  function refill(now) {
+    if (!rps) return;
+    tokens = Math.min(Math.max(1, rps), tokens + ((now - lastRefill) / 1000) * rps);
+    lastRefill = now;
+  }
+
+  function schedule(delayMs) {
+    if (timer) return;
+    timer = setTimeout(() => { timer = null; pump(); }, Math.max(1, Math.ceil(delayMs)));
+  }
+
+  function pump() {
+    const now = Date.now();
+    refill(now);
+    while (queue.length && inFlight < Math.floor(limit)) {
+      if (now < pausedUntil) return schedule(pausedUntil - now);
+      if (tokens < 1) return schedule(((1 - tokens) / rps) * 1000);
+      tokens--;
+      inFlight++;
+      stats.granted++;
+      queue.shift()();
+    }
+  }
+
+  function acquire() {
+    return new Promise(resolve => { queue.push(resolve); pump(); });
+  }
+
+  // outcome: { statusCode, retryAfterMs } - statusCode is undefined for network errors
+  function release({ statusCode, retryAfterMs } = {}) {
+    inFlight = Math.max(0, inFlight - 1);
+    const now = Date.now();
+    const congested = statusCode === 429 || statusCode >= 500;
+
+    if (statusCode === 429) stats.rateLimited++;
+    else if (statusCode >= 500) stats.serverErrors++;
+
+    if (congested) {
+      slowStart = false;
+      if (now - lastDecrease >= cooldownMs) {
+        limit = Math.max(minConcurrency, limit / 2);
+        lastDecrease = now;
+        stats.decreases++;
+      }
+      if (retryAfterMs && now + retryAfterMs > pausedUntil) {
+        pausedUntil = now + retryAfterMs;
+        stats.pauses++;
+      }
+    } else if (statusCode >= 200 && statusCode < 300) {
+      // Slow start doubles per window; afterwards recover slowly (+1 per window)
+      limit = Math.min(maxConcurrency, limit + (slowStart ? 1 : 1 / limit));
+    }
+    pump();
+  }
+
+  function snapshot() {
+    return { ...stats, limit: Math.floor(limit), inFlight, queued: queue.length, pausedMs: Math.max(0, pausedUntil - Date.now()) };
+  }
+
+  // Follow the worker pool when it is resized mid-run
+  function setMaxConcurrency(n) {
+    maxConcurrency = Math.max(minConcurrency, n);
+    limit = Math.min(limit, maxConcurrency);
+    pump();
+  }
+
+  function close() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+  }
+
+  return { acquire, release, setMaxConcurrency, stats: snapshot, close };
+}
@@ -0,0 +1,190 @@
+// scheduler.js - Hands out work to the workers on demand
+//
+// Workers ask for a chunk whenever their own buffer runs low (pull), so a
+// worker slowed down by rate limits or bad connections simply asks less often.
+// When the queue runs dry, a worker with nothing left steals half of the
+// unstarted names from whichever worker has the longest backlog, so a run isn't left waiting
+// on one slow worker at the end. Failed names that may be retried come back
+// here (requeue) and go to whichever worker asks next once their backoff is up.
+//
+// Items are { username, attempts }. Messages go out through each worker's
+// send(): { type: 'work', items } ([] means everything is done), { type: 'steal', n }.
+
+import { createWorkQueue } from './queue.js';
+
+export function createScheduler(source, { chunkSize = 100, highWater = 10000, stealMin = 2 } = {}) {
+  const queue = createWorkQueue(source, { highWater });
+  const workers = new Map(); // id -> { id, send, held, backlog, waiting, serving, stealing, draining }
+  const retries = []; // { item, due }, soonest first
+  let timer = null;
+  let failure = null;
+  let finished = false;
+  let onError = () => {};
+
+  const outstanding = () => [...workers.values()].reduce((sum, w) => sum + w.held, 0);
+  const complete = () => queue.done && !retries.length && outstanding() === 0;
+
+  function add(id, send) {
+    workers.set(id, { id, send, held: 0, backlog: 0, waiting: false, serving: false, stealing: false, draining: false });
+  }
+
+  // Stop handing work to a worker; it returns what it hasn't started (returned)
+  function drain(id) {
+    const w = workers.get(id);
+    if (!w) return;
+    w.draining = true;
+    w.waiting = false;
+  }
+
+  // A worker has exited; anything it still held is lost, so it shouldn't hold any
+  function remove(id) {
+    workers.delete(id);
+    wake();
+  }
+
+  function give(w, items) {
+    w.held += items.length;
+    w.send({ type: 'work', items });
+  }
+
+  function dueRetries(n, now = Date.now()) {
+    let i = 0;
+    while (i < retries.length && i < n && retries[i].due <= now) i++;
+    return retries.splice(0, i).map(r => r.item);
+  }
+
+  // Serve a waiting worker: due retries, then fresh names, then a steal
+  async function serve(w) {
+    if (w.serving || !w.waiting || w.draining) return;
+    w.serving = true;
+    try {
+      const items = dueRetries(chunkSize);
+      if (items.length < chunkSize && !queue.done) {
+        const names = await queue.take(chunkSize - items.length);
+        for (const username of names) items.push({ username, attempts: 0 });
+      }
+      if (!workers.has(w.id) || w.draining) {
+        if (items.length) requeueNow(items);
+        return;
+      }
+      if (items.length) {
+        w.waiting = false;
+        give(w, items);
+        return;
+      }
+      if (!w.backlog) steal(w);
+      if (complete()) finish();
+      else schedule();
+    } catch (e) {
+      failure = e;
+      onError(e);
+    } finally {
+      w.serving = false;
+    }
+  }
+
+  function steal(thief) {
+    let victim = null;
+    for (const w of workers.values()) {
+      if (w === thief || w.stealing || w.draining || w.backlog < stealMin) continue;
+      if (!victim || w.backlog > victim.backlog) victim = w;
+    }
+    if (!victim) return;
+    victim.stealing = true;
+    victim.send({ type: 'steal', n: Math.floor(victim.backlog / 2) });
+  }
+
+  function wake() {
+    if (finished || failure) return;
+    if (complete()) return finish();
+    for (const w of workers.values()) if (w.waiting) serve(w);
+    schedule();
+  }
+
+  // Wake up when the next backoff is over
+  function schedule() {
+    if (timer || !retries.length || ![...workers.values()].some(w => w.waiting)) return;
+    timer = setTimeout(() => {
+      timer = null;
+      wake();
+    }, Math.max(0, retries[0].due - Date.now()));
+    timer.unref();
+  }
+
+  function finish() {
+    finished = true;
+    if (timer) clearTimeout(timer);
+    timer = null;
+    for (const w of workers.values()) {
+      if (!w.waiting) continue;
+      w.waiting = false;
+      w.send({ type: 'work', items: [] });
+    }
+  }
+
+  function requeueNow(items) {
+    retries.unshift(...items.map(item => ({ item, due: 0 })));
+  }
+
+  return {
+    add,
+    drain,
+    remove,
+
+    // A worker is running low; backlog is how many unstarted names it still has
+    pull(id, backlog = 0) {
+      const w = workers.get(id);
+      if (!w || w.draining) return;
+      if (finished) return w.send({ type: 'work', items: [] });
+      w.backlog = backlog;
+      w.waiting = true;
+      serve(w);
+    },
+
+    // n of a worker's items finished; backlog is what it has left unstarted
+    resolved(id, n, backlog) {
+      const w = workers.get(id);
+      if (!w) return;
+      w.held -= n;
+      if (backlog !== undefined) w.backlog = backlog;
+      if ([...workers.values()].some(x => x.waiting)) wake();
+    },
+
+    // Items to try again after delayMs
+    requeue(id, items, delayMs = 0) {
+      const w = workers.get(id);
+      if (w) w.held -= items.length;
+      const due = Date.now() + delayMs;
+      for (const item of items) {
+        const at = retries.findIndex(r => r.due > due);
+        retries.splice(at === -1 ? retries.length : at, 0, { item, due });
+      }
+      wake();
+    },
+
+    // Unstarted items handed back after a steal or drain
+    returned(id, items, backlog) {
+      const w = workers.get(id);
+      if (w) {
+        w.held -= items.length;
+        w.stealing = false;
+        if (backlog !== undefined) w.backlog = backlog;
+      }
+      requeueNow(items);
+      wake();
+    },
+
+    onError(fn) { onError = fn; },
+
+    stats() {
+      return {
+        queued: queue.size,
+        retrying: retries.length,
+        inFlight: outstanding(),
+        workers: [...workers.values()].filter(w => !w.draining).length,
+      };
+    },
+
+    get done() { return finished; },
+  };
+}
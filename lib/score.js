@@ -0,0 +1,128 @@
+// score.js - How good an available name is (--sort score, `rank`)
+//
+// Each factor rates a name from 0 (bad) to 1 (good):
+//   length         shorter is better (MIN_LEN scores 1, MAX_LEN 0)
+//   pronounceable  no long consonant or vowel runs, has vowels
+//   dictionary     a word (1), or made of up to three words
+//   repetition     no runs of the same character
+//   digits         no digits (each one costs a third)
+//   underscores    no underscores (each one costs half)
+// The score is their weighted average on a 0-100 scale. Weights are tunable
+// (--weights dictionary=3,length=1); a weight of 0 ignores a factor.
+
+import { MIN_LEN, MAX_LEN } from './usernames.js';
+import { SYNONYMS } from './suggest.js';
+import { readLines } from './input.js';
+
+export const DEFAULT_WEIGHTS = { length: 3, pronounceable: 2, dictionary: 2, repetition: 1, digits: 1, underscores: 1 };
+export const SCORE_FACTORS = Object.keys(DEFAULT_WEIGHTS);
+
+// A small bundled dictionary, on top of the synonym list; --dict adds more
+export const COMMON_WORDS = [
+  'able', 'acid', 'aero', 'air', 'alpha', 'amber', 'angel', 'apex', 'apple', 'arc', 'arch', 'arrow', 'art', 'ash', 'atom', 'aura', 'axe',
+  'bane', 'bard', 'bash', 'bay', 'beam', 'bee', 'bell', 'berry', 'beta', 'bit', 'black', 'bliss', 'bloom', 'blue', 'bold', 'bolt', 'bone', 'boss', 'bow', 'brave', 'brick', 'bright', 'brook', 'buzz',
+  'cake', 'calm', 'cane', 'cape', 'cave', 'chaos', 'charm', 'chief', 'city', 'clan', 'claw', 'clay', 'coal', 'code', 'coin', 'core', 'crash', 'crest', 'crown', 'cube', 'cyber',
+  'dash', 'dawn', 'day', 'deep', 'delta', 'dew', 'dice', 'dino', 'dove', 'drift', 'drop', 'dune', 'dusk', 'dust',
+  'eagle', 'earth', 'echo', 'edge', 'elf', 'elite', 'elm', 'epic', 'eve', 'eye',
+  'fable', 'fang', 'fern', 'fish', 'flash', 'flux', 'fly', 'fog', 'fox', 'frog', 'fury', 'fuse',
+  'gale', 'gem', 'ghoul', 'glow', 'gnome', 'goat', 'golem', 'grim', 'grove', 'guard', 'gust',
+  'hail', 'halo', 'hare', 'hawk', 'haze', 'heart', 'hero', 'hex', 'hill', 'honey', 'hope', 'horn', 'hyper',
+  'iron', 'isle', 'ivy', 'jack', 'jade', 'jazz', 'jet', 'jewel', 'joy', 'jump', 'karma', 'key', 'kin', 'kite', 'lake', 'lance', 'lava', 'leaf', 'legend', 'light', 'lime', 'lion', 'loot', 'lotus', 'lynx',
+  'magic', 'maple', 'mars', 'maze', 'meadow', 'mist', 'mint', 'moss', 'myth', 'neon', 'nest', 'ninja', 'noble', 'north', 'oak', 'omega', 'onyx', 'orb', 'orc', 'owl',
+  'peak', 'pearl', 'pine', 'pixel', 'plum', 'polar', 'prime', 'pulse', 'quest', 'rain', 'ray', 'rebel', 'reef', 'rex', 'ridge', 'rift', 'river', 'rogue', 'rose', 'ruby', 'rune', 'rush', 'rust',
+  'sage', 'sand', 'scout', 'seed', 'silk', 'silver', 'sky', 'slate', 'sly', 'smoke', 'snake', 'sonic', 'spark', 'spike', 'spore', 'steel', 'sting', 'swamp',
+  'tiger', 'titan', 'toast', 'torch', 'tower', 'trail', 'tree', 'tribe', 'true', 'ultra', 'vale', 'venom', 'vex', 'vine', 'void', 'volt', 'wild', 'willow', 'wind', 'wing', 'winter', 'wisp', 'wood', 'yeti', 'zen', 'zero', 'zest',
+];
+
+const DEFAULT_DICTIONARY = new Set([...COMMON_WORDS, ...SYNONYMS.flat()]);
+const MIN_WORD = 3; // Shorter "words" would make almost anything a compound
+
+// "dictionary=3,length=1" or { dictionary: 3, length: 1 } -> full weights
+export function parseWeights(spec) {
+  const entries = typeof spec === 'string'
+    ? spec.split(',').map(s => s.trim()).filter(Boolean).map(rule => {
+      const m = rule.match(/^(\w+)=(\d+(?:\.\d+)?)$/);
+      if (!m) throw new Error(`Invalid weight "${rule}" (use FACTOR=WEIGHT, e.g. dictionary=3)`);
+      return [m[1], Number(m[2])];
+    })
+    : Object.entries(spec || {});
+  if (!entries.length) throw new Error('Empty weights');
+  const weights = { ...DEFAULT_WEIGHTS };
+  for (const [factor, weight] of entries) {
+    if (!SCORE_FACTORS.includes(factor)) throw new Error(`Unknown score factor "${factor}" (use ${SCORE_FACTORS.join(', ')})`);
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) throw new Error(`Invalid weight for ${factor}: ${JSON.stringify(weight)}`);
+    weights[factor] = weight;
+  }
+  if (SCORE_FACTORS.every(f => weights[f] === 0)) throw new Error('At least one weight must be above 0');
+  return weights;
+}
+
+// Words from a --dict file, one per line (gzipped is fine)
+export async function readWords(file) {
+  const words = [];
+  for await (const line of readLines(file)) words.push(line.toLowerCase());
+  return words;
+}
+
+// Fewest dictionary words `letters` splits into, or Infinity
+function wordCount(letters, dictionary) {
+  const best = new Array(letters.length + 1).fill(Infinity);
+  best[0] = 0;
+  for (let end = MIN_WORD; end <= letters.length; end++) {
+    for (let start = 0; start <= end - MIN_WORD; start++) {
+      if (best[start] + 1 < best[end] && dictionary.has(letters.slice(start, end))) best[end] = best[start] + 1;
+    }
+  }
+  return best[letters.length];
+}
+
+// Every letter past the second in a run of consonants or of vowels is hard to say
+function pronounceability(segments) {
+  const letters = segments.join('');
+  if (!/[aeiouy]/.test(letters)) return 0;
+  let hard = 0;
+  for (const run of segments.flatMap(s => s.match(/[^aeiouy]+|[aeiouy]+/g))) hard += Math.max(0, run.length - 2);
+  return Math.max(0, 1 - (2 * hard) / letters.length);
+}
+
+const round2 = n => Math.round(n * 100) / 100;
+
+export function createScorer({ weights = DEFAULT_WEIGHTS, words = [] } = {}) {
+  const dictionary = words.length ? new Set([...DEFAULT_DICTIONARY, ...words.map(w => w.toLowerCase())]) : DEFAULT_DICTIONARY;
+  const total = SCORE_FACTORS.reduce((sum, f) => sum + weights[f], 0);
+
+  function factors(name) {
+    const lower = name.toLowerCase();
+    const digits = (lower.match(/\d/g) || []).length;
+    const underscores = (lower.match(/_/g) || []).length;
+    const repeats = lower.length - (lower.match(/(.)\1*/g) || []).length;
+    // Words are looked for in each letter segment ("dark_wolf99" -> dark, wolf)
+    const segments = lower.split(/[^a-z]+/).filter(Boolean);
+    const words = segments.reduce((sum, s) => sum + wordCount(s, dictionary), 0);
+    const span = Math.max(1, MAX_LEN - MIN_LEN);
+    return {
+      length: Math.min(1, Math.max(0, 1 - (name.length - MIN_LEN) / span)),
+      pronounceable: pronounceability(segments),
+      dictionary: words === Infinity || !words ? 0 : words === 1 ? 1 : Math.max(0, 1 - (words - 1) * 0.25),
+      repetition: Math.max(0, 1 - (2 * repeats) / name.length),
+      digits: Math.max(0, 1 - digits / 3),
+      underscores: Math.max(0, 1 - underscores / 2),
+    };
+  }
+
+  // { username, score (0-100, one decimal), ...factors (two decimals) }
+  function score(name) {
+    const f = factors(name);
+    const value = total ? SCORE_FACTORS.reduce((sum, k) => sum + weights[k] * f[k], 0) / total : 0;
+    const out = { username: name, score: Math.round(value * 1000) / 10 };
+    for (const k of SCORE_FACTORS) out[k] = round2(f[k]);
+    return out;
+  }
+
+  // Best first; equal scores in name order
+  function rank(names) {
+    return names.map(score).sort((a, b) => b.score - a.score || a.username.toLowerCase().localeCompare(b.username.toLowerCase()));
+  }
+
+  return { score, rank, weights };
+}
@@ -0,0 +1,152 @@
+// server.js - The checker as a local HTTP service
+//
+//   GET  /check/:name      → { username, available }
+//   POST /check/batch      { usernames: [...] } → { results: [{ username, available, error? }] }
+//   GET  /health           → cache, coalescing and rate controller stats
+//
+// Same shapes the hytl.tools provider parses, so the CLI can point at it with
+// --endpoint. In front of the upstream: an in-memory TTL cache, request
+// coalescing (concurrent lookups of one name share a single upstream request)
+// and the shared rate controller.
+
+import http from 'http';
+import { withRetry } from './upstream.js';
+import { checkError, resolvePolicy } from './errors.js';
+import { validateUsername } from './validate.js';
+
+export const MAX_BATCH = 100;
+
+// Status served for an upstream failure, by category (anything else is a 502)
+const UPSTREAM_STATUS = { rate_limited: 429, invalid_name: 400, not_found: 404 };
+
+// retryPolicy: what withRetry() gets, a full policy from resolvePolicy()
+export function createCheckService({ upstream, cacheTtlMs = 300000, retryPolicy = resolvePolicy(), onLookup = () => {} }) {
+  const cache = new Map(); // key -> { available, expires }
+  const inflight = new Map(); // key -> Promise
+  const stats = { lookups: 0, hits: 0, coalesced: 0, upstream: 0, errors: 0 };
+
+  // Drop expired entries now and then so the cache can't grow forever
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of cache) if (entry.expires <= now) cache.delete(key);
+  }, Math.max(1000, Math.min(cacheTtlMs, 60000)));
+  sweeper.unref();
+
+  async function lookup(username) {
+    stats.lookups++;
+    const key = username.toLowerCase();
+    const hit = cache.get(key);
+    if (hit && hit.expires > Date.now()) {
+      stats.hits++;
+      onLookup({ username, available: hit.available, source: 'cache' });
+      return { available: hit.available, cached: true };
+    }
+    if (inflight.has(key)) {
+      stats.coalesced++;
+      return inflight.get(key);
+    }
+    stats.upstream++;
+    const pending = withRetry(() => upstream.checkSingle(username), retryPolicy).then(res => {
+      inflight.delete(key);
+      if (!res.ok) {
+        stats.errors++;
+        onLookup({ username, error: res.err, category: res.category, source: 'upstream' });
+        throw checkError(res.category, res.err);
+      }
+      if (cacheTtlMs > 0) cache.set(key, { available: res.val, expires: Date.now() + cacheTtlMs });
+      onLookup({ username, available: res.val, source: 'upstream' });
+      return { available: res.val, cached: false };
+    });
+    inflight.set(key, pending);
+    return pending;
+  }
+
+  function close() {
+    clearInterval(sweeper);
+  }
+
+  return { lookup, stats: () => ({ ...stats, cached: cache.size, inflight: inflight.size }), close };
+}
+
+function send(res, statusCode, body) {
+  res.writeHead(statusCode, { 'content-type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+// Past the limit the rest of the body is left unread (the reply closes the connection)
+function readBody(req, limit = 64 * 1024) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    const onData = chunk => {
+      data += chunk;
+      if (data.length <= limit) return;
+      data = '';
+      req.off('data', onData);
+      req.pause();
+      reject(Object.assign(new Error('Body too large'), { tooLarge: true }));
+    };
+    req.on('data', onData);
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+export function createCheckServer({ service, rate = null }) {
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      if (req.method === 'GET' && url.pathname === '/health') {
+        return send(res, 200, { ok: true, ...service.stats(), rate: rate ? rate.stats() : null });
+      }
+
+      if (req.method === 'POST' && url.pathname === '/check/batch') {
+        let body;
+        try {
+          body = JSON.parse(await readBody(req));
+        } catch (e) {
+          if (e.tooLarge) res.setHeader('connection', 'close');
+          return send(res, 400, { error: `Invalid JSON body: ${e.message}` });
+        }
+        const names = body?.usernames;
+        if (!Array.isArray(names) || names.length === 0) return send(res, 400, { error: 'Expected { "usernames": [...] }' });
+        if (names.length > MAX_BATCH) return send(res, 400, { error: `At most ${MAX_BATCH} usernames per batch` });
+
+        const results = await Promise.all(names.map(async raw => {
+          const username = String(raw).trim();
+          const problem = validateUsername(username);
+          if (problem) return { username, available: null, error: problem.reason, code: problem.code, category: 'invalid_name' };
+          try {
+            return { username, ...(await service.lookup(username)) };
+          } catch (e) {
+            return { username, available: null, error: e.message, category: e.category };
+          }
+        }));
+        return send(res, 200, { results });
+      }
+
+      const m = req.method === 'GET' && url.pathname.match(/^\/check\/([^/]+)$/);
+      if (m) {
+        let username;
+        try {
+          username = decodeURIComponent(m[1]);
+        } catch {
+          return send(res, 400, { error: `Malformed name in URL: ${m[1]}` });
+        }
+        const problem = validateUsername(username);
+        if (problem) return send(res, 400, { username, error: problem.reason, code: problem.code });
+        try {
+          return send(res, 200, { username, ...(await service.lookup(username)) });
+        } catch (e) {
+          // Pass on permanent answers; otherwise tell clients to back off rather than hammer us
+          const status = UPSTREAM_STATUS[e.category] || 502;
+          if (status === 429 || status === 502) res.setHeader('retry-after', status === 429 ? '5' : '1');
+          return send(res, status, { username, error: e.message, category: e.category });
+        }
+      }
+
+      send(res, 404, { error: 'Not found' });
+    } catch (e) {
+      send(res, 500, { error: e.message });
+    }
+  });
+}
@@ -0,0 +1,187 @@
+// store.js - Append-only JSONL results database
+//
+// One JSON record per line, keyed by lowercase username. Each line is a full
+// snapshot of that name's record, so on load the last line per key wins:
+//   { key, username, status, lastKnown, checkedAt, ttc, error, category, checks, errors: [{ at, error, category }] }
+// status is "available", "taken", "error" or "uncertain" (answers disagreed
+// under --verify, see verify.js); lastKnown is the latest available/taken
+// answer, kept across later errors. category is the error's category (see
+// errors.js), null for answers.
+
+import fs from 'fs';
+
+export const DB_FILE = 'hytale-name.db.jsonl';
+const MAX_ERROR_HISTORY = 10;
+// Rewrite the file on open once superseded lines outnumber live records this
+// many times over (and there are enough of them to be worth it)
+const COMPACT_RATIO = 1;
+const COMPACT_MIN_STALE = 1000;
+
+export function statusOf(r) {
+  if (r.uncertain) return 'uncertain';
+  if (r.available === true) return 'available';
+  if (r.available === false) return 'taken';
+  return 'error';
+}
+
+export const isAnswer = status => status === 'available' || status === 'taken';
+
+const CHUNK_BYTES = 1 << 20;
+
+// fn(line, offset, bytes) for every line of a file, read a chunk at a time so
+// a big db never has to fit in one string
+export function forEachLine(file, fn) {
+  const fd = fs.openSync(file, 'r');
+  const buf = Buffer.alloc(CHUNK_BYTES);
+  let rest = Buffer.alloc(0), pos = 0, n;
+  try {
+    while ((n = fs.readSync(fd, buf, 0, buf.length, pos)) > 0) {
+      const data = Buffer.concat([rest, buf.subarray(0, n)]);
+      const base = pos - rest.length;
+      let start = 0, nl;
+      while ((nl = data.indexOf(10, start)) !== -1) {
+        fn(data.toString('utf8', start, nl), base + start, nl + 1 - start);
+        start = nl + 1;
+      }
+      rest = data.subarray(start);
+      pos += n;
+    }
+    if (rest.length) fn(rest.toString('utf8'), pos - rest.length, rest.length);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Read a db without opening it for writing (key -> latest record)
+export function loadRecords(file) {
+  const records = new Map();
+  if (!fs.existsSync(file)) return records;
+  forEachLine(file, line => {
+    const rec = parseLine(line);
+    if (rec) records.set(rec.key, rec);
+  });
+  return records;
+}
+
+function parseLine(line) {
+  if (!line.trim()) return null;
+  try {
+    const rec = JSON.parse(line);
+    return rec.key ? rec : null;
+  } catch {
+    return null; // A torn last line from an interrupted run
+  }
+}
+
+// Only an index stays in memory - where each name's latest line is, plus what
+// isFresh() needs - so a run over millions of names doesn't hold every record.
+// get() reads the full record back from the file.
+export function openStore(file) {
+  const index = new Map(); // key -> { offset, bytes, status, checkedAt }
+  let size = 0, lines = 0;
+
+  function indexLine(rec, offset, bytes) {
+    index.set(rec.key, { offset, bytes, status: rec.status, checkedAt: rec.checkedAt });
+  }
+
+  if (fs.existsSync(file)) {
+    forEachLine(file, (line, offset, bytes) => {
+      const rec = parseLine(line);
+      if (rec) indexLine(rec, offset, bytes);
+      if (line.trim()) lines++;
+    });
+    size = fs.statSync(file).size;
+  }
+  let fd = fs.openSync(file, 'a+');
+  // Finish a torn last line so the next record starts on its own
+  if (size && readBytes(size - 1, 1)[0] !== 10) size += fs.writeSync(fd, '\n');
+
+  function readBytes(offset, bytes) {
+    const buf = Buffer.alloc(bytes);
+    fs.readSync(fd, buf, 0, bytes, offset);
+    return buf;
+  }
+
+  function read(entry) {
+    return JSON.parse(readBytes(entry.offset, entry.bytes).toString('utf8'));
+  }
+
+  function has(username) {
+    return index.has(username.toLowerCase());
+  }
+
+  function get(username) {
+    const entry = index.get(username.toLowerCase());
+    return entry ? read(entry) : null;
+  }
+
+  // Record a checker result ({ username, available, ttc, error, category })
+  function record(r, at = Date.now()) {
+    const key = r.username.toLowerCase();
+    const prev = get(key);
+    const status = statusOf(r);
+    const rec = {
+      key,
+      username: r.username,
+      status,
+      lastKnown: isAnswer(status) ? status : (prev?.lastKnown ?? null),
+      checkedAt: at,
+      ttc: r.ttc ?? null,
+      error: status === 'error' ? (r.error || 'Unknown') : null,
+      category: status === 'error' ? (r.category || 'unknown') : null,
+      checks: (prev?.checks || 0) + 1,
+      errors: prev?.errors || [],
+    };
+    if (status === 'error') {
+      rec.errors = [...rec.errors, { at, error: rec.error, category: rec.category }].slice(-MAX_ERROR_HISTORY);
+    }
+    const line = Buffer.from(JSON.stringify(rec) + '\n');
+    fs.writeSync(fd, line);
+    indexLine(rec, size, line.length);
+    size += line.length;
+    return rec;
+  }
+
+  // Fresh = a definitive answer (available/taken) newer than maxAgeMs
+  function isFresh(username, maxAgeMs, now = Date.now()) {
+    const entry = index.get(username.toLowerCase());
+    return !!entry && isAnswer(entry.status) && now - entry.checkedAt <= maxAgeMs;
+  }
+
+  function byStatus(status) {
+    const found = [];
+    for (const entry of index.values()) {
+      if (entry.status === status) found.push(read(entry));
+    }
+    return found;
+  }
+
+  // Rewrite the file with one line per username
+  function compact() {
+    const tmp = `${file}.tmp`;
+    const out = fs.openSync(tmp, 'w');
+    let offset = 0;
+    for (const entry of index.values()) {
+      let line = readBytes(entry.offset, entry.bytes);
+      if (line.at(-1) !== 10) line = Buffer.concat([line, Buffer.from('\n')]); // A last line saved without one
+      fs.writeSync(out, line);
+      entry.offset = offset;
+      entry.bytes = line.length;
+      offset += line.length;
+    }
+    fs.closeSync(out);
+    fs.closeSync(fd);
+    fs.renameSync(tmp, file);
+    fd = fs.openSync(file, 'a+');
+    size = offset;
+  }
+
+  function close() {
+    fs.closeSync(fd);
+  }
+
+  const stale = lines - index.size;
+  if (stale >= COMPACT_MIN_STALE && stale > index.size * COMPACT_RATIO) compact();
+
+  return { file, has, get, record, isFresh, byStatus, compact, close };
+}
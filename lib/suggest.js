@@ -0,0 +1,199 @@
+// suggest.js - Close variants of a taken username (--suggest)
+//
+// Variants are appended digits, an inserted underscore, plural/singular
+// forms, a doubled letter, a swapped vowel, shortened forms and synonyms from
+// a small bundled list. They are ranked by closeness: edit distance to the
+// original, with a synonym swap counting as two edits. Within the same
+// distance the kinds take turns, so the top few aren't all "name1".."name9".
+
+import { isValidUsername } from './validate.js';
+
+// Kind -> label, in the order kinds take turns
+export const VARIANT_KINDS = {
+  digits: 'added digits',
+  underscore: 'underscore',
+  plural: 'plural/singular',
+  double: 'doubled letter',
+  vowel: 'vowel swap',
+  short: 'shortened',
+  synonym: 'synonym',
+};
+
+const DIGIT_SUFFIXES = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '0', '01', '11', '22', '99', '123'];
+const VOWELS = 'aeiou';
+const SYNONYM_COST = 2;
+
+// Interchangeable words; any word in a group can stand in for the others
+export const SYNONYMS = [
+  ['dark', 'shadow', 'shade', 'night'],
+  ['fire', 'flame', 'blaze', 'ember'],
+  ['ice', 'frost', 'snow'],
+  ['king', 'lord', 'ruler'],
+  ['queen', 'empress'],
+  ['dragon', 'drake', 'wyrm', 'wyvern'],
+  ['fast', 'quick', 'swift', 'rapid'],
+  ['big', 'huge', 'giant', 'mega'],
+  ['small', 'tiny', 'mini', 'little'],
+  ['cool', 'chill', 'slick'],
+  ['happy', 'jolly', 'merry'],
+  ['angry', 'mad', 'fierce'],
+  ['smart', 'clever', 'wise'],
+  ['strong', 'mighty', 'tough'],
+  ['star', 'nova', 'comet'],
+  ['storm', 'thunder', 'tempest'],
+  ['stone', 'rock'],
+  ['sword', 'blade', 'saber'],
+  ['knight', 'paladin', 'warrior'],
+  ['mage', 'wizard', 'sorcerer', 'warlock'],
+  ['ghost', 'spirit', 'phantom', 'specter'],
+  ['hunter', 'ranger', 'tracker'],
+  ['wolf', 'hound'],
+  ['raven', 'crow'],
+  ['red', 'crimson', 'scarlet'],
+  ['green', 'emerald', 'jade'],
+  ['gold', 'golden'],
+  ['sea', 'ocean', 'tide'],
+  ['moon', 'luna', 'lunar'],
+  ['sun', 'sol', 'solar'],
+  ['sky', 'cloud'],
+  ['boy', 'lad', 'kid'],
+  ['girl', 'lass', 'gal'],
+  ['gamer', 'player'],
+  ['master', 'pro', 'ace', 'expert'],
+  ['beast', 'monster', 'creature'],
+  ['cat', 'kitty', 'kitten'],
+  ['dog', 'pup', 'puppy'],
+  ['craft', 'forge'],
+];
+
+// Optimal string alignment distance: insertions, deletions, substitutions and adjacent swaps
+export function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// Where words of `name` start and end: underscores, digits and camelCase split it
+function segments(name) {
+  const out = [];
+  const re = /[A-Z]?[a-z]+|[A-Z]+(?![a-z])/g;
+  for (let m = re.exec(name); m; m = re.exec(name)) out.push({ start: m.index, end: m.index + m[0].length });
+  return out;
+}
+
+function* synonymSwaps(name) {
+  const lower = name.toLowerCase();
+  const bounded = segments(name);
+  for (const group of SYNONYMS) {
+    for (const word of group) {
+      // Whole words anywhere; longer words also at the very start or end ("darkwolf")
+      for (let at = lower.indexOf(word); at !== -1; at = lower.indexOf(word, at + 1)) {
+        const end = at + word.length;
+        const whole = bounded.some(s => s.start === at && s.end === end);
+        const edge = word.length >= 4 && (at === 0 || end === lower.length);
+        if (!whole && !edge) continue;
+        for (const other of group) if (other !== word) yield name.slice(0, at) + other + name.slice(end);
+      }
+    }
+  }
+}
+
+function* pluralForms(name) {
+  const lower = name.toLowerCase();
+  if (/ies$/.test(lower)) yield `${name.slice(0, -3)}y`;
+  if (/(s|x|z|ch|sh)es$/.test(lower)) yield name.slice(0, -2);
+  if (/[^s]s$/.test(lower)) yield name.slice(0, -1);
+  if (!/s$/.test(lower)) {
+    if (/[^aeiou]y$/.test(lower)) yield `${name.slice(0, -1)}ies`;
+    else if (/(x|z|ch|sh)$/.test(lower)) yield `${name}es`;
+    else yield `${name}s`;
+    if (!/z$/.test(lower)) yield `${name}z`;
+  }
+}
+
+function* shortForms(name) {
+  yield name.slice(0, -1);
+  yield name[0] + name.slice(1).replace(/[aeiou]/gi, '');
+  yield name.replace(/([a-z])\1+/gi, '$1');
+  if (/er$/i.test(name)) yield `${name.slice(0, -2)}r`;
+}
+
+function* variantsOf(name, kind) {
+  if (kind === 'digits') {
+    for (const d of DIGIT_SUFFIXES) yield name + d;
+  } else if (kind === 'underscore') {
+    // Middle of the name first - the likeliest word break
+    const spots = [];
+    for (let i = 1; i < name.length; i++) if (name[i - 1] !== '_' && name[i] !== '_') spots.push(i);
+    spots.sort((a, b) => Math.abs(a - name.length / 2) - Math.abs(b - name.length / 2));
+    for (const i of spots) yield `${name.slice(0, i)}_${name.slice(i)}`;
+  } else if (kind === 'plural') {
+    yield* pluralForms(name);
+  } else if (kind === 'double') {
+    for (let i = 1; i < name.length; i++) if (/[a-z]/i.test(name[i])) yield name.slice(0, i + 1) + name.slice(i);
+  } else if (kind === 'vowel') {
+    for (let i = 0; i < name.length; i++) {
+      const lower = name[i].toLowerCase();
+      if (!VOWELS.includes(lower)) continue;
+      for (const v of VOWELS) {
+        if (v === lower) continue;
+        yield name.slice(0, i) + (name[i] === lower ? v : v.toUpperCase()) + name.slice(i + 1);
+      }
+    }
+  } else if (kind === 'short') {
+    yield* shortForms(name);
+  } else if (kind === 'synonym') {
+    yield* synonymSwaps(name);
+  }
+}
+
+// Valid variants of `name`, closest first: [{ username, kind, distance }]
+export function suggestVariants(name) {
+  const original = name.toLowerCase();
+  const seen = new Set([original]);
+  const byDistance = new Map(); // distance -> kind -> [variant]
+  for (const kind of Object.keys(VARIANT_KINDS)) {
+    for (const username of variantsOf(name, kind)) {
+      const key = username.toLowerCase();
+      if (seen.has(key) || !isValidUsername(username)) continue;
+      seen.add(key);
+      const distance = kind === 'synonym' ? SYNONYM_COST : editDistance(original, key);
+      if (!byDistance.has(distance)) byDistance.set(distance, new Map());
+      const kinds = byDistance.get(distance);
+      if (!kinds.has(kind)) kinds.set(kind, []);
+      kinds.get(kind).push({ username, kind, distance });
+    }
+  }
+  // Kinds take turns within each distance
+  const ranked = [];
+  for (const distance of [...byDistance.keys()].sort((a, b) => a - b)) {
+    const lists = [...byDistance.get(distance).values()];
+    for (let i = 0; lists.some(l => i < l.length); i++) {
+      for (const list of lists) if (i < list.length) ranked.push(list[i]);
+    }
+  }
+  return ranked;
+}
+
+// Check variants closest first, a round at a time, until `count` are available.
+// check(names) resolves to results ({ username, available }) in any order.
+export async function findAvailableVariants(name, { count = 5, maxChecks = 100, check }) {
+  const variants = suggestVariants(name).slice(0, maxChecks);
+  const roundSize = Math.max(10, count * 2);
+  const available = [];
+  let checked = 0;
+  while (checked < variants.length && available.length < count) {
+    const round = variants.slice(checked, checked + roundSize);
+    checked += round.length;
+    const answers = new Map((await check(round.map(v => v.username))).map(r => [r.username, r]));
+    for (const v of round) if (answers.get(v.username)?.available === true) available.push(v);
+  }
+  return { available: available.slice(0, count), checked, total: variants.length };
+}
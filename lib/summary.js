@@ -0,0 +1,53 @@
+// summary.js - How a checking run went, for scripts: exit codes and --summary-json
+//
+// The exit code is the worst outcome among the checked names, so
+// `hytale-name check -n coolname -q && claim coolname` needs no output parsing.
+
+import fs from 'fs';
+
+export const EXIT = {
+  available: 0, // Every checked name is available (or there was nothing left to check)
+  failed: 1, // Bad usage, missing input, no valid usernames or a fatal error
+  taken: 2, // Some names are taken, every check got an answer
+  errors: 3, // Some checks failed or stayed uncertain - retry them
+  interrupted: 130, // Ctrl+C; a wordlist run saved its checkpoint
+};
+
+export function exitCodeFor({ taken = 0, errors = 0, uncertain = 0 }) {
+  if (errors || uncertain) return EXIT.errors;
+  if (taken) return EXIT.taken;
+  return EXIT.available;
+}
+
+const INPUT_FIELDS = ['read', 'queued', 'duplicates', 'variants', 'rejected', 'skipped', 'fresh'];
+
+// The totals block of a run's summary as plain data; missing counts are 0
+export function buildSummary({ command = 'check', exitCode = null, complete = true, ms = 0, input = {}, checked = 0, available = 0, taken = 0, errors = 0, permanentErrors = 0, uncertain = 0, confirmed = null, stillFailing = null, rateLimited = 0, serverErrors = 0, run = null, outputDir = null } = {}) {
+  return {
+    command,
+    exitCode: exitCode ?? (complete ? exitCodeFor({ taken, errors, uncertain }) : EXIT.interrupted),
+    complete,
+    ms,
+    perSecond: ms ? Math.round((checked / ms) * 10000) / 10 : 0,
+    input: Object.fromEntries(INPUT_FIELDS.map(field => [field, input[field] || 0])),
+    checked,
+    available,
+    taken,
+    errors,
+    permanentErrors,
+    uncertain,
+    confirmed, // --verify: available names every re-check agreed on
+    stillFailing, // retry: failures left in errors.txt
+    rateLimited,
+    serverErrors,
+    run,
+    outputDir,
+  };
+}
+
+// "-" is stdout (everything else a run prints goes to stderr then)
+export function writeSummaryJson(target, summary) {
+  const json = JSON.stringify(summary, null, 2) + '\n';
+  if (target === '-') process.stdout.write(json);
+  else fs.writeFileSync(target, json);
+}
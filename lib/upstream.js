@@ -0,0 +1,162 @@
+// upstream.js - HTTP client for the availability API
+//
+// Shared by the worker threads and `serve`. Every request asks for a permit
+// first (acquire/release), which is how the global rate controller sees all
+// traffic; in the main thread those go straight to the controller, in a
+// worker they travel over parentPort.
+
+import { Pool } from 'undici';
+import { parseRetryAfter } from './ratelimit.js';
+import { classify, resolvePolicy } from './errors.js';
+
+// Rotating user agents - mix of browsers
+const USER_AGENTS = [
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Safari/605.1.15',
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0',
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10.15; rv:121.0) Gecko/20100101 Firefox/121.0',
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 Edg/120.0.0.0',
+  'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  'Mozilla/5.0 (iPhone; CPU iPhone OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1',
+];
+
+const ACCEPT_LANGS = [
+  'en-US,en;q=0.9',
+  'en-GB,en;q=0.9',
+  'en-US,en;q=0.9,es;q=0.8',
+  'en,en-US;q=0.9',
+];
+
+// Random delay to avoid pattern detection
+export function randomDelay(min = 10, max = 50) {
+  return new Promise(r => setTimeout(r, min + Math.random() * (max - min)));
+}
+
+// Retry fn() by the category of what it throws. `policy` is a retry count for
+// the transient categories or a full policy from resolvePolicy()
+export async function withRetry(fn, policy = 5) {
+  const rules = typeof policy === 'number' ? resolvePolicy(policy) : policy;
+  for (let i = 0; ; i++) {
+    try {
+      return { ok: true, val: await fn(), attempts: i + 1 };
+    } catch (e) {
+      const category = classify(e);
+      const { retries, backoffMs } = rules[category];
+      if (i >= retries) {
+        return { ok: false, err: e.message, category, attempts: i + 1 };
+      }
+      const delay = backoffMs * Math.pow(2, i) + Math.random() * 500;
+      await new Promise(r => setTimeout(r, delay));
+    }
+  }
+}
+
+// acquire() resolves to a permit token; release(token, { statusCode, retryAfterMs, ms }) returns it
+export function createUpstream({ provider, endpoint, concurrency = 100, sleepMs = 0, timeoutMs = 20000, workerId = 0, acquire = async () => null, release = () => {} }) {
+  let reqCount = 0;
+
+  function getHeaders() {
+    reqCount++;
+    // Rotate UA every 3 requests
+    const ua = USER_AGENTS[(reqCount + workerId) % USER_AGENTS.length];
+    const lang = ACCEPT_LANGS[reqCount % ACCEPT_LANGS.length];
+  
+    return {
+      'accept': 'application/json, text/plain, */*',
+      'accept-language': lang,
+      'user-agent': ua,
+      'cache-control': 'no-cache',
+      'pragma': 'no-cache',
+    };
+  }
+
+  // Use multiple smaller pools to vary connections
+  const pool = new Pool(endpoint || provider.endpoint, {
+    connections: Math.min(concurrency, 100), // Reduced from 256
+    pipelining: 1, // Disable pipelining - looks more like real browser
+    keepAliveTimeout: 10000,
+    keepAliveMaxTimeout: 30000,
+  });
+
+  // Make a request under a global permit, reporting the outcome back for AIMD
+  async function request(opts) {
+    const token = await acquire();
+    const started = Date.now();
+    let res;
+    try {
+      res = await pool.request(opts);
+      const text = await res.body.text();
+      return { statusCode: res.statusCode, text };
+    } finally {
+      release(token, { statusCode: res?.statusCode, retryAfterMs: parseRetryAfter(res?.headers?.['retry-after']), ms: Date.now() - started });
+    }
+  }
+
+  // Single username check
+  async function checkSingle(username) {
+    // Custom sleep delay if specified, otherwise small random delay
+    if (sleepMs > 0) {
+      await new Promise(r => setTimeout(r, sleepMs));
+    } else {
+      await randomDelay(5, 30);
+    }
+  
+    const req = provider.singleRequest(username);
+    const { statusCode, text } = await request({
+      ...req,
+      headers: { ...getHeaders(), ...req.headers },
+      bodyTimeout: timeoutMs,
+      headersTimeout: timeoutMs,
+    });
+  
+    return provider.parseSingle(statusCode, text);
+  }
+
+  // Batch check - try POST endpoint first, fallback to parallel GET
+  async function checkBatch(usernameBatch) {
+    if (usernameBatch.length === 1) {
+      return [{ username: usernameBatch[0], available: await checkSingle(usernameBatch[0]) }];
+    }
+
+    // Try batch POST endpoint first (if the provider has one)
+    if (provider.batchRequest) {
+      try {
+        if (sleepMs > 0) {
+          await new Promise(r => setTimeout(r, sleepMs));
+        } else {
+          await randomDelay(5, 30);
+        }
+
+        const req = provider.batchRequest(usernameBatch);
+        const { statusCode, text } = await request({
+          ...req,
+          headers: { ...getHeaders(), ...req.headers },
+          bodyTimeout: timeoutMs * 1.5,
+          headersTimeout: timeoutMs,
+        });
+
+        const results = provider.parseBatch(statusCode, text, usernameBatch);
+        if (results) return results;
+      } catch (e) {
+        // Batch endpoint doesn't exist or failed, fall through to parallel GET
+      }
+    }
+
+    // Fallback: parallel GET requests
+    const results = await Promise.all(
+      usernameBatch.map(async (username) => {
+        try {
+          const available = await checkSingle(username);
+          return { username, available };
+        } catch (e) {
+          return { username, available: null, error: e.message, category: classify(e) };
+        }
+      })
+    );
+
+    return results;
+  }
+
+  return { checkSingle, checkBatch, close: () => pool.close() };
+}
@@ -0,0 +1,62 @@
+// usernames.js - Username constraints and input parsing
+
+// Username constraints - the length limits can be changed from the config
+// file (minLength / maxLength) in case Hytale's rules change
+export let MIN_LEN = 3;
+export let MAX_LEN = 10;
+export const ALLOWED_RE = /^[A-Za-z0-9_]+$/;
+
+export function setLengthLimits(min = MIN_LEN, max = MAX_LEN) {
+  if (!Number.isInteger(min) || !Number.isInteger(max) || min < 1 || max < min) {
+    throw new Error(`Invalid username length limits: ${min}-${max}`);
+  }
+  MIN_LEN = min;
+  MAX_LEN = max;
+}
+
+export function isValidLength(u) {
+  return u.length >= MIN_LEN && u.length <= MAX_LEN;
+}
+
+// What a name is made of (stats breakdowns, lists --class)
+export const CHAR_CLASSES = ['letters', 'digits', 'mixed', 'underscore'];
+
+export function charClass(name) {
+  if (name.includes('_')) return 'underscore';
+  const letters = /[a-z]/i.test(name);
+  const digits = /\d/.test(name);
+  if (letters && digits) return 'mixed';
+  return letters ? 'letters' : 'digits';
+}
+
+export function parseUsernames(input) {
+  // Try to parse as JSON array first
+  if (input.trim().startsWith('[') && input.trim().endsWith(']')) {
+    try {
+      const parsed = JSON.parse(input);
+      if (Array.isArray(parsed)) {
+        return parsed.map(u => String(u).trim()).filter(Boolean);
+      }
+    } catch (e) {
+      // Not valid JSON, continue with other parsing methods
+    }
+  }
+  
+  // Check for comma-separated
+  if (input.includes(',')) {
+    return input.split(',').map(u => u.trim()).filter(Boolean);
+  }
+  
+  // Check for space-separated (multiple spaces or tabs)
+  if (input.includes(' ') || input.includes('\t')) {
+    return input.split(/[\s\t]+/).map(u => u.trim()).filter(Boolean);
+  }
+  
+  // Single username
+  return [input.trim()].filter(Boolean);
+}
+
+// Split file content into unique, trimmed, non-empty lines
+export function parseLines(content) {
+  return [...new Set(content.split(/\r?\n/).map(s => s.trim()).filter(Boolean))];
+}
@@ -0,0 +1,46 @@
+// validate.js - Client-side Hytale username rules
+//
+// validateUsername(name) returns null for a checkable name, otherwise
+// { code, reason } explaining why it was rejected without asking the API.
+
+import { MIN_LEN, MAX_LEN, ALLOWED_RE } from './usernames.js';
+
+// Exact names (case-insensitive) that can't be registered
+export const RESERVED_NAMES = [
+  'admin', 'administrator', 'mod', 'moderator', 'staff', 'support', 'official',
+  'system', 'server', 'console', 'owner', 'root', 'null', 'undefined', 'everyone',
+];
+
+// Substrings that are blocked anywhere in a name
+export const BLOCKED_WORDS = ['hytale', 'hypixel'];
+
+export function validateUsername(name, { reserved = RESERVED_NAMES, blocked = BLOCKED_WORDS } = {}) {
+  if (name.length < MIN_LEN) return { code: 'too_short', reason: `Shorter than ${MIN_LEN} characters` };
+  if (name.length > MAX_LEN) return { code: 'too_long', reason: `Longer than ${MAX_LEN} characters` };
+  if (!ALLOWED_RE.test(name)) {
+    const bad = [...new Set(name.replace(/[A-Za-z0-9_]/g, ''))].join('');
+    return { code: 'invalid_chars', reason: `Invalid characters: ${JSON.stringify(bad)} (allowed: a-z, 0-9, _)` };
+  }
+  if (name.startsWith('_') || name.endsWith('_')) return { code: 'underscore_edge', reason: 'Starts or ends with an underscore' };
+  if (name.includes('__')) return { code: 'underscore_double', reason: 'Contains consecutive underscores' };
+  const lower = name.toLowerCase();
+  if (reserved.includes(lower)) return { code: 'reserved', reason: `Reserved name "${lower}"` };
+  const word = blocked.find(w => lower.includes(w));
+  if (word) return { code: 'blocked', reason: `Contains blocked word "${word}"` };
+  return null;
+}
+
+export function isValidUsername(name, options) {
+  return validateUsername(name, options) === null;
+}
+
+// Split names into checkable ones and [{ username, code, reason }] rejections
+export function partitionUsernames(names, options) {
+  const valid = [], rejected = [];
+  for (const username of names) {
+    const problem = validateUsername(username, options);
+    if (problem) rejected.push({ username, ...problem });
+    else valid.push(username);
+  }
+  return { valid, rejected };
+}
@@ -0,0 +1,81 @@
+// verify.js - Re-check available answers before trusting them (--verify)
+//
+// One "available" answer can be a transient glitch. The verifier checks each
+// hit `rounds` more times, `delayMs` after its previous answer, batching
+// whatever is due into one check() call (which may go through a different
+// provider or endpoint). A name is confirmed only if every answer agrees; any
+// other answer - taken, or a check that kept failing - makes it uncertain:
+//   { ...result, available: null, uncertain: true, answers: ['available', 'taken'] }
+// Confirmed results carry `verified` (the number of extra answers) instead.
+//
+// check(names) resolves to results ({ username, available }) in any order.
+
+import { statusOf } from './store.js';
+
+export function createVerifier({ rounds = 1, delayMs = 0, check, onResult }) {
+  const waiting = []; // { result, answers, due }, due first (one delay for all keeps it sorted)
+  const stats = { confirmed: 0, uncertain: 0 };
+  let timer = null, busy = false, failure = null;
+  let idle = null; // { resolve, reject } once finish() was called
+
+  function settle(entry) {
+    const agreed = entry.answers.every(a => a === 'available');
+    stats[agreed ? 'confirmed' : 'uncertain']++;
+    onResult(agreed
+      ? { ...entry.result, verified: entry.answers.length - 1 }
+      : { ...entry.result, available: null, uncertain: true, answers: entry.answers, error: null, category: null });
+  }
+
+  async function round() {
+    timer = null;
+    const now = Date.now();
+    let due = 0;
+    while (due < waiting.length && waiting[due].due <= now) due++;
+    if (!due) return schedule(); // Timers can fire a little early
+    const batch = waiting.splice(0, due);
+    busy = true;
+    try {
+      const answers = new Map((await check(batch.map(e => e.result.username))).map(r => [r.username, statusOf(r)]));
+      for (const entry of batch) {
+        entry.answers.push(answers.get(entry.result.username) || 'error');
+        // A disagreement settles it; agreement goes round again until every round is done
+        if (entry.answers.at(-1) !== 'available' || entry.answers.length > rounds) {
+          settle(entry);
+        } else {
+          entry.due = Date.now() + delayMs;
+          waiting.push(entry);
+        }
+      }
+    } catch (e) {
+      failure = e;
+    }
+    busy = false;
+    schedule();
+  }
+
+  function schedule() {
+    if (failure) {
+      if (idle) idle.reject(failure);
+      return;
+    }
+    if (busy || timer) return;
+    if (waiting.length) timer = setTimeout(round, Math.max(0, waiting[0].due - Date.now()));
+    else if (idle) idle.resolve(stats);
+  }
+
+  // An available answer to double-check; onResult gets the outcome later
+  function add(result) {
+    waiting.push({ result, answers: ['available'], due: Date.now() + delayMs });
+    schedule();
+  }
+
+  // Resolves with { confirmed, uncertain } once everything added so far is settled
+  function finish() {
+    return new Promise((resolve, reject) => {
+      idle = { resolve, reject };
+      schedule();
+    });
+  }
+
+  return { add, finish, stats };
+}
@@ -0,0 +1,71 @@
+// watch.js - Re-check names on a schedule and report status changes
+//
+//   const watcher = watchUsernames(['coolname'], { intervalMs: 3600000, store, onChange });
+//   ...
+//   await watcher.stop();
+//
+// Only definitive flips (taken ↔ available) count as changes; errors keep the
+// previous status. The last known status comes from the results db, so changes
+// that happened while nothing was watching are reported on the first poll.
+
+import { checkUsernames } from './checker.js';
+import { createRateController } from './ratelimit.js';
+
+export function watchUsernames(list, options = {}) {
+  const { intervalMs = 3600000, store, onChange = () => {}, onPoll = () => {}, onResult = () => {}, ...checkOptions } = options;
+
+  // One controller for every poll so back-off carries over between them
+  const rateController = checkOptions.rateController || createRateController({ rps: checkOptions.rps });
+  let stopped = false;
+  let current = null;
+  let timer = null;
+  let wake = null;
+  let poll = 0;
+
+  async function pollOnce() {
+    poll++;
+    const counts = { poll, available: 0, taken: 0, errors: 0, changes: 0 };
+    current = checkUsernames(list, { ...checkOptions, rateController });
+    for await (const r of current) {
+      const previous = store.get(r.username)?.lastKnown || null;
+      const rec = store.record(r);
+      onResult(rec);
+      if (rec.status === 'available') counts.available++;
+      else if (rec.status === 'taken') counts.taken++;
+      else { counts.errors++; continue; }
+      if (previous && previous !== rec.status) {
+        counts.changes++;
+        await onChange({ username: r.username, status: rec.status, previous, timestamp: new Date(rec.checkedAt).toISOString() });
+      }
+    }
+    current = null;
+    onPoll(counts);
+    return counts;
+  }
+
+  const done = (async () => {
+    while (!stopped) {
+      try {
+        await pollOnce();
+      } catch (e) {
+        // Stopping terminates the workers mid-poll
+        if (!stopped) throw e;
+      }
+      if (stopped) break;
+      await new Promise(resolve => {
+        wake = resolve;
+        timer = setTimeout(resolve, intervalMs);
+      });
+    }
+  })();
+
+  async function stop() {
+    stopped = true;
+    clearTimeout(timer);
+    if (wake) wake();
+    if (current) await current.stop();
+    rateController.close();
+  }
+
+  return { done, stop, pollOnce };
+}
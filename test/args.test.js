@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseArgs, parseValue } from '../lib/args.js';
+
+test('parseArgs reads short and long flags', () => {
+  const r = parseArgs(['list.txt', '-w', '2', '--concurrency', '30', '-s', '0.5', '-b', '5', '-t', 'run2', '-l', '-a', '-v']);
+  assert.equal(r.list, 'list.txt');
+  assert.equal(r.workers, 2);
+  assert.equal(r.conc, 30);
+  assert.equal(r.sleep, 0.5);
+  assert.equal(r.batch, 5);
+  assert.equal(r.tag, 'run2');
+  assert.equal(r.local, true);
+  assert.equal(r.append, true);
+  assert.equal(r.verbose, true);
+});
+
+test('parseArgs reads resume options', () => {
+  const r = parseArgs(['list.txt', '-f', 'grape', '--start', '10', '--resume']);
+  assert.equal(r.from, 'grape');
+  assert.equal(r.start, 10);
+  assert.equal(r.resume, true);
+});
+
+test('parseArgs joins non-flag arguments into one list', () => {
+  assert.equal(parseArgs(['abc', 'def', '-v', 'ghi']).list, 'abc def ghi');
+  assert.equal(parseArgs(['abc,def']).list, 'abc,def');
+  assert.equal(parseArgs(['-v']).list, null);
+});
+
+test('parseArgs leaves unset options null', () => {
+  const r = parseArgs(['list.txt']);
+  assert.equal(r.workers, null);
+  assert.equal(r.verbose, null);
+  assert.equal(r.append, false);
+});
+
+test('parseArgs rejects unknown flags and badly typed values', () => {
+  assert.throws(() => parseArgs(['list.txt', '--wrokers', '2']), { code: 'EUSAGE', message: 'Unknown option --wrokers' });
+  assert.throws(() => parseArgs(['-w', 'abc']), /Invalid value for -w: "abc" \(expected a positive integer\)/);
+  assert.throws(() => parseArgs(['-w', '0']), /positive integer/);
+  assert.throws(() => parseArgs(['-s', '-1']), /non-negative number/);
+  assert.throws(() => parseArgs(['--max-age', 'soon']), /duration/);
+  assert.throws(() => parseArgs(['--format', 'xml']), /one of json, ndjson, csv/);
+  assert.throws(() => parseArgs(['list.txt', '-t']), /-t needs a value/);
+});
+
+test('parseArgs accepts --flag=value, stdin and --names', () => {
+  const r = parseArgs(['-', '--workers=3', '-n', 'abc,def', '--names', '["ghi"]']);
+  assert.deepEqual(r.positional, ['-']);
+  assert.equal(r.workers, 3);
+  assert.deepEqual(r.names, ['abc', 'def', 'ghi']);
+  assert.throws(() => parseArgs(['--verbose=yes']), /doesn't take a value/);
+});
+
+test('parseValue converts numbers and keeps durations as given', () => {
+  assert.equal(parseValue('--rps', '2.5', 'positive'), 2.5);
+  assert.equal(parseValue('--retries', 0, 'int'), 0);
+  assert.equal(parseValue('--max-age', '7d', 'duration'), '7d');
+  assert.throws(() => parseValue('--retries', '1.5', 'int'), /non-negative integer/);
+});
+
+test('parseArgs reads --only categories and --retry-policy', () => {
+  const r = parseArgs(['--only', 'rate_limited,timeout', '--retry-policy', 'timeout=2:1s']);
+  assert.deepEqual(r.only, ['rate_limited', 'timeout']);
+  assert.deepEqual(r.retryPolicy, { timeout: { retries: 2, backoffMs: 1000 } });
+  assert.throws(() => parseArgs(['--only', 'rate_limited,slow']), /expected one of rate_limited, server_error/);
+  assert.throws(() => parseArgs(['--retry-policy', 'slow=2']), /Invalid value for --retry-policy: Unknown error category "slow"/);
+});
+
+test('parseArgs reads --sort and --weights', () => {
+  const r = parseArgs(['--sort', 'score', '--weights', 'dictionary=3']);
+  assert.equal(r.sort, 'score');
+  assert.equal(r.weights.dictionary, 3);
+  assert.throws(() => parseArgs(['--sort', 'vibes']), /expected one of score, name/);
+  assert.throws(() => parseArgs(['--weights', 'vibes=1']), /Invalid value for --weights: Unknown score factor/);
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { canonicalize, createVariantIndex } from '../lib/canonical.js';
+
+test('canonicalize folds case, and look-alikes with homoglyphs', () => {
+  assert.equal(canonicalize('CoolName'), 'coolname');
+  assert.equal(canonicalize('CoolName', 'none'), 'CoolName');
+  assert.equal(canonicalize('C00l_1', 'case'), 'c00l_1');
+  assert.equal(canonicalize('C00l_1', 'homoglyphs'), 'cool_l');
+  assert.equal(canonicalize('Ice', 'homoglyphs'), canonicalize('ice', 'homoglyphs'));
+  assert.notEqual(canonicalize('Ice', 'homoglyphs'), canonicalize('lce', 'homoglyphs'));
+});
+
+test('other spellings wait for the first one and get its answer', () => {
+  const index = createVariantIndex();
+  assert.equal(index.join('Cool'), null);
+  assert.deepEqual(index.join('cool'), { variantOf: 'Cool', answer: null });
+  assert.deepEqual(index.join('COOL'), { variantOf: 'Cool', answer: null });
+  assert.equal(index.join('other'), null);
+  const answer = { username: 'Cool', available: false };
+  assert.deepEqual(index.settle(answer), ['cool', 'COOL']);
+  assert.deepEqual(index.settle(answer), [], 'handed over once');
+  assert.deepEqual(index.join('cOOl'), { variantOf: 'Cool', answer });
+  assert.deepEqual(index.settle({ username: 'other', available: true }), []);
+});
+
+test('homoglyph folding groups look-alikes; none groups nothing', () => {
+  const glyphs = createVariantIndex({ fold: 'homoglyphs', exact: true });
+  assert.equal(glyphs.join('cool'), null);
+  assert.equal(glyphs.join('c00l').variantOf, 'cool');
+  assert.equal(glyphs.join('COOL').variantOf, 'cool');
+
+  const none = createVariantIndex({ fold: 'none', exact: true });
+  assert.equal(none.join('cool'), null);
+  assert.equal(none.join('Cool'), null);
+});
+
+test('a spelling whose answer was forgotten is checked itself', () => {
+  const index = createVariantIndex({ remember: 1 });
+  index.join('alpha');
+  index.join('bravo');
+  index.settle({ username: 'alpha', available: true });
+  index.settle({ username: 'bravo', available: true });
+  assert.equal(index.join('ALPHA'), null);
+  assert.equal(index.join('Alpha').variantOf, 'ALPHA');
+  assert.equal(index.join('BRAVO').answer.username, 'bravo');
+});
@@ -0,0 +1,160 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockServer } from '../lib/mock.js';
+import { checkUsernames } from '../lib/checker.js';
+
+let mock, endpoint;
+
+before(async () => {
+  mock = createMockServer({ taken: ['taken1', 'taken2'], batchFormat: 'map' });
+  endpoint = await mock.listen();
+});
+
+after(() => mock.close());
+
+test('checkUsernames checks every name exactly once across workers', async () => {
+  const names = Array.from({ length: 40 }, (_, i) => `name${i}`);
+  mock.requests.length = 0;
+  const seen = [];
+  for await (const r of checkUsernames([...names, 'taken1', 'taken2'], { workers: 3, concurrency: 4, endpoint })) {
+    seen.push(r);
+  }
+  assert.equal(seen.length, 42);
+  assert.equal(new Set(seen.map(r => r.username)).size, 42);
+  assert.deepEqual(seen.filter(r => r.available === false).map(r => r.username).sort(), ['taken1', 'taken2']);
+  assert.equal(mock.requests.length, 42);
+});
+
+test('checkUsernames dedupes and rejects before anything is sent', async () => {
+  const run = checkUsernames(['abcd', 'abcd', ' abcd ', 'x', 'admin'], { workers: 2, endpoint });
+  const totals = await run.done;
+  assert.equal(totals.total, 1);
+  assert.deepEqual(run.rejected.map(r => r.code), ['too_short', 'reserved']);
+});
+
+test('checkUsernames checks one spelling of a name and shares its answer', async () => {
+  mock.requests.length = 0;
+  const run = checkUsernames(['Taken1', 'taken1', 'TAKEN1', 'fresh'], { workers: 2, endpoint });
+  const seen = [];
+  for await (const r of run) seen.push(r);
+  assert.deepEqual(mock.requests.map(r => r.usernames).flat().sort(), ['Taken1', 'fresh']);
+  assert.deepEqual(seen.filter(r => r.variantOf).map(r => [r.username, r.variantOf, r.available]).sort(), [['TAKEN1', 'Taken1', false], ['taken1', 'Taken1', false]]);
+  assert.equal(run.totals.total, 4);
+  assert.equal(run.totals.variants, 2);
+  assert.equal(run.totals.taken, 3);
+});
+
+test('checkUsernames streams an async iterable through the shared queue', async () => {
+  async function* names() {
+    for (let i = 0; i < 50; i++) yield `stream${i}`;
+    yield 'stream7';
+    yield 'x';
+  }
+  const run = checkUsernames(names(), { workers: 2, concurrency: 3, endpoint });
+  assert.equal(run.total, null);
+  const seen = [];
+  for await (const r of run) seen.push(r.username);
+  assert.equal(seen.length, 50);
+  assert.equal(new Set(seen).size, 50);
+  assert.equal(run.total, 50);
+  assert.deepEqual(run.rejected.map(r => r.username), ['x']);
+});
+
+test('checkUsernames uses the batch endpoint with --batch', async () => {
+  mock.requests.length = 0;
+  const results = [];
+  const run = checkUsernames(['abcd', 'taken1', 'efgh'], { workers: 1, batchSize: 3, endpoint });
+  run.on('result', r => results.push(r));
+  await run.done;
+  assert.equal(mock.requests.length, 1);
+  assert.equal(mock.requests[0].method, 'POST');
+  assert.deepEqual(results.map(r => [r.username, r.available]), [['abcd', true], ['taken1', false], ['efgh', true]]);
+});
+
+test('checkUsernames resolves names a batch answer leaves out', async () => {
+  for (const batchFormat of ['map', 'results']) {
+    const other = createMockServer({ batchFormat });
+    const results = [];
+    const run = checkUsernames(['lostone', 'abcd', 'efgh'], { workers: 1, batchSize: 3, endpoint: await other.listen() });
+    run.on('result', r => results.push(r));
+    await run.done;
+    await other.close();
+    const byName = Object.fromEntries(results.map(r => [r.username, r]));
+    assert.equal(results.length, 3, batchFormat);
+    assert.equal(byName.abcd.available, true);
+    assert.equal(byName.lostone.available, null);
+    assert.equal(byName.lostone.error, 'missing from batch response');
+    assert.equal(byName.lostone.category, 'unknown');
+  }
+
+  // Retried on its own, it gets an answer
+  const results = [];
+  for await (const r of checkUsernames(['lostone', 'abcd', 'efgh'], { workers: 1, batchSize: 3, endpoint, retryPolicy: { unknown: { retries: 1, backoffMs: 1 } } })) results.push(r);
+  const lost = results.find(r => r.username === 'lostone');
+  assert.equal(lost.available, true);
+  assert.equal(lost.attempts, 2);
+});
+
+test('checkUsernames matches batch answers that echo a name in another case', async () => {
+  for (const batchFormat of ['map', 'results']) {
+    const other = createMockServer({ batchFormat, taken: ['casetwo'] });
+    const results = [];
+    const run = checkUsernames(['CaseOne', 'CaseTwo', 'abcd'], { workers: 1, batchSize: 3, endpoint: await other.listen() });
+    run.on('result', r => results.push(r));
+    await run.done;
+    await other.close();
+    assert.deepEqual(results.map(r => [r.username, r.available, r.error]).sort(), [
+      ['CaseOne', true, null],
+      ['CaseTwo', false, null],
+      ['abcd', true, null],
+    ], batchFormat);
+  }
+});
+
+test('checkUsernames reports errors without retrying them forever', async () => {
+  const run = checkUsernames(['errname', 'badname'], { workers: 1, endpoint, retries: 1 });
+  const results = [];
+  for await (const r of run) results.push(r);
+  const byName = Object.fromEntries(results.map(r => [r.username, r]));
+  assert.equal(byName.errname.available, null);
+  assert.equal(byName.errname.attempts, 2);
+  assert.match(byName.errname.error, /Server error/);
+  assert.equal(byName.errname.category, 'server_error');
+  assert.equal(byName.badname.attempts, 1);
+  assert.equal(byName.badname.category, 'invalid_response');
+});
+
+test('checkUsernames requeues a failed name and reports the attempt that answered', async () => {
+  const results = [];
+  for await (const r of checkUsernames(['flakyone', 'flakytwo', 'steady'], { workers: 2, concurrency: 2, endpoint, retries: 2, retryPolicy: { server_error: { retries: 2, backoffMs: 1 } } })) {
+    results.push(r);
+  }
+  const byName = Object.fromEntries(results.map(r => [r.username, r]));
+  assert.equal(results.length, 3);
+  assert.equal(byName.flakyone.available, true);
+  assert.equal(byName.flakyone.attempts, 2);
+  assert.equal(byName.steady.attempts, 1);
+});
+
+test('checkUsernames adds and removes workers mid-run without losing names', async () => {
+  const names = Array.from({ length: 300 }, (_, i) => `pool${i}`);
+  const run = checkUsernames(names, { workers: 2, concurrency: 2, endpoint });
+  const seen = [];
+  let removed = false;
+  run.on('result', r => {
+    seen.push(r);
+    if (seen.length === 20) assert.equal(run.addWorker(), 2);
+    // Once the new worker has answered something (it may take a while to start on a busy machine)
+    if (!removed && r.worker === 2) {
+      removed = true;
+      assert.equal(run.removeWorker(), 2);
+      assert.equal(run.removeWorker(), 1);
+      assert.equal(run.removeWorker(), null);
+    }
+  });
+  const totals = await run.done;
+  assert.equal(totals.checked, 300);
+  assert.equal(new Set(seen.map(r => r.username)).size, 300);
+  assert.ok(seen.some(r => r.worker === 2));
+  assert.equal(run.workers, 0);
+});
@@ -0,0 +1,507 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { createMockServer } from '../lib/mock.js';
+import { checkpointPath, createCheckpoint, fileFingerprint } from '../lib/checkpoint.js';
+import { loadRecords } from '../lib/store.js';
+import { runCli, tmpDir, readLines } from './helpers.js';
+
+let mock, endpoint;
+
+before(async () => {
+  mock = createMockServer({ taken: ['bravo', 'delta'] });
+  endpoint = await mock.listen();
+});
+
+after(() => mock.close());
+
+const LIST = ['echo', 'alpha', 'delta', 'charlie', 'bravo'];
+
+function writeList(dir, names = LIST) {
+  const file = path.join(dir, 'list.txt');
+  fs.writeFileSync(file, names.join('\n') + '\n');
+  return file;
+}
+
+test('checks a wordlist into available.txt and taken.txt', async () => {
+  const dir = tmpDir();
+  writeList(dir);
+  const res = await runCli(['list.txt', '-e', endpoint, '-w', '2'], { cwd: dir });
+  assert.equal(res.code, 2, res.stderr);
+  assert.deepEqual(readLines(path.join(dir, 'available.txt')).sort(), ['alpha', 'charlie', 'echo']);
+  assert.deepEqual(readLines(path.join(dir, 'taken.txt')).sort(), ['bravo', 'delta']);
+  assert.deepEqual(readLines(path.join(dir, 'errors.txt')), []);
+  assert.match(res.stdout, /Available: 3/);
+});
+
+test('a single name is checked, not treated as a file', async () => {
+  const dir = tmpDir();
+  const res = await runCli(['bravo', '-e', endpoint], { cwd: dir });
+  assert.equal(res.code, 2, res.stderr);
+  assert.match(res.stdout, /✗ \| bravo/);
+});
+
+test('a missing file that looks like a path is an error', async () => {
+  const dir = tmpDir();
+  const res = await runCli(['missing/names.txt', '-e', endpoint], { cwd: dir });
+  assert.equal(res.code, 1);
+  assert.match(res.stderr, /File not found/);
+});
+
+test('--start skips names at the top of the input', async () => {
+  const dir = tmpDir();
+  writeList(dir);
+  const res = await runCli(['list.txt', '-e', endpoint, '--start', '3'], { cwd: dir });
+  assert.equal(res.code, 2, res.stderr);
+  const checked = [...readLines(path.join(dir, 'available.txt')), ...readLines(path.join(dir, 'taken.txt'))];
+  assert.deepEqual(checked.sort(), ['bravo', 'charlie', 'delta']);
+  assert.match(res.stdout, /2 skipped before name 3/);
+});
+
+test('--from starts at a name, case-insensitively', async () => {
+  const dir = tmpDir();
+  writeList(dir);
+  const res = await runCli(['list.txt', '-e', endpoint, '-f', 'DELTA'], { cwd: dir });
+  assert.equal(res.code, 2, res.stderr);
+  const checked = [...readLines(path.join(dir, 'available.txt')), ...readLines(path.join(dir, 'taken.txt'))];
+  assert.deepEqual(checked.sort(), ['bravo', 'charlie', 'delta']);
+});
+
+test('--from with an unknown name fails', async () => {
+  const dir = tmpDir();
+  writeList(dir);
+  const res = await runCli(['list.txt', '-e', endpoint, '-f', 'zulu'], { cwd: dir });
+  assert.equal(res.code, 1);
+  assert.match(res.stderr, /"zulu" not found/);
+});
+
+test('retry rewrites errors.txt with only the names still failing', async () => {
+  const dir = tmpDir();
+  writeList(dir, ['badone', 'badtwo', 'alpha']);
+  let res = await runCli(['list.txt', '-e', endpoint], { cwd: dir });
+  assert.equal(res.code, 3, res.stderr);
+  assert.deepEqual(readLines(path.join(dir, 'errors.txt')).map(l => l.split('\t')[0]).sort(), ['badone', 'badtwo']);
+
+  // badone recovers, badtwo keeps failing
+  mock.setFixed('badone', 'taken');
+  res = await runCli(['retry', '-e', endpoint], { cwd: dir });
+  assert.equal(res.code, 3, res.stderr);
+  assert.match(res.stdout, /Cleared 1 resolved/);
+  assert.deepEqual(readLines(path.join(dir, 'errors.txt')).map(l => l.split('\t')[0]), ['badtwo']);
+  assert.deepEqual(readLines(path.join(dir, 'taken.txt')), ['badone']);
+
+  mock.setFixed('badtwo', 'available');
+  res = await runCli(['retry', '-e', endpoint], { cwd: dir });
+  assert.equal(res.code, 0, res.stderr);
+  assert.match(res.stdout, /All errors resolved/);
+  assert.deepEqual(readLines(path.join(dir, 'errors.txt')), []);
+  assert.deepEqual(readLines(path.join(dir, 'available.txt')).sort(), ['alpha', 'badtwo']);
+});
+
+test('retry still reads an errors.txt written before the results db', async () => {
+  const dir = tmpDir();
+  fs.writeFileSync(path.join(dir, 'errors.txt'), 'legacy\tRate limited\ngonelegacy\tHTTP 404\n');
+  const res = await runCli(['retry', '-e', endpoint, '--retries', '0'], { cwd: dir });
+  assert.equal(res.code, 0, res.stderr);
+  assert.deepEqual(readLines(path.join(dir, 'available.txt')), ['legacy']);
+  assert.deepEqual(readLines(path.join(dir, 'errors.txt')), ['gonelegacy\tHTTP 404\tnot_found']);
+});
+
+test('retry skips names the API rejected for good unless picked with --only', async () => {
+  const dir = tmpDir();
+  writeList(dir, ['alpha', 'nopeone', 'goneone', 'errone']);
+  let res = await runCli(['check', 'list.txt', '-e', endpoint, '--retries', '0'], { cwd: dir });
+  assert.equal(res.code, 3, res.stderr);
+  assert.deepEqual(readLines(path.join(dir, 'errors.txt')).map(l => l.split('\t')[2]).sort(), ['invalid_name', 'not_found', 'server_error']);
+
+  mock.setFixed('errone', 'taken');
+  mock.setFixed('goneone', 'available');
+  res = await runCli(['retry', '-e', endpoint], { cwd: dir });
+  assert.equal(res.code, 2, res.stderr);
+  assert.match(res.stdout, /Retrying 1 failed usernames/);
+  assert.match(res.stdout, /Skipping 2 rejected for good/);
+  assert.deepEqual(readLines(path.join(dir, 'taken.txt')), ['errone']);
+
+  res = await runCli(['retry', '--only', 'not_found', '-e', endpoint], { cwd: dir });
+  assert.equal(res.code, 0, res.stderr);
+  assert.deepEqual(readLines(path.join(dir, 'available.txt')).sort(), ['alpha', 'goneone']);
+  assert.deepEqual(readLines(path.join(dir, 'errors.txt')), ['nopeone\tHTTP 400\tinvalid_name']);
+
+  res = await runCli(['check', 'list.txt', '--only', 'timeout'], { cwd: dir });
+  assert.equal(res.code, 1);
+  assert.match(res.stderr, /--only picks which failures to retry/);
+});
+
+test('retry without errors.txt or a db fails', async () => {
+  const dir = tmpDir();
+  const res = await runCli(['retry', '-e', endpoint], { cwd: dir });
+  assert.equal(res.code, 1);
+});
+
+test('the old --retry flag points to the retry command', async () => {
+  const dir = tmpDir();
+  writeList(dir);
+  for (const argv of [['--retry'], ['check', 'list.txt', '-r']]) {
+    const res = await runCli([...argv, '-e', endpoint], { cwd: dir });
+    assert.equal(res.code, 1);
+    assert.match(res.stderr, /is a command now: hytale-name retry/);
+  }
+  assert.ok(!fs.existsSync(path.join(dir, 'available.txt')));
+});
+
+test('check reads a wordlist from stdin with -', async () => {
+  const dir = tmpDir();
+  const res = await runCli(['check', '-', '-e', endpoint], { cwd: dir, input: LIST.join('\n') });
+  assert.equal(res.code, 2, res.stderr);
+  assert.deepEqual(readLines(path.join(dir, 'available.txt')).sort(), ['alpha', 'charlie', 'echo']);
+});
+
+test('check reads gzipped wordlists from a file or stdin', async () => {
+  const dir = tmpDir();
+  fs.writeFileSync(path.join(dir, 'list.txt.gz'), zlib.gzipSync(LIST.join('\n')));
+  let res = await runCli(['check', 'list.txt.gz', '-e', endpoint], { cwd: dir });
+  assert.equal(res.code, 2, res.stderr);
+  assert.deepEqual(readLines(path.join(dir, 'available.txt')).sort(), ['alpha', 'charlie', 'echo']);
+
+  res = await runCli(['check', '-', '-e', endpoint, '-t', 'piped'], { cwd: dir, input: zlib.gzipSync([...LIST, 'alpha', 'x'].join('\n')) });
+  assert.equal(res.code, 2, res.stderr);
+  assert.deepEqual(readLines(path.join(dir, 'piped-taken.txt')).sort(), ['bravo', 'delta']);
+  assert.match(res.stdout, /Checked: 5 of 7 names \(1 duplicates, 1 rejected/);
+});
+
+test('--resume skips the names a checkpoint marks as done', async () => {
+  const dir = tmpDir();
+  const list = writeList(dir);
+  // echo and alpha (positions 1-2) are done, and so is charlie past them
+  const cp = createCheckpoint(checkpointPath(dir), { source: list, fingerprint: fileFingerprint(list) });
+  ['echo', 'alpha', 'delta', 'charlie'].forEach((name, i) => cp.queue(i + 1, name));
+  ['echo', 'alpha', 'charlie'].forEach(name => cp.add(name));
+  cp.save();
+
+  const res = await runCli(['check', 'list.txt', '-e', endpoint, '--resume'], { cwd: dir });
+  assert.equal(res.code, 2, res.stderr);
+  assert.deepEqual(readLines(path.join(dir, 'taken.txt')).sort(), ['bravo', 'delta']);
+  assert.deepEqual(readLines(path.join(dir, 'available.txt')), []);
+  assert.ok(!fs.existsSync(checkpointPath(dir)));
+});
+
+test('check never treats a wordlist argument as a username', async () => {
+  const dir = tmpDir();
+  const res = await runCli(['check', 'coolname', '-e', endpoint], { cwd: dir });
+  assert.equal(res.code, 1);
+  assert.match(res.stderr, /File not found: .*coolname \(to check the username, use: hytale-name check -n coolname\)/);
+});
+
+test('check -n checks names even when a file has the same name', async () => {
+  const dir = tmpDir();
+  fs.writeFileSync(path.join(dir, 'bravo'), 'alpha\n');
+  const res = await runCli(['check', '-n', 'bravo', '-e', endpoint], { cwd: dir });
+  assert.equal(res.code, 2, res.stderr);
+  assert.match(res.stdout, /✗ \| bravo/);
+});
+
+test('--suggest lists available variants of a taken name', async () => {
+  const dir = tmpDir();
+  const res = await runCli(['check', '-n', 'bravo', '--suggest', '3', '-e', endpoint], { cwd: dir });
+  assert.equal(res.code, 2, res.stderr);
+  assert.match(res.stdout, /Available instead of bravo/);
+  assert.equal(res.stdout.match(/✔/g).length, 3);
+  assert.match(res.stdout, /✔ \| bravo1 +\| added digits/);
+  assert.deepEqual(readLines(path.join(dir, 'available.txt')), []);
+
+  writeList(dir);
+  const list = await runCli(['check', 'list.txt', '--suggest', '3', '-e', endpoint], { cwd: dir });
+  assert.equal(list.code, 1);
+  assert.match(list.stderr, /--suggest works with a single username/);
+});
+
+test('lists combines and filters wordlists, and drops names a run already answered', async () => {
+  const dir = tmpDir();
+  fs.writeFileSync(path.join(dir, 'old.txt'), 'alpha\nbravo\n');
+  fs.writeFileSync(path.join(dir, 'new.txt'), 'Alpha\ncharlie\nlava\nlava1\nab\nzulu\n');
+
+  const sub = await runCli(['lists', 'subtract', 'new.txt', 'old.txt', '--length', '4-', '--class', 'letters'], { cwd: dir });
+  assert.equal(sub.code, 0, sub.stderr);
+  assert.deepEqual(sub.stdout.trim().split('\n'), ['charlie', 'lava', 'zulu']);
+  assert.match(sub.stderr, /3 names \(subtract of 2 lists, 5 distinct; dropped 1 not checkable, 1 class\)/);
+
+  const run = await runCli(['-n', 'zulu,bravo', '-e', endpoint], { cwd: dir });
+  assert.equal(run.code, 2, run.stderr);
+  const union = await runCli(['lists', 'union', 'old.txt', '-', '--exclude-checked', '--exclude', '^c', '-o', 'todo.txt'], { cwd: dir, input: 'zulu\ncharlie\nlava\n' });
+  assert.equal(union.code, 0, union.stderr);
+  assert.deepEqual(readLines(path.join(dir, 'todo.txt')), ['alpha', 'lava']);
+
+  const bad = await runCli(['lists', 'intersect', 'old.txt'], { cwd: dir });
+  assert.equal(bad.code, 1);
+  assert.match(bad.stderr, /at least two lists/);
+});
+
+test('--sort score ranks available.txt and rank ranks any list', async () => {
+  const dir = tmpDir();
+  writeList(dir, ['xkqz', 'bravo', 'darkwolf', 'lava']);
+  const res = await runCli(['check', 'list.txt', '--sort', 'score', '-e', endpoint], { cwd: dir });
+  assert.equal(res.code, 2, res.stderr);
+  assert.deepEqual(readLines(path.join(dir, 'available.txt')), ['lava', 'darkwolf', 'xkqz']);
+  assert.match(res.stdout, /Best: lava \(95\.7\)/);
+
+  const ranked = await runCli(['rank', 'list.txt', '--top', '2', '--format', 'ndjson'], { cwd: dir });
+  assert.equal(ranked.code, 0, ranked.stderr);
+  const rows = ranked.stdout.trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(rows.map(r => [r.rank, r.username]), [[1, 'lava'], [2, 'bravo']]);
+  assert.equal(rows[0].dictionary, 1);
+
+  const out = await runCli(['rank', '-o', 'best.txt', '--weights', 'length=0,dictionary=5'], { cwd: dir });
+  assert.equal(out.code, 0, out.stderr);
+  assert.deepEqual(readLines(path.join(dir, 'best.txt')), ['lava', 'darkwolf', 'xkqz']);
+});
+
+test('spellings of one name are checked once and listed in variants.txt', async () => {
+  const dir = tmpDir();
+  writeList(dir, ['Bravo', 'bravo', 'BRAVO', 'echo', 'ech0']);
+  mock.requests.length = 0;
+  const res = await runCli(['check', 'list.txt', '-e', endpoint], { cwd: dir });
+  assert.equal(res.code, 2, res.stderr);
+  assert.deepEqual(mock.requests.flatMap(r => r.usernames).sort(), ['Bravo', 'ech0', 'echo']);
+  assert.deepEqual(readLines(path.join(dir, 'taken.txt')).sort(), ['BRAVO', 'Bravo', 'bravo']);
+  assert.deepEqual(readLines(path.join(dir, 'variants.txt')).sort(), ['BRAVO\tBravo', 'bravo\tBravo']);
+  assert.match(res.stdout, /✗ \| BRAVO +\| \d+ms \| ≡ Bravo/);
+  // The totals count checked names; variants get their own line
+  assert.match(res.stdout, /Checked: 3 of 5 names\n/);
+  assert.match(res.stdout, /Available: 2\n/);
+  assert.match(res.stdout, /Taken: 1\n/);
+  assert.match(res.stdout, /Variants: 2 other spellings share those answers \(2 taken\) → variants\.txt/);
+
+  mock.requests.length = 0;
+  const glyphs = await runCli(['check', 'list.txt', '-e', endpoint, '--fold', 'homoglyphs'], { cwd: dir });
+  assert.equal(glyphs.code, 2, glyphs.stderr);
+  assert.deepEqual(mock.requests.flatMap(r => r.usernames).sort(), ['Bravo', 'echo']);
+  assert.ok(readLines(path.join(dir, 'variants.txt')).includes('ech0\techo'));
+
+  mock.requests.length = 0;
+  const none = await runCli(['check', 'list.txt', '-e', endpoint, '--fold', 'none'], { cwd: dir });
+  assert.equal(none.code, 2, none.stderr);
+  assert.equal(mock.requests.length, 5);
+});
+
+test('--verify keeps names whose answers disagree out of available.txt', async () => {
+  const dir = tmpDir();
+  writeList(dir, ['alpha', 'ghostly', 'bravo']);
+  const res = await runCli(['check', 'list.txt', '-e', endpoint, '--verify', '2', '--verify-delay', '10ms'], { cwd: dir });
+  assert.equal(res.code, 3, res.stderr);
+  assert.deepEqual(readLines(path.join(dir, 'available.txt')), ['alpha']);
+  assert.deepEqual(readLines(path.join(dir, 'uncertain.txt')), ['ghostly\tavailable, taken']);
+  assert.deepEqual(readLines(path.join(dir, 'taken.txt')), ['bravo']);
+  assert.match(res.stdout, /Verified: 1 confirmed, 1 uncertain → uncertain\.txt/);
+  const db = loadRecords(path.join(dir, 'hytale-name.db.jsonl'));
+  assert.equal(db.get('ghostly').status, 'uncertain');
+
+  // A second opinion from another endpoint
+  const other = createMockServer({ taken: ['alpha'] });
+  const otherEndpoint = await other.listen();
+  writeList(dir, ['alpha', 'charlie']);
+  const elsewhere = await runCli(['check', 'list.txt', '-e', endpoint, '--verify', '1', '--verify-delay', '0', '--verify-endpoint', otherEndpoint], { cwd: dir });
+  await other.close();
+  assert.equal(elsewhere.code, 3, elsewhere.stderr);
+  assert.deepEqual(readLines(path.join(dir, 'available.txt')), ['charlie']);
+  assert.deepEqual(readLines(path.join(dir, 'uncertain.txt')), ['alpha\tavailable, taken']);
+});
+
+test('the exit code says whether names are available, taken or failed, and --quiet prints nothing', async () => {
+  const dir = tmpDir();
+  for (const [name, code] of [['alpha', 0], ['bravo', 2], ['errzero', 3]]) {
+    const res = await runCli(['check', '-n', name, '-q', '--retries', '0', '-e', endpoint], { cwd: dir });
+    assert.equal(res.code, code, `${name}: ${res.stderr}`);
+    assert.equal(res.stdout, '');
+  }
+  const mixed = await runCli(['check', '-n', 'alpha,bravo,errmixed', '--retries', '0', '-e', endpoint], { cwd: dir });
+  assert.equal(mixed.code, 3, 'errors outrank taken');
+});
+
+test('--summary-json - leaves only the totals on stdout', async () => {
+  const dir = tmpDir();
+  writeList(dir, [...LIST, 'echo', 'x']);
+  const res = await runCli(['check', 'list.txt', '-e', endpoint, '--summary-json', '-'], { cwd: dir });
+  assert.equal(res.code, 2, res.stderr);
+  const summary = JSON.parse(res.stdout);
+  assert.equal(summary.exitCode, 2);
+  assert.equal(summary.command, 'check');
+  assert.deepEqual([summary.checked, summary.available, summary.taken, summary.errors], [5, 3, 2, 0]);
+  assert.equal(summary.input.duplicates, 1);
+  assert.equal(summary.input.rejected, 1);
+  assert.match(res.stderr, /✔ \| alpha/);
+  assert.match(res.stderr, /Available: 3/);
+
+  const file = await runCli(['check', '-n', 'alpha', '-e', endpoint, '--summary-json', 'summary.json'], { cwd: dir });
+  assert.equal(file.code, 0, file.stderr);
+  assert.equal(JSON.parse(fs.readFileSync(path.join(dir, 'summary.json'), 'utf8')).available, 1);
+
+  const clash = await runCli(['check', 'list.txt', '--format', 'csv', '--summary-json', '-'], { cwd: dir });
+  assert.equal(clash.code, 1);
+  assert.match(clash.stderr, /both write to stdout/);
+});
+
+test('completion prints a script for each shell', async () => {
+  const bash = await runCli(['completion', 'bash']);
+  assert.equal(bash.code, 0, bash.stderr);
+  assert.match(bash.stdout, /complete -o filenames -F _hytale_name hytale-name/);
+  assert.match(bash.stdout, /--summary-json/);
+  assert.match(bash.stdout, /watch\) opts="--interval /);
+  assert.match(bash.stdout, /lists\) opts="[^"]*" words="union intersect subtract filter"/);
+  assert.match(bash.stdout, /export:--status\) COMPREPLY/);
+  const bad = await runCli(['completion', 'tcsh']);
+  assert.equal(bad.code, 1);
+  assert.match(bad.stderr, /expected one of bash, zsh, fish/);
+});
+
+test('--metrics-file writes run metrics as JSON', async () => {
+  const dir = tmpDir();
+  writeList(dir);
+  const res = await runCli(['check', 'list.txt', '-e', endpoint, '--metrics-file', 'metrics.json'], { cwd: dir });
+  assert.equal(res.code, 2, res.stderr);
+  const metrics = JSON.parse(fs.readFileSync(path.join(dir, 'metrics.json'), 'utf8'));
+  assert.equal(metrics.checked, 5);
+  assert.deepEqual(metrics.results, { available: 3, taken: 2, error: 0 });
+  assert.equal(metrics.requests[200], 5);
+  assert.equal(metrics.latency.count, 5);
+});
+
+test('the shorthand prefers an existing file named like a username', async () => {
+  const dir = tmpDir();
+  fs.writeFileSync(path.join(dir, 'abc.txt'), 'alpha\n');
+  const res = await runCli(['abc.txt', '-e', endpoint], { cwd: dir });
+  assert.equal(res.code, 0, res.stderr);
+  assert.deepEqual(readLines(path.join(dir, 'available.txt')), ['alpha']);
+});
+
+test('bad options are usage errors that point at the command help', async () => {
+  const res = await runCli(['check', 'list.txt', '-w', 'abc']);
+  assert.equal(res.code, 1);
+  assert.match(res.stderr, /Invalid value for -w: "abc"/);
+  assert.match(res.stderr, /Run hytale-name check --help/);
+});
+
+test('commands only take their own options and config keys', async () => {
+  const dir = tmpDir();
+  writeList(dir, ['alpha', 'bravo']);
+  fs.writeFileSync(path.join(dir, '.hytalenamerc'), JSON.stringify({ format: 'csv', workers: 2 }));
+  await runCli(['check', 'list.txt', '-e', endpoint], { cwd: dir });
+
+  // check's results format and workers don't apply to stats or export
+  const stats = await runCli(['stats'], { cwd: dir });
+  assert.equal(stats.code, 0, stats.stderr);
+  assert.equal((await runCli(['export'], { cwd: dir })).stdout.split('\n')[0], 'username,status,ttc,error,category,attempts,variantOf,timestamp');
+
+  const res = await runCli(['export', '--resume', '--rps', '5'], { cwd: dir });
+  assert.equal(res.code, 1);
+  assert.match(res.stderr, /Unknown option --resume/);
+  assert.match((await runCli(['stats', '-w', '3'], { cwd: dir })).stderr, /Unknown option -w/);
+});
+
+test('watch passes retry options to the checker and rejects check-only flags', async () => {
+  const dir = tmpDir();
+  const res = await runCli(['watch', 'flakywtch', '--once', '--retries', '0', '-e', endpoint], { cwd: dir });
+  assert.equal(res.code, 0, res.stderr);
+  assert.match(res.stdout, /Poll #1: 0 available, 0 taken, 1 errors/);
+
+  const retried = await runCli(['watch', 'flakywtch2', '--once', '--retry-policy', 'server_error=1:1ms', '-e', endpoint], { cwd: dir });
+  assert.match(retried.stdout, /Poll #1: 1 available, 0 taken\n/);
+
+  const bad = await runCli(['watch', 'alpha', '--verify', '2'], { cwd: dir });
+  assert.equal(bad.code, 1);
+  assert.match(bad.stderr, /Unknown option --verify/);
+});
+
+test('generate --check streams candidates into the checker', async () => {
+  const dir = tmpDir();
+  const args = ['generate', '--pattern', 'gq[0-9]x', '--limit', '3', '--check', '-e', endpoint];
+  const res = await runCli(args, { cwd: dir });
+  assert.equal(res.code, 0, res.stderr);
+  assert.match(res.stdout, /Input: generated names \(streamed\)/);
+  assert.deepEqual(readLines(path.join(dir, 'available.txt')).sort(), ['gq0x', 'gq1x', 'gq2x']);
+
+  // Candidates that are all answered already are nothing to do, not "no valid usernames"
+  const again = await runCli([...args, '--max-age', '1h'], { cwd: dir });
+  assert.equal(again.code, 0, again.stderr);
+  assert.match(again.stdout, /All 3 usernames checked within 1h/);
+
+  const none = await runCli(['generate', '--pattern', 'a', '--check', '-e', endpoint], { cwd: dir });
+  assert.equal(none.code, 1);
+  assert.match(none.stderr, /Patterns produced no valid usernames/);
+});
+
+test('generate --check resumes from its checkpoint', async () => {
+  const dir = tmpDir();
+  const cp = createCheckpoint(checkpointPath(dir), { source: 'generated' });
+  ['gr0x', 'gr1x'].forEach((name, i) => cp.queue(i + 1, name));
+  ['gr0x', 'gr1x'].forEach(name => cp.add(name));
+  cp.save();
+  const res = await runCli(['generate', '--pattern', 'gr[0-9]x', '--limit', '3', '--check', '-e', endpoint, '--resume'], { cwd: dir });
+  assert.equal(res.code, 0, res.stderr);
+  assert.deepEqual(readLines(path.join(dir, 'available.txt')), ['gr2x']);
+});
+
+test('--version prints the package version and commands have their own help', async () => {
+  const pkg = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+  assert.equal((await runCli(['--version'])).stdout.trim(), pkg.version);
+  for (const cmd of ['check', 'retry', 'generate', 'stats', 'diff', 'export']) {
+    const res = await runCli([cmd, '--help']);
+    assert.equal(res.code, 0, `${cmd}: ${res.stderr}`);
+    assert.match(res.stdout, new RegExp(`hytale-name ${cmd}`));
+  }
+});
+
+test('retry, stats and export work from the results db', async () => {
+  const dir = tmpDir();
+  writeList(dir, ['badname', 'alpha', 'bravo']);
+  await runCli(['check', 'list.txt', '-e', endpoint], { cwd: dir });
+  mock.setFixed('badname', 'available');
+  const res = await runCli(['retry', '-e', endpoint], { cwd: dir });
+  assert.equal(res.code, 0, res.stderr);
+  assert.match(res.stdout, /All errors resolved/);
+
+  const stats = JSON.parse((await runCli(['stats', '--format', 'json'], { cwd: dir })).stdout);
+  assert.equal(stats.names, 3);
+  assert.equal(stats.available, 2);
+  assert.equal(stats.checks, 4);
+
+  const csv = (await runCli(['export', '--status', 'available'], { cwd: dir })).stdout.trim().split('\n');
+  assert.equal(csv[0], 'username,status,ttc,error,category,attempts,variantOf,timestamp');
+  assert.deepEqual(csv.slice(1).map(l => l.split(',')[0]).sort(), ['alpha', 'badname']);
+});
+
+test('tagged runs are recorded and diff lists names that flipped', async () => {
+  const dir = tmpDir();
+  writeList(dir, ['flipone', 'fliptwo', 'steady']);
+  mock.setFixed('flipone', 'taken');
+  mock.setFixed('fliptwo', 'available');
+  await runCli(['check', 'list.txt', '-e', endpoint, '-t', 'week41'], { cwd: dir });
+  mock.setFixed('flipone', 'available');
+  mock.setFixed('fliptwo', 'taken');
+  await runCli(['check', 'list.txt', '-e', endpoint, '-t', 'week42'], { cwd: dir });
+
+  const res = await runCli(['diff', 'week41', 'week42', '--format', 'json'], { cwd: dir });
+  assert.equal(res.code, 0, res.stderr);
+  assert.deepEqual(JSON.parse(res.stdout).map(ch => [ch.username, ch.before, ch.after]), [
+    ['flipone', 'taken', 'available'],
+    ['fliptwo', 'available', 'taken'],
+  ]);
+  assert.match((await runCli(['diff'], { cwd: dir })).stdout, /week41 → week42/);
+
+  const stats = JSON.parse((await runCli(['stats', '--format', 'json'], { cwd: dir })).stdout);
+  assert.deepEqual(stats.runs.map(r => [r.id, r.total]), [['week41', 3], ['week42', 3]]);
+  assert.deepEqual(stats.byLength.map(g => g.key), [6, 7]);
+});
+
+test('continuing a run counts a name it already had once, by its latest answer', async () => {
+  const dir = tmpDir();
+  writeList(dir, ['againone', 'againtwo']);
+  mock.setFixed('againone', 'taken');
+  await runCli(['check', 'list.txt', '-e', endpoint, '-t', 'cont'], { cwd: dir });
+  mock.setFixed('againone', 'available');
+  await runCli(['check', 'list.txt', '-e', endpoint, '-t', 'cont', '--append'], { cwd: dir });
+
+  const meta = JSON.parse(fs.readFileSync(path.join(dir, 'hytale-name.runs', 'cont.json'), 'utf8'));
+  assert.deepEqual([meta.total, meta.available, meta.taken], [2, 2, 0]);
+});
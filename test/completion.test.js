@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { OPTIONS } from '../lib/args.js';
+import { SHELLS, completionScript } from '../lib/completion.js';
+
+const commands = [
+  { name: 'check', options: OPTIONS },
+  { name: 'retry', options: OPTIONS },
+  { name: 'serve', options: [[['--port'], 'port', 'int'], [['--cache-ttl'], 'cacheTtl', 'duration']] },
+  { name: 'lists', options: [[['-o', '--output'], 'output', 'path'], [['--match'], 'match', 'string', null, 'repeat']], words: ['union', 'intersect'] },
+];
+
+test('every shell gets every command and flag', () => {
+  for (const shell of SHELLS) {
+    const script = completionScript(shell, { commands });
+    assert.match(script, /check retry serve lists/, shell);
+    for (const [flags] of OPTIONS) {
+      for (const flag of flags) {
+        const name = shell === 'fish' ? (flag.startsWith('--') ? `-l ${flag.slice(2)}` : `-s ${flag.slice(1)}`) : flag;
+        assert.ok(script.includes(name), `${shell}: ${flag}`);
+      }
+    }
+  }
+  assert.throws(() => completionScript('tcsh', { commands }), /Unknown shell/);
+});
+
+test('option values complete from their choices, paths or nothing', () => {
+  const bash = completionScript('bash', { commands });
+  assert.match(bash, /\*:--format\) COMPREPLY=\(\$\(compgen -W "json ndjson csv"/);
+  assert.match(bash, /\*:--db\) COMPREPLY=\(\$\(compgen -f/);
+  assert.match(bash, /\*:--out-dir\) COMPREPLY=\(\$\(compgen -d/);
+  assert.match(bash, /\*:-w\|\*:--workers\) return ;;/);
+  const zsh = completionScript('zsh', { commands });
+  assert.match(zsh, /--fold':fold:\(none case homoglyphs\)'/);
+  assert.match(zsh, /\{-v,--verbose\} \\/);
+  const fish = completionScript('fish', { commands });
+  assert.match(fish, /complete -c hytale-name -n '__hytale_name_shorthand' -l sort -x -a 'score name'/);
+  assert.match(fish, /complete -c hytale-name -n '__hytale_name_shorthand' -l dict -r -F/);
+});
+
+test('each command completes its own options and first-argument words', () => {
+  const bash = completionScript('bash', { commands });
+  assert.match(bash, /serve\) opts="--port --cache-ttl -h --help" words="" ;;/);
+  assert.match(bash, /lists\) opts="-o --output --match -h --help" words="union intersect" ;;/);
+  assert.match(bash, /lists:-o\|lists:--output\) COMPREPLY=\(\$\(compgen -f/);
+  const zsh = completionScript('zsh', { commands });
+  assert.match(zsh, /    serve\)\n      shift words\n      \(\( CURRENT-- \)\)\n      _arguments -s \\\n        --port':port: ' \\/);
+  assert.match(zsh, /'\*'--match':match: ' \\\n        \{-h,--help\} \\\n        '1:argument:\(union intersect\)'/);
+  const fish = completionScript('fish', { commands });
+  assert.match(fish, /complete -c hytale-name -n '__fish_seen_subcommand_from serve' -l cache-ttl -x/);
+  assert.match(fish, /complete -c hytale-name -n '__fish_seen_subcommand_from lists; and not __fish_seen_subcommand_from union intersect' -a 'union intersect'/);
+});
+
+test('the bash script parses', { skip: spawnSync('bash', ['--version']).error ? 'no bash' : false }, () => {
+  const res = spawnSync('bash', ['-n'], { input: completionScript('bash', { commands }) });
+  assert.equal(res.status, 0, String(res.stderr));
+});
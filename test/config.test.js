@@ -0,0 +1,98 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from '../lib/args.js';
+import { findConfig } from '../lib/config.js';
+import { MIN_LEN, MAX_LEN, setLengthLimits, isValidLength } from '../lib/usernames.js';
+import { runCli, tmpDir } from './helpers.js';
+
+const CONFIG = {
+  concurrency: 50,
+  outDir: 'out',
+  profiles: {
+    gentle: { workers: 2, concurrency: 30, sleep: 0.5, batch: 5, tag: 'run2', local: true },
+    fast: { workers: 8, concurrency: 200 },
+  },
+};
+
+function project(files) {
+  const dir = tmpDir();
+  for (const [name, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), typeof content === 'string' ? content : JSON.stringify(content));
+  }
+  return dir;
+}
+
+after(() => setLengthLimits(3, 10));
+
+test('top-level config values fill in unset flags', () => {
+  const dir = project({ '.hytalenamerc': CONFIG });
+  const r = parseArgs(['list.txt'], { cwd: dir });
+  assert.equal(r.conc, 50);
+  assert.equal(r.workers, null);
+  assert.equal(r.outDir, path.join(dir, 'out'));
+  assert.equal(r.configFile, path.join(dir, '.hytalenamerc'));
+});
+
+test('a profile overrides the top level and flags override the profile', () => {
+  const dir = project({ 'hytale-name.config.json': CONFIG });
+  const r = parseArgs(['list.txt', '--profile', 'gentle', '-c', '10'], { cwd: dir });
+  assert.equal(r.workers, 2);
+  assert.equal(r.conc, 10);
+  assert.equal(r.sleep, 0.5);
+  assert.equal(r.batch, 5);
+  assert.equal(r.tag, 'run2');
+  assert.equal(r.local, true);
+});
+
+test('package.json is only used when it has a "hytale-name" key', () => {
+  const dir = project({ 'package.json': { name: 'x', 'hytale-name': { workers: 3 } } });
+  assert.equal(parseArgs(['a'], { cwd: dir }).workers, 3);
+  const plain = project({ 'package.json': { name: 'x' } });
+  assert.equal(findConfig(plain), null);
+});
+
+test('config is found from a subdirectory and paths stay relative to it', () => {
+  const dir = project({ '.hytalenamerc': { db: 'data/names.db.jsonl' } });
+  const sub = path.join(dir, 'lists', 'big');
+  fs.mkdirSync(sub, { recursive: true });
+  assert.equal(parseArgs(['a'], { cwd: sub }).db, path.join(dir, 'data', 'names.db.jsonl'));
+});
+
+test('--config picks a file and --no-config ignores them', () => {
+  const dir = project({ '.hytalenamerc': { workers: 3 }, 'other.json': { workers: 5 } });
+  assert.equal(parseArgs(['a', '--config', 'other.json'], { cwd: dir }).workers, 5);
+  assert.equal(parseArgs(['a', '--no-config'], { cwd: dir }).workers, null);
+});
+
+test('bad configs and unknown profiles are reported', () => {
+  const dir = project({ '.hytalenamerc': CONFIG });
+  assert.throws(() => parseArgs(['a', '--profile', 'turbo'], { cwd: dir }), /Unknown profile "turbo".*have: gentle, fast/);
+  assert.throws(() => parseArgs(['a'], { cwd: project({ '.hytalenamerc': { wrokers: 2 } }) }), /Unknown key "wrokers"/);
+  assert.throws(() => parseArgs(['a'], { cwd: project({ '.hytalenamerc': { workers: '2' } }) }), /must be a number/);
+  assert.throws(() => parseArgs(['a'], { cwd: project({ '.hytalenamerc': '{ nope' }) }), /Invalid config/);
+  assert.throws(() => parseArgs(['a', '--profile', 'gentle'], { cwd: tmpDir() }), /no config file found/);
+});
+
+test('setLengthLimits changes the username length rules', () => {
+  setLengthLimits(2, 16);
+  assert.equal(MIN_LEN, 2);
+  assert.equal(MAX_LEN, 16);
+  assert.equal(isValidLength('ab'), true);
+  assert.equal(isValidLength('abcdefghijklmnop'), true);
+  assert.throws(() => setLengthLimits(5, 4), /Invalid username length limits/);
+  setLengthLimits(3, 10);
+});
+
+test('the CLI applies config length limits and output directory', async () => {
+  const dir = project({
+    '.hytalenamerc': { outDir: 'results', maxLength: 12, endpoint: 'http://127.0.0.1:9' },
+    'list.txt': 'abcdefghijkl\nabcdefghijklm\n',
+  });
+  const res = await runCli(['list.txt', '--retries', '0', '--timeout', '2'], { cwd: dir });
+  assert.equal(res.code, 3, res.stderr);
+  const rejected = fs.readFileSync(path.join(dir, 'results', 'rejected.txt'), 'utf8');
+  assert.equal(rejected, 'abcdefghijklm\tLonger than 12 characters\n');
+  assert.match(fs.readFileSync(path.join(dir, 'results', 'errors.txt'), 'utf8'), /^abcdefghijkl\t/);
+});
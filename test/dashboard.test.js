@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDashboard, percentile } from '../lib/dashboard.js';
+import { stripAnsi } from './helpers.js';
+
+test('percentile picks from a sorted sample', () => {
+  const sorted = Array.from({ length: 100 }, (_, i) => i + 1);
+  assert.equal(percentile(sorted, 50), 51);
+  assert.equal(percentile(sorted, 99), 100);
+  assert.equal(percentile([], 50), null);
+});
+
+test('the dashboard frame shows progress, counts, errors and recent finds', () => {
+  const dash = createDashboard({ total: 10, workers: 2, out: { write() {} } });
+  dash.add({ username: 'alpha', available: true, ttc: 10, worker: 0 });
+  dash.add({ username: 'bravo', available: false, ttc: 20, worker: 1 });
+  dash.add({ username: 'carol', available: null, ttc: 30, error: 'Rate limited', worker: 1 });
+  dash.add({ username: 'delta', available: true, ttc: 40, worker: 0 });
+  const frame = dash.frame().map(stripAnsi).join('\n');
+  assert.match(frame, /40\.0% 4\/10/);
+  assert.match(frame, /Available: 2 {2}Taken: 1 {2}Errors: 1/);
+  assert.match(frame, /p50 30ms/);
+  assert.match(frame, /w0 .*w1 /);
+  assert.match(frame, /1 {2}Rate limited/);
+  assert.match(frame, /Latest available: delta, alpha/);
+});
+
+test('the dashboard shows the work queue and workers added mid-run', () => {
+  const queue = { stats: () => ({ queued: 1200, inFlight: 40, retrying: 3, workers: 3 }) };
+  const dash = createDashboard({ total: 10, workers: 2, queue, out: { write() {} } });
+  dash.add({ username: 'alpha', available: true, ttc: 10, worker: 2 });
+  const frame = dash.frame().map(stripAnsi).join('\n');
+  assert.match(frame, /Queue: 1,200 read ahead, 40 with 3 workers, 3 waiting to retry/);
+  assert.match(frame, /w0 .*w1 .*w2 /);
+  assert.doesNotMatch(frame, /NaN/);
+});
+
+test('the dashboard redraws over its previous frame', () => {
+  const writes = [];
+  const dash = createDashboard({ total: 1, out: { write: s => writes.push(s) } });
+  dash.render();
+  dash.render();
+  assert.ok(!writes[0].startsWith('\x1b[') || writes[0].startsWith('\x1b[J'));
+  assert.match(writes[1], new RegExp(`^\\x1b\\[${dash.frame().length}A`));
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classify, checkError, resolvePolicy, parseRetryPolicy, DEFAULT_POLICY } from '../lib/errors.js';
+import { assertOk } from '../lib/providers.js';
+import { withRetry } from '../lib/upstream.js';
+
+const thrown = fn => {
+  try {
+    fn();
+  } catch (e) {
+    return e;
+  }
+  return null;
+};
+
+test('assertOk tags each failing status with its category', () => {
+  const categoryOf = status => thrown(() => assertOk(status))?.category ?? null;
+  assert.deepEqual([200, 429, 503, 404, 400, 422, 302].map(categoryOf), [null, 'rate_limited', 'server_error', 'not_found', 'invalid_name', 'invalid_name', 'invalid_response']);
+  assert.equal(thrown(() => assertOk(404)).message, 'HTTP 404');
+});
+
+test('classify recognizes untagged errors by code and message', () => {
+  const withCode = (code, message = 'failed') => Object.assign(new Error(message), { code });
+  assert.equal(classify(checkError('not_found', 'gone')), 'not_found');
+  assert.equal(classify(withCode('UND_ERR_HEADERS_TIMEOUT', 'Headers Timeout Error')), 'timeout');
+  assert.equal(classify(withCode('ECONNREFUSED', 'connect ECONNREFUSED 127.0.0.1:1')), 'network');
+  assert.equal(classify(withCode('UND_ERR_SOCKET', 'other side closed')), 'network');
+  assert.equal(classify(new SyntaxError('Unexpected end of JSON input')), 'invalid_response');
+  assert.equal(classify(new Error('Server error (502)')), 'server_error');
+  assert.equal(classify({ message: 'HTTP 404' }), 'not_found');
+  assert.equal(classify(new Error('provider exploded')), 'unknown');
+});
+
+test('parseRetryPolicy reads per-category retries and backoff', () => {
+  assert.deepEqual(parseRetryPolicy('timeout=2:500ms, rate_limited=8:2s,not_found=1'), {
+    timeout: { retries: 2, backoffMs: 500 },
+    rate_limited: { retries: 8, backoffMs: 2000 },
+    not_found: { retries: 1 },
+  });
+  assert.deepEqual(parseRetryPolicy({ timeout: '1:250', network: 3 }), { timeout: { retries: 1, backoffMs: 250 }, network: { retries: 3 } });
+  assert.throws(() => parseRetryPolicy('timeouts=2'), /Unknown error category "timeouts"/);
+  assert.throws(() => parseRetryPolicy('timeout'), /CATEGORY=RETRIES/);
+});
+
+test('resolvePolicy applies --retries to transient categories only', () => {
+  const policy = resolvePolicy(1, { timeout: { retries: 4 } });
+  assert.equal(policy.server_error.retries, 1);
+  assert.equal(policy.timeout.retries, 4);
+  assert.equal(policy.rate_limited.backoffMs, DEFAULT_POLICY.rate_limited.backoffMs);
+  assert.equal(policy.invalid_name.retries, 0);
+});
+
+test('withRetry follows the policy of the category thrown', async () => {
+  const failing = category => {
+    let calls = 0;
+    return { fn: async () => { calls++; throw checkError(category, 'nope'); }, calls: () => calls };
+  };
+  const policy = resolvePolicy(0, { timeout: { retries: 2, backoffMs: 1 } });
+  const timeout = failing('timeout');
+  assert.deepEqual(await withRetry(timeout.fn, policy), { ok: false, err: 'nope', category: 'timeout', attempts: 3 });
+  const rejected = failing('invalid_name');
+  assert.equal((await withRetry(rejected.fn, 5)).attempts, 1);
+  assert.equal(rejected.calls(), 1);
+});
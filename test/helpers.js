@@ -0,0 +1,33 @@
+// helpers.js - Shared test utilities
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const CLI = path.join(__dirname, '..', 'index.js');
+
+export function stripAnsi(s) {
+  return s.replace(/\x1b\[[0-9;]*m/g, '');
+}
+
+export function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'hytale-name-test-'));
+}
+
+export function readLines(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+}
+
+// Run the CLI and resolve with { code, stdout, stderr } (colors stripped)
+export function runCli(args, { cwd, timeout = 30000, input = '' } = {}) {
+  return new Promise(resolve => {
+    const child = execFile(process.execPath, [CLI, ...args], { cwd, timeout }, (err, stdout, stderr) => {
+      resolve({ code: err ? err.code ?? 1 : 0, stdout: stripAnsi(stdout), stderr: stripAnsi(stderr) });
+    });
+    child.stdin.end(input);
+  });
+}
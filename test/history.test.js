@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { openRun, listRuns, loadRun } from '../lib/history.js';
+import { tmpDir } from './helpers.js';
+
+test('a run records results and counts them when finished', () => {
+  const dir = path.join(tmpDir(), 'runs');
+  const run = openRun(dir, { tag: 'week41', source: 'list.txt' });
+  run.record({ username: 'alpha', available: true, ttc: 10 });
+  run.record({ username: 'bravo', available: false, ttc: 12 });
+  run.record({ username: 'carol', available: null, error: 'Rate limited' });
+  const meta = run.finish({ rejected: 2 });
+  assert.deepEqual([meta.total, meta.available, meta.taken, meta.errors, meta.rejected], [3, 1, 1, 1, 2]);
+  assert.ok(meta.finishedAt);
+  assert.deepEqual(listRuns(dir).map(r => r.id), ['week41']);
+  assert.equal(loadRun(dir, 'week41').get('carol').status, 'error');
+});
+
+test('a name checked again within a run is counted once, by its last result', () => {
+  const dir = path.join(tmpDir(), 'runs');
+  const run = openRun(dir, { tag: 'again' });
+  run.record({ username: 'Alpha', available: null, error: 'Timeout' });
+  run.record({ username: 'alpha', available: true }, 'error');
+  run.record({ username: 'bravo', uncertain: true, available: true });
+  const meta = run.finish();
+  assert.deepEqual([meta.total, meta.available, meta.errors, meta.uncertain], [2, 1, 0, 1]);
+});
+
+test('continuing a run keeps earlier results, re-running a tag starts over', () => {
+  const dir = path.join(tmpDir(), 'runs');
+  const first = openRun(dir, { tag: 'weekly' });
+  first.record({ username: 'alpha', available: null, error: 'Timeout' });
+  first.record({ username: 'bravo', available: true });
+  first.finish();
+
+  const retry = openRun(dir, { tag: 'weekly', resume: true });
+  retry.record({ username: 'alpha', available: false }, 'error');
+  retry.record({ username: 'carol', available: true });
+  const meta = retry.finish();
+  assert.deepEqual([meta.total, meta.available, meta.taken, meta.errors], [3, 2, 1, 0]);
+  assert.equal(loadRun(dir, 'weekly').get('alpha').lastKnown, 'taken');
+
+  openRun(dir, { tag: 'weekly' }).finish();
+  assert.equal(loadRun(dir, 'weekly').size, 0);
+});
+
+test('untagged runs get unique timestamp ids and retries continue the latest', () => {
+  const dir = path.join(tmpDir(), 'runs');
+  const at = Date.parse('2026-01-02T03:04:05Z');
+  const a = openRun(dir, { at });
+  a.finish();
+  const b = openRun(dir, { at: at + 10 });
+  b.finish();
+  assert.equal(a.id, '2026-01-02T03-04-05');
+  assert.equal(b.id, '2026-01-02T03-04-05-2');
+  assert.equal(openRun(dir, { resume: true }).id, b.id);
+  assert.ok(fs.existsSync(path.join(dir, `${b.id}.jsonl`)));
+});
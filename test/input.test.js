@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { Readable } from 'stream';
+import { readLines, isGzip } from '../lib/input.js';
+import { createDedupe } from '../lib/dedupe.js';
+import { createWorkQueue } from '../lib/queue.js';
+import { createCheckpoint, loadCheckpoint } from '../lib/checkpoint.js';
+import { tmpDir } from './helpers.js';
+
+async function collect(iterable) {
+  const out = [];
+  for await (const x of iterable) out.push(x);
+  return out;
+}
+
+test('readLines trims, skips blanks and handles CRLF and a missing final newline', async () => {
+  const file = path.join(tmpDir(), 'list.txt');
+  fs.writeFileSync(file, ' alpha \r\n\r\nbravo\ncharlie');
+  assert.deepEqual(await collect(readLines(file)), ['alpha', 'bravo', 'charlie']);
+});
+
+test('readLines gunzips by content, not by file name', async () => {
+  const file = path.join(tmpDir(), 'list.txt');
+  fs.writeFileSync(file, zlib.gzipSync('alpha\nbravo\n'));
+  assert.ok(isGzip(fs.readFileSync(file)));
+  assert.deepEqual(await collect(readLines(file)), ['alpha', 'bravo']);
+});
+
+test('readLines keeps lines and characters split across chunks intact', async () => {
+  const bytes = Buffer.from('héllo\nwörld\n');
+  const chunks = [bytes.subarray(0, 2), bytes.subarray(2, 8), bytes.subarray(8)];
+  assert.deepEqual(await collect(readLines(Readable.from(chunks))), ['héllo', 'wörld']);
+});
+
+test('readLines reports a truncated gzip file', async () => {
+  const file = path.join(tmpDir(), 'list.gz');
+  fs.writeFileSync(file, zlib.gzipSync('alpha\nbravo\n'.repeat(100)).subarray(0, 30));
+  await assert.rejects(collect(readLines(file)), /Reading .*list\.gz/);
+});
+
+test('createDedupe flags repeats and keeps unique names as it grows', () => {
+  const seen = createDedupe({ capacity: 1000 });
+  let fresh = 0;
+  for (let i = 0; i < 20000; i++) if (seen.add(`name${i}`)) fresh++;
+  assert.equal(fresh, 20000);
+  assert.equal(seen.add('name42'), false);
+  assert.equal(seen.add('name19999'), false);
+  assert.equal(seen.duplicates, 2);
+
+  const exact = createDedupe({ exact: true });
+  assert.deepEqual(['a', 'b', 'a'].map(n => exact.add(n)), [true, true, false]);
+});
+
+test('createWorkQueue reads ahead at most highWater items', async () => {
+  let produced = 0;
+  function* source() {
+    for (let i = 0; i < 100; i++) {
+      produced++;
+      yield i;
+    }
+  }
+  const queue = createWorkQueue(source(), { highWater: 10 });
+  assert.deepEqual(await queue.take(3), [0, 1, 2]);
+  assert.ok(produced <= 13, `read ${produced} items for 3`);
+  let all = [0, 1, 2];
+  for (let chunk = await queue.take(7); chunk.length; chunk = await queue.take(7)) all = all.concat(chunk);
+  assert.equal(all.length, 100);
+  assert.ok(queue.done);
+});
+
+test('createWorkQueue passes on errors from its source', async () => {
+  async function* broken() {
+    yield 'alpha';
+    throw new Error('disk on fire');
+  }
+  const queue = createWorkQueue(broken());
+  await assert.rejects(queue.take(5), /disk on fire/);
+});
+
+test('a checkpoint keeps a mark plus the names finished past it', () => {
+  const file = path.join(tmpDir(), 'cp.json');
+  const cp = createCheckpoint(file, { source: 'list.txt', fingerprint: 'abc' });
+  cp.queue(1, 'alpha');
+  cp.skip(2);
+  cp.queue(3, 'charlie');
+  cp.queue(4, 'delta');
+  cp.add('delta');
+  cp.save();
+  let saved = loadCheckpoint(file);
+  assert.equal(saved.mark, 0);
+  assert.deepEqual([...saved.finished], ['delta']);
+
+  cp.add('alpha');
+  assert.equal(cp.mark, 2);
+  cp.add('charlie');
+  cp.save();
+  saved = loadCheckpoint(file);
+  assert.equal(saved.mark, 4);
+  assert.deepEqual([...saved.finished], []);
+  assert.equal(saved.fingerprint, 'abc');
+});
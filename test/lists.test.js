@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { combine, parseLengthRange, createListFilter } from '../lib/lists.js';
+
+test('combine() keeps the first spelling of each name, in input order', () => {
+  const a = ['Alpha', 'bravo', 'charlie', 'alpha'];
+  const b = ['BRAVO', 'delta'];
+  assert.deepEqual(combine('union', [a, b]), ['Alpha', 'bravo', 'charlie', 'delta']);
+  assert.deepEqual(combine('intersect', [a, b]), ['bravo']);
+  assert.deepEqual(combine('subtract', [a, b]), ['Alpha', 'charlie']);
+  assert.deepEqual(combine('filter', [a]), ['Alpha', 'bravo', 'charlie']);
+  assert.throws(() => combine('xor', [a, b]), /Unknown list operation/);
+});
+
+test('combine() compares names the way --fold says', () => {
+  const a = ['echo', 'Echo', 'ech0'];
+  assert.deepEqual(combine('union', [a], { fold: 'none' }), ['echo', 'Echo', 'ech0']);
+  assert.deepEqual(combine('union', [a], { fold: 'homoglyphs' }), ['echo']);
+  assert.deepEqual(combine('subtract', [a, ['ECHO']], { fold: 'case' }), ['ech0']);
+});
+
+test('parseLengthRange() takes a length, a range or an open end', () => {
+  assert.deepEqual(parseLengthRange('4'), { min: 4, max: 4 });
+  assert.deepEqual(parseLengthRange('3-6'), { min: 3, max: 6 });
+  assert.deepEqual(parseLengthRange('5-'), { min: 5, max: Infinity });
+  assert.deepEqual(parseLengthRange('-6'), { min: 0, max: 6 });
+  for (const bad of ['', '-', 'four', '6-3', '3-6-9']) assert.throws(() => parseLengthRange(bad), /Invalid length/);
+});
+
+test('the filter says why a name is dropped', () => {
+  const filter = createListFilter({
+    length: { min: 4, max: 6 },
+    match: [/a/i],
+    exclude: [/^x/i],
+    classes: ['letters', 'mixed'],
+    isChecked: name => name === 'taken',
+  });
+  assert.equal(filter('bad-name'), 'invalid');
+  assert.equal(filter('ab'), 'invalid');
+  assert.equal(filter('abc'), 'length');
+  assert.equal(filter('bobby'), 'match');
+  assert.equal(filter('xanadu'), 'exclude');
+  assert.equal(filter('a_bc'), 'class');
+  assert.equal(filter('taken'), 'checked');
+  assert.equal(filter('lava42'), null);
+  assert.equal(createListFilter()('anything'), null);
+});
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { createMetrics, serveMetrics, writeMetricsFile } from '../lib/metrics.js';
+import { tmpDir } from './helpers.js';
+
+// Just enough of a checkUsernames() run for the gauges
+function fakeRun() {
+  const run = new EventEmitter();
+  run.scheduler = { stats: () => ({ queued: 40, retrying: 2, inFlight: 8, workers: 2 }) };
+  run.rate = { stats: () => ({ limit: 120, inFlight: 6, queued: 1, rateLimited: 1 }) };
+  run.workers = 2;
+  return run;
+}
+
+function feed(run) {
+  run.emit('request', { worker: 0, statusCode: 200, ms: 80 });
+  run.emit('request', { worker: 1, statusCode: 429, ms: 30 });
+  run.emit('request', { worker: 1, statusCode: null, ms: 20000 });
+  run.emit('retry', { worker: 1, username: 'b', attempts: 1, category: 'rate_limited', delayMs: 1000 });
+  run.emit('result', { username: 'a', available: true, worker: 0 });
+  run.emit('result', { username: 'b', available: false, worker: 1 });
+  run.emit('result', { username: 'c', available: null, category: 'timeout', worker: 1 });
+}
+
+test('snapshot counts results, errors, retries and requests and reads the gauges', () => {
+  const run = fakeRun();
+  const metrics = createMetrics({ run });
+  feed(run);
+  const s = metrics.snapshot();
+  assert.equal(s.checked, 3);
+  assert.deepEqual(s.results, { available: 1, taken: 1, error: 1 });
+  assert.deepEqual(s.errors, { timeout: 1 });
+  assert.deepEqual(s.retries, { rate_limited: 1 });
+  assert.deepEqual(s.requests, { 200: 1, 429: 1, none: 1 });
+  assert.equal(s.latency.count, 3);
+  assert.deepEqual(s.latency.buckets.map(b => b.count), [1, 2, 2, 2, 2, 2, 2, 2, 3]);
+  assert.deepEqual(s.workers, { active: 2, checked: { 0: 1, 1: 2 } });
+  assert.deepEqual(s.queue, { queued: 40, retrying: 2, inFlight: 8 });
+  assert.equal(s.concurrency.limit, 120);
+});
+
+test('render() is Prometheus text with a cumulative latency histogram', () => {
+  const run = fakeRun();
+  const metrics = createMetrics({ run });
+  feed(run);
+  const other = new EventEmitter();
+  metrics.attach(other);
+  other.emit('result', { username: 'd', available: true, worker: 0 });
+  const verifying = new EventEmitter();
+  metrics.attach(verifying, { verify: true });
+  verifying.emit('result', { username: 'a', available: true, worker: 0 });
+  verifying.emit('result', { username: 'd', available: false, worker: 0 });
+  const text = metrics.render();
+  assert.match(text, /^# TYPE hytale_name_checked_total counter$/m);
+  assert.match(text, /^hytale_name_checked_total 4$/m);
+  assert.match(text, /^hytale_name_results_total\{status="available"\} 2$/m);
+  assert.match(text, /^hytale_name_verify_checks_total\{status="taken"\} 1$/m, 're-checks are not final answers');
+  assert.match(text, /^hytale_name_errors_total\{category="timeout"\} 1$/m);
+  assert.match(text, /^hytale_name_requests_total\{code="429"\} 1$/m);
+  assert.match(text, /^hytale_name_worker_checked_total\{worker="1"\} 2$/m, 'attached runs only add to the totals');
+  assert.match(text, /^hytale_name_request_duration_seconds_bucket\{le="0.1"\} 2$/m);
+  assert.match(text, /^hytale_name_request_duration_seconds_bucket\{le="\+Inf"\} 3$/m);
+  const bounds = [...text.matchAll(/_bucket\{le="([^"]+)"\}/g)].map(m => m[1]);
+  assert.deepEqual(bounds, ['0.05', '0.1', '0.25', '0.5', '1', '2.5', '5', '10', '20', '+Inf'], 'buckets in order');
+  assert.match(text, /^hytale_name_request_duration_seconds_count 3$/m);
+  assert.match(text, /^hytale_name_queue_depth\{state="retrying"\} 2$/m);
+  assert.ok(text.split('\n').filter(Boolean).every(line => /^(# (HELP|TYPE) \w+ .+|\w+(\{[^}]*\})? [\d.]+)$/.test(line)), text);
+});
+
+test('metrics are served over HTTP and written to a file', async () => {
+  const run = fakeRun();
+  const metrics = createMetrics({ run });
+  feed(run);
+  const server = await serveMetrics(metrics, { port: 0 });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  try {
+    const text = await fetch(`${base}/metrics`);
+    assert.match(text.headers.get('content-type'), /text\/plain; version=0.0.4/);
+    assert.match(await text.text(), /hytale_name_checked_total 3/);
+    assert.equal((await (await fetch(`${base}/metrics.json`)).json()).checked, 3);
+    assert.equal((await fetch(`${base}/other`)).status, 404);
+  } finally {
+    server.close();
+    server.closeAllConnections();
+  }
+
+  const file = path.join(tmpDir(), 'metrics.json');
+  const writer = writeMetricsFile(metrics, file, 60000);
+  assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).checked, 3);
+  run.emit('result', { username: 'd', available: true, worker: 0 });
+  writer.stop();
+  assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).checked, 4);
+  assert.ok(!fs.existsSync(`${file}.tmp`));
+});
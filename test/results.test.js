@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { summarize, breakdown, charClass } from '../lib/commands/stats.js';
+import { diffRecords } from '../lib/commands/diff.js';
+
+const rec = (username, status, extra = {}) => ({
+  key: username.toLowerCase(), username, status, lastKnown: status === 'error' ? null : status, checkedAt: 1000, ttc: 100, error: null, checks: 1, ...extra,
+});
+
+test('summarize counts statuses, checks and the most common errors', () => {
+  const s = summarize([
+    rec('alpha', 'available'),
+    rec('bravo', 'taken', { checks: 3, checkedAt: 500 }),
+    rec('carol', 'error', { error: 'Rate limited', ttc: null }),
+    rec('delta', 'error', { error: 'Rate limited', ttc: null }),
+    rec('echo', 'error', { error: 'Timeout', ttc: null, checkedAt: 2000 }),
+  ]);
+  assert.equal(s.names, 5);
+  assert.deepEqual([s.available, s.taken, s.error, s.checks], [1, 1, 3, 7]);
+  assert.equal(s.avgTtc, 100);
+  assert.deepEqual([s.oldest, s.newest], [500, 2000]);
+  assert.deepEqual(s.topErrors, [{ error: 'Rate limited', count: 2 }, { error: 'Timeout', count: 1 }]);
+});
+
+test('diffRecords reports flips by last known answer, plus added and removed names', () => {
+  const map = recs => new Map(recs.map(r => [r.key, r]));
+  const before = map([rec('alpha', 'taken'), rec('bravo', 'available'), rec('carol', 'taken'), rec('gone', 'taken')]);
+  const after = map([
+    rec('alpha', 'available'),
+    rec('bravo', 'taken'),
+    rec('carol', 'error', { lastKnown: 'taken' }),
+    rec('new', 'available'),
+  ]);
+  assert.deepEqual(diffRecords(before, after).map(ch => [ch.username, ch.change]), [
+    ['alpha', 'freed'],
+    ['bravo', 'claimed'],
+    ['gone', 'removed'],
+    ['new', 'added'],
+  ]);
+});
+
+test('breakdown groups availability and skips names without an answer', () => {
+  const rows = breakdown([
+    rec('abc', 'available'),
+    rec('abd', 'taken'),
+    rec('abcd', 'available'),
+    rec('xyz', 'error'),
+  ], u => u.length);
+  assert.deepEqual(rows.map(g => [g.key, g.total, g.available, g.rate]), [[3, 2, 1, 0.5], [4, 1, 1, 1]]);
+});
+
+test('charClass sorts names into letters, digits, mixed and underscore', () => {
+  assert.deepEqual(['abc', '123', 'ab12', 'a_b1'].map(charClass), ['letters', 'digits', 'mixed', 'underscore']);
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createScheduler } from '../lib/scheduler.js';
+
+const tick = () => new Promise(r => setTimeout(r, 5));
+
+// A stand-in worker that records what the scheduler sends it
+function fakeWorker(scheduler, id) {
+  const inbox = [];
+  scheduler.add(id, msg => inbox.push(msg));
+  return {
+    inbox,
+    work: () => inbox.filter(m => m.type === 'work').map(m => m.items),
+    names: () => inbox.filter(m => m.type === 'work').flatMap(m => m.items.map(i => i.username)),
+  };
+}
+
+test('hands out chunks on demand and finishes once nothing is held', async () => {
+  const s = createScheduler(['a', 'b', 'c'], { chunkSize: 2 });
+  const w = fakeWorker(s, 0);
+  s.pull(0);
+  await tick();
+  assert.deepEqual(w.names(), ['a', 'b']);
+  s.pull(0, 1);
+  await tick();
+  assert.deepEqual(w.names(), ['a', 'b', 'c']);
+  s.pull(0, 0);
+  await tick();
+  assert.equal(w.work().length, 2, 'no empty chunk while names are still in flight');
+  s.resolved(0, 3, 0);
+  await tick();
+  assert.deepEqual(w.work().at(-1), []);
+  assert.ok(s.done);
+});
+
+test('an idle worker steals half the backlog of the busiest one', async () => {
+  const s = createScheduler(['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'], { chunkSize: 8 });
+  const slow = fakeWorker(s, 0);
+  const idle = fakeWorker(s, 1);
+  s.pull(0);
+  await tick();
+  s.resolved(0, 0, 6); // Two in flight, six not started yet
+  s.pull(1, 0);
+  await tick();
+  assert.deepEqual(slow.inbox.at(-1), { type: 'steal', n: 3 });
+  s.returned(0, [{ username: 'f', attempts: 0 }, { username: 'g', attempts: 0 }, { username: 'h', attempts: 0 }], 3);
+  await tick();
+  assert.deepEqual(idle.names(), ['f', 'g', 'h']);
+  assert.equal(s.stats().inFlight, 8);
+});
+
+test('requeued names wait out their backoff and can go to any worker', async () => {
+  const s = createScheduler(['a', 'b'], { chunkSize: 2 });
+  const first = fakeWorker(s, 0);
+  const second = fakeWorker(s, 1);
+  s.pull(0);
+  await tick();
+  s.resolved(0, 1, 0);
+  s.requeue(0, [{ username: 'b', attempts: 1 }], 30);
+  s.pull(1, 0);
+  await tick();
+  assert.deepEqual(second.work(), [], 'not before the backoff is up');
+  assert.equal(s.stats().retrying, 1);
+  await new Promise(r => setTimeout(r, 50));
+  assert.deepEqual(second.work(), [[{ username: 'b', attempts: 1 }]]);
+  s.resolved(1, 1, 0);
+  s.pull(0, 0);
+  await tick();
+  assert.ok(s.done);
+  assert.deepEqual(first.work().at(-1), []);
+});
+
+test('a draining worker gets no more work and its names go to the others', async () => {
+  const s = createScheduler(['a', 'b', 'c', 'd'], { chunkSize: 4 });
+  fakeWorker(s, 0);
+  const other = fakeWorker(s, 1);
+  s.pull(0);
+  await tick();
+  s.drain(0);
+  s.pull(0, 0);
+  s.returned(0, [{ username: 'c', attempts: 0 }, { username: 'd', attempts: 0 }], 0);
+  s.pull(1, 0);
+  await tick();
+  assert.deepEqual(other.names(), ['c', 'd']);
+  assert.equal(s.stats().workers, 1);
+});
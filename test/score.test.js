@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createScorer, parseWeights, DEFAULT_WEIGHTS } from '../lib/score.js';
+
+test('createScorer rates each factor from 0 to 1', () => {
+  const { score } = createScorer();
+  assert.deepEqual(score('fox'), { username: 'fox', score: 100, length: 1, pronounceable: 1, dictionary: 1, repetition: 1, digits: 1, underscores: 1 });
+  const messy = score('zzz_x9');
+  assert.equal(messy.pronounceable, 0);
+  assert.equal(messy.dictionary, 0);
+  assert.equal(messy.underscores, 0.5);
+  assert.equal(messy.digits, 0.67);
+  assert.ok(messy.repetition < 1);
+  assert.equal(score('firewolf').dictionary, 0.75, 'two words joined');
+  assert.equal(score('fire_wolf').dictionary, 0.75, 'two words split by an underscore');
+});
+
+test('rank puts better names first and honours weights and extra words', () => {
+  assert.deepEqual(createScorer().rank(['xkqz', 'darkwolf', 'lava']).map(r => r.username), ['lava', 'darkwolf', 'xkqz']);
+  const wordy = createScorer({ weights: parseWeights('length=0,dictionary=5') });
+  assert.deepEqual(wordy.rank(['xkqz', 'darkwolf']).map(r => r.username), ['darkwolf', 'xkqz']);
+  assert.equal(createScorer({ words: ['qwop'] }).score('qwop').dictionary, 1);
+});
+
+test('parseWeights reads specs and objects and rejects nonsense', () => {
+  assert.deepEqual(parseWeights('dictionary=4, length=0.5'), { ...DEFAULT_WEIGHTS, dictionary: 4, length: 0.5 });
+  assert.deepEqual(parseWeights({ digits: 3 }), { ...DEFAULT_WEIGHTS, digits: 3 });
+  assert.throws(() => parseWeights('vibes=2'), /Unknown score factor "vibes"/);
+  assert.throws(() => parseWeights('length'), /Invalid weight "length"/);
+  assert.throws(() => parseWeights({ length: -1 }), /Invalid weight for length/);
+  assert.throws(() => parseWeights('length=0,pronounceable=0,dictionary=0,repetition=0,digits=0,underscores=0'), /At least one weight/);
+});
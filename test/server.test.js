@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import http from 'http';
+import assert from 'node:assert/strict';
+import { createCheckService, createCheckServer } from '../lib/server.js';
+import { checkError, resolvePolicy } from '../lib/errors.js';
+
+// An upstream stand-in: checkSingle() fails `failures` times per name, then answers available
+function fakeUpstream(failures = 0) {
+  const calls = [];
+  return {
+    calls,
+    checkSingle: async username => {
+      calls.push(username);
+      if (calls.filter(n => n === username).length <= failures) throw checkError('server_error', 'Server error (500)');
+      return true;
+    },
+  };
+}
+
+async function serve(service) {
+  const server = createCheckServer({ service });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const get = async p => {
+    const res = await fetch(base + p);
+    return { status: res.status, body: await res.json() };
+  };
+  const close = () => {
+    service.close();
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+  };
+  const post = (p, body) => new Promise((resolve, reject) => {
+    const req = http.request(base + p, { method: 'POST', headers: { 'content-type': 'application/json' } }, res => {
+      let text = '';
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(text) }));
+    });
+    req.on('error', e => (e.code === 'EPIPE' || e.code === 'ECONNRESET' ? null : reject(e)));
+    req.end(body);
+  });
+  return { get, post, close };
+}
+
+test('a malformed name in the URL is a 400 with a JSON error', async () => {
+  const { get, close } = await serve(createCheckService({ upstream: fakeUpstream() }));
+  try {
+    const bad = await get('/check/%E0%A4%A');
+    assert.equal(bad.status, 400);
+    assert.match(bad.body.error, /Malformed name/);
+    assert.deepEqual((await get('/check/alpha')).body, { username: 'alpha', available: true, cached: false });
+  } finally {
+    await close();
+  }
+});
+
+test('upstream lookups retry by the policy the service is given', async () => {
+  const upstream = fakeUpstream(1);
+  const noRetries = await serve(createCheckService({ upstream, retryPolicy: resolvePolicy(0) }));
+  try {
+    const res = await noRetries.get('/check/alpha');
+    assert.equal(res.status, 502);
+    assert.equal(res.body.category, 'server_error');
+  } finally {
+    await noRetries.close();
+  }
+
+  const retrying = await serve(createCheckService({ upstream: fakeUpstream(1), retryPolicy: resolvePolicy(null, { server_error: { retries: 1, backoffMs: 1 } }) }));
+  try {
+    assert.equal((await retrying.get('/check/bravo')).body.available, true);
+  } finally {
+    await retrying.close();
+  }
+});
+
+test('batch entries for invalid names carry the invalid_name category', async () => {
+  const { post, close } = await serve(createCheckService({ upstream: fakeUpstream() }));
+  try {
+    const res = await post('/check/batch', JSON.stringify({ usernames: ['alpha', 'x'] }));
+    assert.equal(res.status, 200);
+    const [alpha, x] = res.body.results;
+    assert.equal(alpha.available, true);
+    assert.equal(x.category, 'invalid_name');
+    assert.ok(x.code);
+  } finally {
+    await close();
+  }
+});
+
+test('an oversized batch body is refused without reading the rest', async () => {
+  const { get, post, close } = await serve(createCheckService({ upstream: fakeUpstream() }));
+  try {
+    const res = await post('/check/batch', JSON.stringify({ usernames: Array(100000).fill('alpha') }));
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /Body too large/);
+    assert.equal((await get('/check/alpha')).status, 200);
+  } finally {
+    await close();
+  }
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { openStore, loadRecords } from '../lib/store.js';
+import { tmpDir } from './helpers.js';
+
+test('the store reads records back from the file and keeps the latest per name', () => {
+  const file = path.join(tmpDir(), 'db.jsonl');
+  const store = openStore(file);
+  store.record({ username: 'Alpha', available: null, error: 'Timeout', category: 'timeout' }, 1000);
+  store.record({ username: 'alpha', available: true, ttc: 10 }, 2000);
+  store.record({ username: 'bravo', available: null, error: 'Rate limited', category: 'rate_limited' }, 3000);
+
+  const alpha = store.get('ALPHA');
+  assert.deepEqual([alpha.status, alpha.checks, alpha.errors.length, alpha.checkedAt], ['available', 2, 1, 2000]);
+  assert.ok(store.has('bravo'));
+  assert.equal(store.get('charlie'), null);
+  assert.ok(store.isFresh('alpha', 500, 2100));
+  assert.ok(!store.isFresh('alpha', 50, 2100));
+  assert.ok(!store.isFresh('bravo', Infinity));
+  assert.deepEqual(store.byStatus('error').map(r => r.username), ['bravo']);
+  store.close();
+
+  const reopened = openStore(file);
+  assert.equal(reopened.get('alpha').lastKnown, 'available');
+  reopened.record({ username: 'bravo', available: false });
+  assert.equal(reopened.get('bravo').checks, 2);
+  reopened.close();
+  assert.deepEqual([...loadRecords(file).values()].map(r => [r.username, r.status]), [['alpha', 'available'], ['bravo', 'taken']]);
+});
+
+test('a torn last line is skipped and the next record starts on its own line', () => {
+  const file = path.join(tmpDir(), 'db.jsonl');
+  const store = openStore(file);
+  store.record({ username: 'alpha', available: true });
+  store.close();
+  fs.appendFileSync(file, '{"key":"bra');
+
+  const reopened = openStore(file);
+  assert.equal(reopened.has('bravo'), false);
+  reopened.record({ username: 'charlie', available: false });
+  assert.equal(reopened.get('charlie').status, 'taken');
+  reopened.close();
+  assert.deepEqual([...loadRecords(file).keys()], ['alpha', 'charlie']);
+});
+
+test('opening a db that is mostly superseded lines compacts it', () => {
+  const file = path.join(tmpDir(), 'db.jsonl');
+  const store = openStore(file);
+  for (let i = 0; i < 1200; i++) store.record({ username: i % 2 ? 'alpha' : 'bravo', available: i % 3 === 0 });
+  store.close();
+  assert.equal(fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).length, 1200);
+
+  const reopened = openStore(file);
+  assert.equal(fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).length, 2);
+  assert.equal(reopened.get('alpha').checks, 600);
+  reopened.record({ username: 'charlie', available: true });
+  reopened.close();
+  assert.deepEqual([...loadRecords(file).keys()], ['bravo', 'alpha', 'charlie']);
+});
+
+test('a few superseded lines are left alone', () => {
+  const file = path.join(tmpDir(), 'db.jsonl');
+  const store = openStore(file);
+  for (let i = 0; i < 10; i++) store.record({ username: 'alpha', available: true });
+  store.close();
+  openStore(file).close();
+  assert.equal(fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).length, 10);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { editDistance, suggestVariants, findAvailableVariants } from '../lib/suggest.js';
+
+test('editDistance counts an adjacent swap as one edit', () => {
+  assert.equal(editDistance('wolf', 'wolf'), 0);
+  assert.equal(editDistance('wolf', 'wofl'), 1);
+  assert.equal(editDistance('wolf', 'wolves'), 3);
+});
+
+test('suggestVariants ranks close variants first and mixes kinds', () => {
+  const variants = suggestVariants('DarkWolf');
+  const names = variants.map(v => v.username);
+  assert.deepEqual(variants.slice(0, 3).map(v => v.kind), ['digits', 'underscore', 'plural']);
+  assert.equal(names[1], 'Dark_Wolf');
+  assert.ok(names.includes('DarkWolff'));
+  assert.ok(names.includes('DerkWolf'));
+  assert.ok(names.includes('DrkWlf'));
+  assert.ok(names.includes('shadowWolf'));
+  assert.ok(names.includes('Darkhound'));
+  assert.ok(!names.some(n => n.toLowerCase() === 'darkwolf'));
+  assert.equal(new Set(names.map(n => n.toLowerCase())).size, names.length);
+  const distances = variants.map(v => v.distance);
+  assert.deepEqual(distances, [...distances].sort((a, b) => a - b));
+});
+
+test('suggestVariants keeps to the username rules and plurals both ways', () => {
+  const names = suggestVariants('hunters').map(v => v.username);
+  assert.ok(names.includes('hunter'));
+  assert.ok(names.includes('rangers'));
+  assert.ok(names.every(n => n.length >= 3 && n.length <= 16 && !/^_|_$|__/.test(n)));
+  assert.ok(suggestVariants('abcdefghijklmnop').every(v => v.username.length <= 16));
+});
+
+test('findAvailableVariants checks in rounds until it has enough', async () => {
+  const asked = [];
+  const check = async names => {
+    asked.push(names.length);
+    return names.map(username => ({ username, available: !/\d/.test(username) }));
+  };
+  const { available, checked } = await findAvailableVariants('coolname', { count: 3, check });
+  assert.equal(available.length, 3);
+  assert.ok(available.every(v => !/\d/.test(v.username)));
+  assert.equal(checked, 10);
+  assert.deepEqual(asked, [10]);
+
+  const none = await findAvailableVariants('coolname', { count: 2, maxChecks: 25, check: async names => names.map(username => ({ username, available: false })) });
+  assert.deepEqual(none.available, []);
+  assert.equal(none.checked, 25);
+});
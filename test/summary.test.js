@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { EXIT, exitCodeFor, buildSummary, writeSummaryJson } from '../lib/summary.js';
+import { tmpDir } from './helpers.js';
+
+test('the exit code is the worst outcome', () => {
+  assert.equal(exitCodeFor({}), EXIT.available);
+  assert.equal(exitCodeFor({ taken: 2 }), EXIT.taken);
+  assert.equal(exitCodeFor({ taken: 2, errors: 1 }), EXIT.errors);
+  assert.equal(exitCodeFor({ uncertain: 1 }), EXIT.errors);
+  assert.deepEqual(Object.values(EXIT), [0, 1, 2, 3, 130]);
+});
+
+test('buildSummary() fills in missing counts and works out the exit code', () => {
+  const s = buildSummary({ ms: 2000, checked: 10, available: 7, taken: 3, input: { read: 12, duplicates: 2, ended: true } });
+  assert.equal(s.exitCode, EXIT.taken);
+  assert.equal(s.perSecond, 5);
+  assert.deepEqual(s.input, { read: 12, queued: 0, duplicates: 2, variants: 0, rejected: 0, skipped: 0, fresh: 0 });
+  assert.equal(s.confirmed, null);
+  assert.equal(buildSummary({ complete: false, taken: 1 }).exitCode, EXIT.interrupted);
+  assert.equal(buildSummary({ exitCode: EXIT.failed }).exitCode, EXIT.failed);
+});
+
+test('writeSummaryJson() writes a file', () => {
+  const file = path.join(tmpDir(), 'summary.json');
+  writeSummaryJson(file, buildSummary({ command: 'retry', stillFailing: 0 }));
+  const s = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.equal(s.command, 'retry');
+  assert.equal(s.stillFailing, 0);
+});
@@ -0,0 +1,91 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockServer } from '../lib/mock.js';
+import { createUpstream, withRetry } from '../lib/upstream.js';
+import { hytlTools } from '../lib/providers.js';
+
+let mock, mapMock, noBatchMock;
+let upstream, mapUpstream, noBatchUpstream;
+const outcomes = [];
+
+function connect(endpoint) {
+  return createUpstream({
+    provider: hytlTools,
+    endpoint,
+    concurrency: 4,
+    sleepMs: 1,
+    timeoutMs: 300,
+    release: (token, outcome) => outcomes.push(outcome),
+  });
+}
+
+before(async () => {
+  mock = createMockServer({ taken: ['takenname'], retryAfter: 2 });
+  mapMock = createMockServer({ taken: ['takenname'], batchFormat: 'map' });
+  noBatchMock = createMockServer({ taken: ['takenname'], batchFormat: 'none' });
+  upstream = connect(await mock.listen());
+  mapUpstream = connect(await mapMock.listen());
+  noBatchUpstream = connect(await noBatchMock.listen());
+});
+
+after(async () => {
+  await Promise.all([upstream.close(), mapUpstream.close(), noBatchUpstream.close()]);
+  await Promise.all([mock.close(), mapMock.close(), noBatchMock.close()]);
+});
+
+test('single check reports available and taken', async () => {
+  assert.equal(await upstream.checkSingle('freename'), true);
+  assert.equal(await upstream.checkSingle('takenname'), false);
+});
+
+test('429 is a rate limit error and reports Retry-After', async () => {
+  outcomes.length = 0;
+  await assert.rejects(upstream.checkSingle('rlname'), /Rate limited/);
+  assert.equal(outcomes.length, 1);
+  const { ms, ...outcome } = outcomes[0];
+  assert.deepEqual(outcome, { statusCode: 429, retryAfterMs: 2000 });
+  assert.ok(ms >= 0, 'reports how long the request took');
+});
+
+test('5xx is a server error', async () => {
+  await assert.rejects(upstream.checkSingle('errname'), /Server error \(500\)/);
+});
+
+test('other HTTP errors keep their status', async () => {
+  await assert.rejects(upstream.checkSingle('gonename'), /HTTP 404/);
+});
+
+test('a hanging server times out', async () => {
+  await assert.rejects(upstream.checkSingle('slowname'), err => /timeout/i.test(err.message) || /UND_ERR/.test(err.code));
+});
+
+test('malformed JSON fails without being retried', async () => {
+  const res = await withRetry(() => upstream.checkSingle('badname'), 3);
+  assert.equal(res.ok, false);
+  assert.equal(res.attempts, 1);
+});
+
+test('withRetry recovers from a transient 5xx', async () => {
+  const res = await withRetry(() => upstream.checkSingle('flakyname'), 2);
+  assert.deepEqual({ ok: res.ok, val: res.val, attempts: res.attempts }, { ok: true, val: true, attempts: 2 });
+});
+
+test('batch endpoint with { results: [...] } format', async () => {
+  const before = mock.requests.length;
+  const results = await upstream.checkBatch(['freename', 'takenname']);
+  assert.deepEqual(results, [{ username: 'freename', available: true }, { username: 'takenname', available: false }]);
+  assert.equal(mock.requests.length - before, 1);
+  assert.equal(mock.requests.at(-1).method, 'POST');
+});
+
+test('batch endpoint with { name: bool } format', async () => {
+  const results = await mapUpstream.checkBatch(['freename', 'takenname']);
+  assert.deepEqual(results, [{ username: 'freename', available: true }, { username: 'takenname', available: false }]);
+});
+
+test('batch falls back to single checks without a batch endpoint', async () => {
+  const results = await noBatchUpstream.checkBatch(['freename', 'takenname', 'gonename']);
+  assert.deepEqual(results.map(r => r.available), [true, false, null]);
+  assert.match(results[2].error, /HTTP 404/);
+  assert.deepEqual(noBatchMock.requests.map(r => r.method).sort(), ['GET', 'GET', 'GET', 'POST']);
+});
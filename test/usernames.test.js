@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseUsernames, parseLines, isValidLength } from '../lib/usernames.js';
+import { validateUsername, partitionUsernames } from '../lib/validate.js';
+
+test('parseUsernames reads a JSON array', () => {
+  assert.deepEqual(parseUsernames('["abc", " def ", 123]'), ['abc', 'def', '123']);
+});
+
+test('parseUsernames falls back when brackets are not valid JSON', () => {
+  assert.deepEqual(parseUsernames('[abc]'), ['[abc]']);
+  assert.deepEqual(parseUsernames('[abc, def]'), ['[abc', 'def]']);
+});
+
+test('parseUsernames splits on commas before whitespace', () => {
+  assert.deepEqual(parseUsernames('abc, def ,ghi'), ['abc', 'def', 'ghi']);
+  assert.deepEqual(parseUsernames('abc def,ghi'), ['abc def', 'ghi']);
+});
+
+test('parseUsernames splits on spaces and tabs', () => {
+  assert.deepEqual(parseUsernames('abc  def\tghi'), ['abc', 'def', 'ghi']);
+});
+
+test('parseUsernames handles a single name and empty input', () => {
+  assert.deepEqual(parseUsernames('  coolname '), ['coolname']);
+  assert.deepEqual(parseUsernames('   '), []);
+  assert.deepEqual(parseUsernames(',,'), []);
+});
+
+test('parseLines trims, drops blanks and dedupes across CRLF files', () => {
+  assert.deepEqual(parseLines('abc\r\n def \n\nabc\n'), ['abc', 'def']);
+});
+
+test('isValidLength enforces MIN_LEN and MAX_LEN', () => {
+  assert.equal(isValidLength('ab'), false);
+  assert.equal(isValidLength('abc'), true);
+  assert.equal(isValidLength('abcdefghij'), true);
+  assert.equal(isValidLength('abcdefghijk'), false);
+});
+
+test('validateUsername explains every rejection', () => {
+  assert.equal(validateUsername('cool_name'), null);
+  assert.equal(validateUsername('ab').code, 'too_short');
+  assert.equal(validateUsername('abcdefghijk').code, 'too_long');
+  assert.equal(validateUsername('bad name').code, 'invalid_chars');
+  assert.equal(validateUsername('café').code, 'invalid_chars');
+  assert.equal(validateUsername('_abc').code, 'underscore_edge');
+  assert.equal(validateUsername('abc_').code, 'underscore_edge');
+  assert.equal(validateUsername('a__b').code, 'underscore_double');
+  assert.equal(validateUsername('Admin').code, 'reserved');
+  assert.equal(validateUsername('myhytale').code, 'blocked');
+});
+
+test('partitionUsernames splits valid names from rejections', () => {
+  const { valid, rejected } = partitionUsernames(['abc', 'x', 'de f']);
+  assert.deepEqual(valid, ['abc']);
+  assert.deepEqual(rejected.map(r => r.username), ['x', 'de f']);
+  assert.ok(rejected.every(r => r.reason));
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createVerifier } from '../lib/verify.js';
+
+// check() stand-in answering from a script: name -> answers in order (true, false or null)
+function scripted(answers) {
+  const calls = [];
+  const check = async names => {
+    calls.push(names);
+    return names.map(username => ({ username, available: answers[username].shift() ?? null }));
+  };
+  return { check, calls };
+}
+
+test('a name is confirmed only when every re-check agrees', async () => {
+  const { check, calls } = scripted({ steady: [true, true], ghost: [false], shaky: [true, null] });
+  const out = [];
+  const verifier = createVerifier({ rounds: 2, check, onResult: r => out.push(r) });
+  for (const username of ['steady', 'ghost', 'shaky']) verifier.add({ username, available: true, ttc: 10 });
+  const stats = await verifier.finish();
+  assert.deepEqual(stats, { confirmed: 1, uncertain: 2 });
+  const byName = Object.fromEntries(out.map(r => [r.username, r]));
+  assert.equal(byName.steady.available, true);
+  assert.equal(byName.steady.verified, 2);
+  assert.deepEqual(byName.ghost.answers, ['available', 'taken']);
+  assert.equal(byName.ghost.uncertain, true);
+  assert.equal(byName.ghost.available, null);
+  assert.deepEqual(byName.shaky.answers, ['available', 'available', 'error']);
+  assert.deepEqual(calls, [['steady', 'ghost', 'shaky'], ['steady', 'shaky']], 'due names are checked together');
+});
+
+// Let the check() promise and the round after it settle
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+test('each re-check waits out the delay after the previous answer', async t => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const { check, calls } = scripted({ late: [true, true], later: [true, true] });
+  const verifier = createVerifier({ rounds: 2, delayMs: 1000, check, onResult: () => {} });
+  verifier.add({ username: 'late', available: true });
+  t.mock.timers.tick(400);
+  verifier.add({ username: 'later', available: true });
+  const done = verifier.finish();
+
+  t.mock.timers.tick(599);
+  await flush();
+  assert.equal(calls.length, 0);
+  t.mock.timers.tick(1);
+  await flush();
+  assert.deepEqual(calls, [['late']]);
+  t.mock.timers.tick(400);
+  await flush();
+  assert.deepEqual(calls, [['late'], ['later']]);
+
+  // The second round is timed from each name's first re-check
+  t.mock.timers.tick(599);
+  await flush();
+  assert.equal(calls.length, 2);
+  t.mock.timers.tick(1);
+  await flush();
+  t.mock.timers.tick(400);
+  assert.deepEqual(await done, { confirmed: 2, uncertain: 0 });
+  assert.deepEqual(calls, [['late'], ['later'], ['late'], ['later']]);
+});
+
+test('finish() resolves straight away with nothing to verify and rejects if a check fails', async () => {
+  const idle = createVerifier({ check: async () => [], onResult: () => {} });
+  assert.deepEqual(await idle.finish(), { confirmed: 0, uncertain: 0 });
+
+  const broken = createVerifier({ check: async () => { throw new Error('worker died'); }, onResult: () => {} });
+  broken.add({ username: 'x', available: true });
+  await assert.rejects(broken.finish(), /worker died/);
+});
@@ -1,229 +1,150 @@
 // worker.js - With rate limit evasion and HTTP batching
 
 import { workerData, parentPort } from 'worker_threads';
-import { Pool } from 'undici';
-
-const { usernames, concurrency, verbose, workerId, sleepMs = 0, batchSize = 50, httpBatchSize = 1 } = workerData;
-
-// Rotating user agents - mix of browsers
-const USER_AGENTS = [
-  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Safari/605.1.15',
-  'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0',
-  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10.15; rv:121.0) Gecko/20100101 Firefox/121.0',
-  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 Edg/120.0.0.0',
-  'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-  'Mozilla/5.0 (iPhone; CPU iPhone OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1',
-];
-
-const ACCEPT_LANGS = [
-  'en-US,en;q=0.9',
-  'en-GB,en;q=0.9',
-  'en-US,en;q=0.9,es;q=0.8',
-  'en,en-US;q=0.9',
-];
-
-let reqCount = 0;
-
-function getHeaders() {
-  reqCount++;
-  // Rotate UA every 3 requests
-  const ua = USER_AGENTS[(reqCount + workerId) % USER_AGENTS.length];
-  const lang = ACCEPT_LANGS[reqCount % ACCEPT_LANGS.length];
-  
-  return {
-    'accept': 'application/json, text/plain, */*',
-    'accept-language': lang,
-    'user-agent': ua,
-    'cache-control': 'no-cache',
-    'pragma': 'no-cache',
-  };
-}
-
-// Use multiple smaller pools to vary connections
-const pool = new Pool('https://api.hytl.tools', {
-  connections: Math.min(concurrency, 100), // Reduced from 256
-  pipelining: 1, // Disable pipelining - looks more like real browser
-  keepAliveTimeout: 10000,
-  keepAliveMaxTimeout: 30000,
+import { loadProvider } from './lib/providers.js';
+import { createUpstream } from './lib/upstream.js';
+import { classify, resolvePolicy } from './lib/errors.js';
+
+const { chunkSize = 100, concurrency, verbose, workerId, sleepMs = 0, batchSize = 50, httpBatchSize = 1, provider: providerSpec, endpoint, retries = 5, retryPolicy = null, timeoutMs = 20000 } = workerData;
+
+const provider = await loadProvider(providerSpec);
+const policy = resolvePolicy(retries, retryPolicy);
+
+// Permits from the main thread's global rate controller (see lib/ratelimit.js)
+let permitSeq = 0;
+const pendingPermits = new Map();
+
+// Names to check, handed out by the main thread's scheduler (see lib/scheduler.js).
+// Items are { username, attempts }; failures that may be retried go back to
+// the scheduler instead of being retried here, so any worker can pick them up.
+const local = [];
+let exhausted = false;
+let draining = false;
+let pulling = null;
+let pulled = null;
+
+parentPort.on('message', msg => {
+  if (msg.type === 'grant') {
+    const resolve = pendingPermits.get(msg.id);
+    pendingPermits.delete(msg.id);
+    if (resolve) resolve();
+  } else if (msg.type === 'work') {
+    if (draining) {
+      if (msg.items.length) parentPort.postMessage({ type: 'returned', items: msg.items, backlog: 0 });
+    } else {
+      local.push(...msg.items);
+      if (!msg.items.length) exhausted = true;
+    }
+    pulling = null;
+    pulled();
+  } else if (msg.type === 'steal') {
+    // Another worker ran dry - give up the names furthest from being started
+    const items = local.splice(Math.max(0, local.length - msg.n));
+    parentPort.postMessage({ type: 'returned', items, backlog: local.length });
+  } else if (msg.type === 'drain') {
+    // This worker is being removed: hand back what hasn't started, finish the rest
+    draining = exhausted = true;
+    parentPort.postMessage({ type: 'returned', items: local.splice(0), backlog: 0 });
+    if (pulling) pulled();
+  }
 });
 
-function pLimit(max) {
-  let active = 0;
-  const queue = [];
-  const next = () => {
-    if (active >= max || !queue.length) return;
-    active++;
-    const { fn, res, rej } = queue.shift();
-    fn().then(res, rej).finally(() => { active--; next(); });
-  };
-  return fn => new Promise((res, rej) => { queue.push({ fn, res, rej }); next(); });
+function pull() {
+  if (!pulling && !exhausted) {
+    pulling = new Promise(resolve => { pulled = resolve; });
+    parentPort.postMessage({ type: 'pull', backlog: local.length });
+  }
+  return pulling;
 }
 
-// Random delay to avoid pattern detection
-function randomDelay(min = 10, max = 50) {
-  return new Promise(r => setTimeout(r, min + Math.random() * (max - min)));
+// The next HTTP batch, or null once there is no more work; asks for more before running dry
+async function nextBatch() {
+  while (true) {
+    if (local.length < chunkSize / 2) pull();
+    if (local.length) return local.splice(0, httpBatchSize);
+    if (exhausted) return null;
+    await pull();
+  }
 }
 
-// Single username check
-async function checkSingle(username) {
-  // Custom sleep delay if specified, otherwise small random delay
-  if (sleepMs > 0) {
-    await new Promise(r => setTimeout(r, sleepMs));
-  } else {
-    await randomDelay(5, 30);
-  }
-  
-  const { statusCode, body } = await pool.request({
-    path: `/check/${encodeURIComponent(username)}`,
-    method: 'GET',
-    headers: getHeaders(),
-    bodyTimeout: 20000,
-    headersTimeout: 20000,
+async function acquirePermit() {
+  const id = ++permitSeq;
+  await new Promise(resolve => {
+    pendingPermits.set(id, resolve);
+    parentPort.postMessage({ type: 'acquire', id });
   });
-  
-  const text = await body.text();
-  
-  if (statusCode === 429) throw new Error('Rate limited');
-  if (statusCode >= 500) throw new Error(`Server error (${statusCode})`);
-  if (statusCode < 200 || statusCode >= 300) throw new Error(`HTTP ${statusCode}`);
-  
-  const json = JSON.parse(text);
-  if (typeof json.available !== 'boolean') throw new Error('Invalid response');
-  return json.available;
+  return id;
 }
 
-// Batch check - try POST endpoint first, fallback to parallel GET
-async function checkBatch(usernameBatch) {
-  if (usernameBatch.length === 1) {
-    return [{ username: usernameBatch[0], available: await checkSingle(usernameBatch[0]) }];
-  }
-
-  // Try batch POST endpoint first
-  try {
-    if (sleepMs > 0) {
-      await new Promise(r => setTimeout(r, sleepMs));
-    } else {
-      await randomDelay(5, 30);
-    }
-
-    const { statusCode, body } = await pool.request({
-      path: '/check/batch',
-      method: 'POST',
-      headers: {
-        ...getHeaders(),
-        'content-type': 'application/json',
-      },
-      body: JSON.stringify({ usernames: usernameBatch }),
-      bodyTimeout: 30000,
-      headersTimeout: 20000,
-    });
-
-    const text = await body.text();
-    
-    if (statusCode === 200 || statusCode === 201) {
-      const json = JSON.parse(text);
-      // Expected format: { results: [{ username: "abc", available: true }, ...] }
-      if (Array.isArray(json.results)) {
-        return json.results;
-      }
-      // Alternative format: { "abc": true, "def": false, ... }
-      if (typeof json === 'object' && !Array.isArray(json)) {
-        return usernameBatch.map(u => ({
-          username: u,
-          available: json[u] === true || json[u] === false ? json[u] : null
-        }));
-      }
-    }
-  } catch (e) {
-    // Batch endpoint doesn't exist or failed, fall through to parallel GET
-  }
-
-  // Fallback: parallel GET requests
-  const results = await Promise.all(
-    usernameBatch.map(async (username) => {
-      try {
-        const available = await checkSingle(username);
-        return { username, available };
-      } catch (e) {
-        return { username, available: null, error: e.message };
-      }
-    })
-  );
-
-  return results;
+function releasePermit(id, { statusCode, retryAfterMs, ms }) {
+  parentPort.postMessage({ type: 'release', id, statusCode, retryAfterMs, ms });
 }
 
-async function withRetry(fn, retries = 5) {
-  let err;
-  for (let i = 0; i <= retries; i++) {
-    try { 
-      return { ok: true, val: await fn() }; 
-    } catch (e) {
-      err = e;
-      const isRateLimit = /rate|429/i.test(e.message);
-      const isRetryable = /rate|429|5\d\d|timeout|ECONN|ENOTFOUND|EAI_AGAIN|UND_ERR|ETIMEDOUT/i.test(e.message);
-      
-      if (!isRetryable || i === retries) {
-        return { ok: false, err: e.message };
-      }
-      
-      // Longer backoff for rate limits
-      const baseDelay = isRateLimit ? 1000 : 300;
-      const delay = baseDelay * Math.pow(2, i) + Math.random() * 500;
-      await new Promise(r => setTimeout(r, delay));
-    }
-  }
-  return { ok: false, err: err?.message || 'Max retries' };
-}
+const upstream = createUpstream({ provider, endpoint, concurrency, sleepMs, timeoutMs, workerId, acquire: acquirePermit, release: releasePermit });
+const { checkBatch } = upstream;
 
 const BATCH = verbose ? 1 : batchSize;
 let batch = [];
 
 function flush() {
   if (!batch.length) return;
-  if (batch.length === 1) parentPort.postMessage({ type: 'result', ...batch[0] });
-  else parentPort.postMessage({ type: 'batch', results: batch });
+  if (batch.length === 1) parentPort.postMessage({ type: 'result', ...batch[0], backlog: local.length });
+  else parentPort.postMessage({ type: 'batch', results: batch, backlog: local.length });
   batch = [];
 }
 
-function push(username, available, ttc, error = null) {
-  batch.push({ username, available, ttc, error });
+function push(username, available, ttc, error = null, attempts = 1, category = null) {
+  batch.push({ username, available, ttc, error, attempts, category });
   if (batch.length >= BATCH) flush();
 }
 
-async function run() {
-  const limit = pLimit(concurrency);
-  
-  // Group usernames into HTTP batches
-  const httpBatches = [];
-  for (let i = 0; i < usernames.length; i += httpBatchSize) {
-    httpBatches.push(usernames.slice(i, i + httpBatchSize));
-  }
+// Requeue a failed name with backoff while its category allows, else report the error
+function failed(item, error, category, ttc) {
+  const attempts = item.attempts + 1;
+  const { retries, backoffMs } = policy[category];
+  if (attempts > retries) return push(item.username, null, ttc, error, attempts, category);
+  const delayMs = backoffMs * Math.pow(2, attempts - 1) + Math.random() * 500;
+  parentPort.postMessage({ type: 'requeue', items: [{ username: item.username, attempts }], delayMs, category });
+}
 
-  await Promise.all(httpBatches.map(batch => limit(async () => {
-    const startTime = Date.now();
-    const results = await withRetry(() => checkBatch(batch));
+async function check(items) {
+  const startTime = Date.now();
+  let results;
+  try {
+    results = await checkBatch(items.map(item => item.username));
+  } catch (e) {
+    // The whole request failed
     const ttc = Date.now() - startTime;
-    
-    if (results.ok) {
-      // Process batch results
-      for (const r of results.val) {
-        push(r.username, r.available, Math.floor(ttc / batch.length), r.error || null);
-      }
-    } else {
-      // All failed - mark each username as error
-      for (const username of batch) {
-        push(username, null, ttc, results.err);
-      }
-    }
-  })));
-  
+    const category = classify(e);
+    for (const item of items) failed(item, e.message, category, ttc);
+    return;
+  }
+  const ttc = Math.floor((Date.now() - startTime) / items.length);
+  // The API may echo a name in another case; answers for names that weren't
+  // asked about are dropped, as nothing is waiting for them
+  const byName = new Map(items.map(item => [item.username.toLowerCase(), item]));
+  for (const r of results) {
+    const key = r.username.toLowerCase();
+    const item = byName.get(key);
+    if (!item) continue;
+    byName.delete(key);
+    if (r.error) failed(item, r.error, r.category || 'unknown', ttc);
+    else push(item.username, r.available, ttc, null, item.attempts + 1);
+  }
+  // A batch answer that leaves names out must not leave them unresolved
+  for (const item of byName.values()) failed(item, 'missing from batch response', 'unknown', ttc);
+}
+
+async function run() {
+  // `concurrency` lanes, each checking one HTTP batch at a time
+  await Promise.all(Array.from({ length: concurrency }, async () => {
+    for (let batch = await nextBatch(); batch; batch = await nextBatch()) await check(batch);
+  }));
+
   flush();
-  await pool.close();
+  await upstream.close();
   process.exit(0);
 }
 
-run().catch(() => { pool.close().finally(() => process.exit(1)); });
+run().catch(() => { upstream.close().finally(() => process.exit(1)); });
 